@@ -8,6 +8,17 @@ import { ChatInterface } from "./ChatInterface.js";
 import { ChatClient } from "./ChatClient.js";
 import { ImageExporter } from "./ImageExporter.js"; // Added
 import { ChatController } from "./ChatController.js";
+import { TranscriptExporter } from "./TranscriptExporter.js";
+import { SessionArchive } from "./SessionArchive.js";
+import { SearchPanel } from "./SearchPanel.js";
+import { StoragePanel } from "./StoragePanel.js";
+import { ScreenCapture } from "./ScreenCapture.js";
+import { SessionTitler } from "./SessionTitler.js";
+import { SessionSettingsManager } from "./SessionSettingsManager.js";
+import { ArenaController } from "./ArenaController.js";
+import { ToolRegistry } from "./ToolRegistry.js";
+import { LocalTools } from "./LocalTools.js";
+import { FileUploader } from "./FileUploader.js";
 
 /**
  * Main application class. Initializes and coordinates all managers and UI interactions.
@@ -27,13 +38,34 @@ class App {
       this.storageManager,
       this.uiManager
     );
+    this.sessionSettingsManager = new SessionSettingsManager(
+      this.storageManager,
+      this.uiManager
+    );
+    this.sessionManager.setNewSessionOptionsProvider(() =>
+      this.sessionSettingsManager.getNewSessionOptions()
+    );
     this.fileManager = new FileManager(this.uiManager);
+    this.fileManager.setFileUploader(new FileUploader(this.apiKeyManager));
+    this.screenCapture = new ScreenCapture(this.uiManager);
+    this.sessionArchive = new SessionArchive(this.storageManager);
+    this.searchPanel = new SearchPanel(this.storageManager, this.uiManager);
+    this.storagePanel = new StoragePanel(this.storageManager, this.uiManager);
     this.chatInterface = new ChatInterface(this.uiManager);
     this.chatClient = new ChatClient(
       this.apiKeyManager,
       this.storageManager,
       this.uiManager
     );
+    this.toolRegistry = new ToolRegistry();
+    LocalTools.registerAll(this.toolRegistry, this.storageManager);
+    this.chatClient.setToolRegistry(this.toolRegistry);
+
+    this.sessionTitler = new SessionTitler(
+      this.chatClient,
+      this.storageManager,
+      this.uiManager
+    );
 
     // Instantiate controllers
     this.chatController = new ChatController(
@@ -43,6 +75,16 @@ class App {
       this.chatInterface,
       this.uiManager,
       this.sessionManager,
+      this.modelManager,
+      this.sessionTitler,
+      this.toolRegistry
+    );
+    this.arenaController = new ArenaController(
+      this.chatClient,
+      this.storageManager,
+      this.chatInterface,
+      this.uiManager,
+      this.sessionManager,
       this.modelManager
     );
 
@@ -50,11 +92,37 @@ class App {
     this.saveKeyButton = this.uiManager.getElement("saveKeyButton");
     this.apiKeyInput = this.uiManager.getElement("apiKeyInput");
     this.sendButton = this.uiManager.getElement("sendButton");
+    this.stopButton = this.uiManager.getElement("stopButton");
     this.messageInput = this.uiManager.getElement("messageInput");
     this.useGoogleSearchCheckbox = this.uiManager.getElement(
       "useGoogleSearchCheckbox"
     );
+    this.useLocalToolsCheckbox = this.uiManager.getElement(
+      "useLocalToolsCheckbox"
+    );
+    this.useCodeExecutionCheckbox = this.uiManager.getElement(
+      "useCodeExecutionCheckbox"
+    );
     this.downloadPngButton = this.uiManager.getElement("downloadPngButton"); // Added
+    this.downloadPngPagesButton = this.uiManager.getElement(
+      "downloadPngPagesButton"
+    );
+    this.downloadPdfButton = this.uiManager.getElement("downloadPdfButton");
+    this.exportMarkdownButton = this.uiManager.getElement(
+      "exportMarkdownButton"
+    );
+    this.exportHtmlButton = this.uiManager.getElement("exportHtmlButton");
+    this.embedExportImagesCheckbox = this.uiManager.getElement(
+      "embedExportImagesCheckbox"
+    );
+    this.exportSessionButton = this.uiManager.getElement("exportSessionButton");
+    this.exportAllSessionsButton = this.uiManager.getElement(
+      "exportAllSessionsButton"
+    );
+    this.importSessionsButton = this.uiManager.getElement(
+      "importSessionsButton"
+    );
+    this.importSessionsInput = this.uiManager.getElement("importSessionsInput");
 
     console.log("App constructed.");
   }
@@ -114,7 +182,10 @@ class App {
         );
       }
 
-      // 5. Initialize Sessions (requires DB potentially)
+      // 5. Load persona presets (new sessions may start from one)
+      await this.sessionSettingsManager.initialize();
+
+      // 5b. Initialize Sessions (requires DB potentially)
       let initialSessionId = null;
       try {
         initialSessionId = await this.sessionManager.initialize();
@@ -132,10 +203,12 @@ class App {
 
       // 6. Setup Event Listeners (before loading history that needs them)
       this._setupEventListeners();
+      this.arenaController.initialize();
 
       // 7. Load Initial Chat History Display (requires session)
       if (initialSessionId) {
         await this.loadChatHistory(initialSessionId);
+        await this.sessionSettingsManager.loadSession(initialSessionId);
       } else {
         this.chatInterface.clearHistoryDisplay(); // Ensure it's clear if no session
       }
@@ -205,8 +278,18 @@ class App {
         this.chatInterface.addMessage(
           msg.sender,
           msg.contentParts,
-          null,
-          msg.id
+          msg.usageMetadata || null, // Stored for arena replies
+          msg.id,
+          {
+            interrupted: !!msg.interrupted,
+            finishReason: msg.finishReason,
+            groundingMetadata: msg.groundingMetadata,
+            structuredOutput: !!msg.structuredOutput,
+            latencyMs: msg.latencyMs,
+            uploadedFiles: msg.uploadedFiles,
+            siblingIds: msg.siblingIds,
+            candidates: msg.candidates,
+          }
         );
       });
       console.log(
@@ -346,8 +429,9 @@ class App {
     );
     this.uiManager.updateStatus(`Loading session ${newSessionId}...`, "info");
 
-    // 1. Load and display history for the new session
+    // 1. Load and display history and settings for the new session
     await this.loadChatHistory(newSessionId);
+    await this.sessionSettingsManager.loadSession(newSessionId);
 
     // 2. Re-initialize the chat client for the new session's history
     const modelName = this.modelManager.getCurrentModel();
@@ -369,12 +453,42 @@ class App {
   }
 
   /**
-   * Handles changes to the Google Search checkbox.
+   * Opens a search result: switches to its session, selects the branch containing the message
+   * and scrolls to it.
+   * @param {number} sessionId - The session containing the message.
+   * @param {number} messageId - The matching message.
    */
-  async handleSearchToggle() {
-    console.log(
-      "Google Search checkbox toggled. Re-initializing chat object..."
-    );
+  async handleSearchResultSelected(sessionId, messageId) {
+    // Selecting the branch would move the active path the pending reply is saved on
+    if (this.chatController.isGenerating()) {
+      this.uiManager.updateStatus(
+        "Please wait for the current response or press Stop.",
+        "warning"
+      );
+      return;
+    }
+    try {
+      await this.storageManager.selectBranch(sessionId, messageId);
+    } catch (error) {
+      console.error("[App] Could not open search result:", error);
+      this.uiManager.updateStatus("Message no longer exists.", "warning");
+      return;
+    }
+
+    if (sessionId !== this.sessionManager.getCurrentSessionId()) {
+      await this.sessionManager.switchSession(sessionId); // Loads history and chat session
+    } else {
+      await this.loadChatHistory(sessionId);
+      await this.chatClient.reInitializeChatSession(sessionId);
+    }
+    this.chatInterface.scrollToMessage(messageId);
+  }
+
+  /**
+   * Handles changes to the Google Search, local tools and code execution checkboxes.
+   */
+  async handleToolToggle() {
+    console.log("Tool checkbox toggled. Re-initializing chat object...");
     const modelName = this.modelManager.getCurrentModel();
     const sessionId = this.sessionManager.getCurrentSessionId();
     if (modelName && sessionId) {
@@ -386,20 +500,88 @@ class App {
         const searchStatus = this.useGoogleSearchCheckbox?.checked
           ? "ON"
           : "OFF";
+        const toolsStatus = this.useLocalToolsCheckbox?.checked ? "ON" : "OFF";
+        const codeStatus = this.useCodeExecutionCheckbox?.checked
+          ? "ON"
+          : "OFF";
         this.uiManager.updateStatus(
-          `Chat ready (${modelName}). Search: ${searchStatus}`,
+          `Chat ready (${modelName}). Search: ${searchStatus}, Local tools: ${toolsStatus}, Code execution: ${codeStatus}`,
           "success"
         );
       } else {
         this.uiManager.updateStatus(
-          `Failed to re-initialize chat for search toggle.`,
+          `Failed to re-initialize chat for tool toggle.`,
           "error"
         );
       }
     } else {
       console.warn(
-        "Cannot re-initialize chat for search toggle: Missing model or session."
+        "Cannot re-initialize chat for tool toggle: Missing model or session."
+      );
+    }
+  }
+
+  /**
+   * Exports the current session, or every session, as a JSON archive download.
+   * @param {boolean} allSessions - True to export all sessions.
+   */
+  async handleExportSessions(allSessions) {
+    let sessionIds;
+    let label;
+    if (allSessions) {
+      const sessions = await this.storageManager.getAllSessions();
+      sessionIds = sessions.map((s) => s.id);
+      label = "all";
+    } else {
+      const currentSessionId = this.sessionManager.getCurrentSessionId();
+      if (!currentSessionId) {
+        this.uiManager.updateStatus(
+          "No session selected to export.",
+          "warning"
+        );
+        return;
+      }
+      sessionIds = [currentSessionId];
+      label = currentSessionId;
+    }
+    await this.sessionArchive.downloadArchive(
+      sessionIds,
+      label,
+      this.uiManager.updateStatus.bind(this.uiManager)
+    );
+  }
+
+  /**
+   * Imports sessions from a JSON archive file and reports what was skipped.
+   * @param {File} file - The archive file selected by the user.
+   */
+  async handleImportSessions(file) {
+    this.uiManager.updateStatus(`Importing ${file.name}...`, "info");
+    let report;
+    try {
+      const archive = JSON.parse(await file.text());
+      report = await this.sessionArchive.importArchive(archive);
+    } catch (error) {
+      console.error("[App] Error importing sessions:", error);
+      this.uiManager.updateStatus(
+        `Import failed: ${error.message || error}`,
+        "error"
       );
+      return;
+    }
+
+    await this.sessionManager.reloadSessions();
+
+    const summary = `Imported ${report.imported.length} session(s), skipped ${report.skipped.length}.`;
+    this.uiManager.updateStatus(
+      summary,
+      report.skipped.length > 0 ? "warning" : "success"
+    );
+    if (report.skipped.length > 0) {
+      const details = report.skipped
+        .map((s) => `- ${s.name}: ${s.reason}`)
+        .join("\n");
+      alert(`${summary}\n\nSkipped:\n${details}`);
     }
   }
 
@@ -429,6 +611,11 @@ class App {
         this.chatController.handleSendMessage()
       );
     }
+    if (this.stopButton) {
+      this.stopButton.addEventListener("click", () =>
+        this.chatController.handleStop()
+      );
+    }
     if (this.messageInput) {
       this.messageInput.addEventListener("keypress", (event) => {
         if (event.key === "Enter" && !event.shiftKey) {
@@ -438,12 +625,14 @@ class App {
       });
     }
 
-    // Google Search Toggle
-    if (this.useGoogleSearchCheckbox) {
-      this.useGoogleSearchCheckbox.addEventListener("change", () =>
-        this.handleSearchToggle()
-      );
-    }
+    // Google Search, Local Tools and Code Execution Toggles
+    [
+      this.useGoogleSearchCheckbox,
+      this.useLocalToolsCheckbox,
+      this.useCodeExecutionCheckbox,
+    ].forEach((checkbox) =>
+      checkbox?.addEventListener("change", () => this.handleToolToggle())
+    );
 
     // Manager Callbacks
     this.modelManager.setOnModelChange((newModel) =>
@@ -453,6 +642,11 @@ class App {
       this.handleSessionChange(newSessionId, isNew)
     );
 
+    // Stored attachments are loaded for display on demand
+    this.chatInterface.setBlobLoader((hash) =>
+      this.storageManager.getBlob(hash)
+    );
+
     // Retry Callback
     this.chatInterface.setOnRetryCallback(async (messageId) => {
       const success = await this.chatController.handleRetry(messageId);
@@ -465,6 +659,75 @@ class App {
       }
     });
 
+    // Edit Callback
+    this.chatInterface.setOnEditCallback(async (messageId, newText) => {
+      const success = await this.chatController.handleEditMessage(
+        messageId,
+        newText
+      );
+      if (success) {
+        await this.loadChatHistory(this.sessionManager.getCurrentSessionId());
+      }
+    });
+
+    // Session Settings Callback: restart the chat so the new system instruction applies
+    this.sessionSettingsManager.setOnSettingsSavedCallback(
+      async (sessionId) => {
+        if (sessionId !== this.sessionManager.getCurrentSessionId()) return;
+        const chatReady = await this.chatClient.reInitializeChatSession(
+          sessionId
+        );
+        if (chatReady) {
+          this.uiManager.updateStatus(
+            "Session settings applied. Chat ready.",
+            "success"
+          );
+        }
+      }
+    );
+
+    // Search Result Callback
+    this.searchPanel.setOnResultSelectedCallback((sessionId, messageId) =>
+      this.handleSearchResultSelected(sessionId, messageId)
+    );
+
+    // Storage Usage Callback
+    this.storagePanel.setOnSessionSelectedCallback((sessionId) => {
+      if (sessionId !== this.sessionManager.getCurrentSessionId()) {
+        this.sessionManager.switchSession(sessionId);
+      }
+    });
+
+    // Generated Image Callback
+    this.chatInterface.setOnUseImageCallback((blob) =>
+      this.fileManager.attachBlob(
+        blob,
+        "generated-image",
+        blob.type.split("/")[1] || "png"
+      )
+    );
+
+    // Screen Capture Callback
+    this.screenCapture.setOnCaptureCallback((blob, prefix, extension) =>
+      this.fileManager.attachBlob(blob, prefix, extension)
+    );
+
+    // Branch Navigation Callback
+    this.chatInterface.setOnSelectBranchCallback(async (messageId) => {
+      const success = await this.chatController.handleSelectBranch(messageId);
+      if (success) {
+        await this.loadChatHistory(this.sessionManager.getCurrentSessionId());
+      }
+    });
+
+    // Candidate Comparison Callback
+    this.chatInterface.setOnPickCandidateCallback(async (messageId) => {
+      const success = await this.chatController.handlePickCandidate(messageId);
+      if (success) {
+        await this.loadChatHistory(this.sessionManager.getCurrentSessionId());
+      }
+    });
+
     // Download PNG Button
     if (this.downloadPngButton) {
       this.downloadPngButton.addEventListener("click", () => {
@@ -479,6 +742,71 @@ class App {
       });
     }
 
+    // Paged PNG/PDF Export (for sessions too long for a single image)
+    const exportPages = (format) => {
+      ImageExporter.exportElementToPages(
+        this.uiManager.getElement("chatHistory"),
+        this.sessionManager.getCurrentSessionId(),
+        format,
+        this.uiManager.updateStatus.bind(this.uiManager)
+      );
+    };
+    if (this.downloadPngPagesButton) {
+      this.downloadPngPagesButton.addEventListener("click", () =>
+        exportPages("png")
+      );
+    }
+    if (this.downloadPdfButton) {
+      this.downloadPdfButton.addEventListener("click", () =>
+        exportPages("pdf")
+      );
+    }
+
+    // Transcript Export
+    if (this.exportMarkdownButton) {
+      this.exportMarkdownButton.addEventListener("click", () => {
+        TranscriptExporter.exportMarkdown(
+          this.storageManager,
+          this.sessionManager.getCurrentSessionId(),
+          !!this.embedExportImagesCheckbox?.checked,
+          this.uiManager.updateStatus.bind(this.uiManager)
+        );
+      });
+    }
+    if (this.exportHtmlButton) {
+      this.exportHtmlButton.addEventListener("click", () => {
+        TranscriptExporter.exportHtml(
+          this.storageManager,
+          this.sessionManager.getCurrentSessionId(),
+          this.uiManager.updateStatus.bind(this.uiManager)
+        );
+      });
+    }
+
+    // Session Export/Import
+    if (this.exportSessionButton) {
+      this.exportSessionButton.addEventListener("click", () =>
+        this.handleExportSessions(false)
+      );
+    }
+    if (this.exportAllSessionsButton) {
+      this.exportAllSessionsButton.addEventListener("click", () =>
+        this.handleExportSessions(true)
+      );
+    }
+    if (this.importSessionsButton && this.importSessionsInput) {
+      this.importSessionsButton.addEventListener("click", () =>
+        this.importSessionsInput.click()
+      );
+      this.importSessionsInput.addEventListener("change", async (event) => {
+        const file = event.target.files[0];
+        event.target.value = null; // Allow re-importing the same file
+        if (file) {
+          await this.handleImportSessions(file);
+        }
+      });
+    }
+
     console.log("App event listeners configured.");
   }
 }
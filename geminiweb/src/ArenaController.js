@@ -0,0 +1,315 @@
+import { ResponseUtils } from "./ResponseUtils.js";
+import { ResponseSchema } from "./ResponseSchema.js";
+
+const MIN_ARENA_MODELS = 2;
+
+/**
+ * Compare mode ("arena"): sends the same prompt to several models concurrently and shows the answers
+ * in columns with latency and token counts.
+ *
+ * Every column is backed by its own session (grouped in one sidebar folder per comparison), so each
+ * model keeps a continuing history and the comparison can be reviewed later like any other chat.
+ * The sessions start with the current session's system instruction, generation config and safety
+ * settings, so every model answers under the same conditions.
+ */
+export class ArenaController {
+  /**
+   * @param {ChatClient} chatClient - Instance for API calls.
+   * @param {StorageManager} storageManager - Instance for DB operations.
+   * @param {ChatInterface} chatInterface - Instance for rendering messages.
+   * @param {UIManager} uiManager - Instance for DOM interactions.
+   * @param {SessionManager} sessionManager - Instance for refreshing the session sidebar.
+   * @param {ModelManager} modelManager - Instance for the list of available models.
+   */
+  constructor(
+    chatClient,
+    storageManager,
+    chatInterface,
+    uiManager,
+    sessionManager,
+    modelManager
+  ) {
+    this.chatClient = chatClient;
+    this.storageManager = storageManager;
+    this.chatInterface = chatInterface;
+    this.uiManager = uiManager;
+    this.sessionManager = sessionManager;
+    this.modelManager = modelManager;
+    this.columns = []; // {modelName, sessionId, element, historyElement} per compared model
+    this.isSending = false;
+
+    this.arenaPanel = this.uiManager.getElement("arenaPanel");
+    this.arenaModelList = this.uiManager.getElement("arenaModelList");
+    this.arenaInput = this.uiManager.getElement("arenaInput");
+    this.arenaSendButton = this.uiManager.getElement("arenaSendButton");
+    this.arenaResetButton = this.uiManager.getElement("arenaResetButton");
+    this.arenaColumns = this.uiManager.getElement("arenaColumns");
+  }
+
+  /**
+   * Sets up the arena controls.
+   */
+  initialize() {
+    this._setupEventListeners();
+    this.renderModelList();
+  }
+
+  /**
+   * Fills the model checkboxes from the available models, keeping the current selection.
+   * The list is locked while a comparison is running, since its columns are fixed.
+   */
+  renderModelList() {
+    if (!this.arenaModelList) return;
+    const selected = new Set(this.getSelectedModels());
+    this.arenaModelList.innerHTML = "";
+    this.modelManager.getAvailableModels().forEach((modelName) => {
+      const checkbox = this.uiManager.createArenaModelCheckbox(
+        modelName,
+        selected.has(modelName)
+      );
+      checkbox.input.disabled = this.columns.length > 0;
+      this.arenaModelList.appendChild(checkbox.container);
+    });
+  }
+
+  /**
+   * @returns {Array<string>} The models checked in the arena model list.
+   */
+  getSelectedModels() {
+    if (!this.arenaModelList) return [];
+    return [
+      ...this.arenaModelList.querySelectorAll("input[type=checkbox]:checked"),
+    ].map((input) => input.value);
+  }
+
+  /**
+   * Sends the arena input to every column. The first send creates the columns (and their sessions)
+   * for the checked models; later sends continue them.
+   */
+  async handleSend() {
+    if (this.isSending) return;
+    const text = this.arenaInput?.value.trim() ?? "";
+    if (!text) return;
+
+    if (!this.chatClient.genAI) {
+      this.uiManager.updateStatus("GenAI client not initialized.", "error");
+      return;
+    }
+
+    this.isSending = true;
+    this._setControlsDisabled(true);
+    try {
+      if (this.columns.length === 0) {
+        const models = this.getSelectedModels();
+        if (models.length < MIN_ARENA_MODELS) {
+          this.uiManager.updateStatus(
+            `Select at least ${MIN_ARENA_MODELS} models to compare.`,
+            "warning"
+          );
+          return;
+        }
+        await this._startComparison(models, text);
+      }
+
+      this.arenaInput.value = "";
+      this.uiManager.updateStatus(
+        `Sending to ${this.columns.length} models...`,
+        "info"
+      );
+      const results = await Promise.all(
+        this.columns.map((column) => this._sendToColumn(column, text))
+      );
+      const failures = results.filter((ok) => !ok).length;
+      this.uiManager.updateStatus(
+        failures
+          ? `Comparison finished: ${failures} of ${results.length} models failed.`
+          : "Comparison finished.",
+        failures ? "warning" : "success"
+      );
+      await this.sessionManager.reloadSessions();
+    } catch (error) {
+      console.error("[ArenaController] Error during comparison:", error);
+      this.uiManager.updateStatus(
+        `Comparison failed: ${error.message || error}`,
+        "error"
+      );
+    } finally {
+      this.isSending = false;
+      this._setControlsDisabled(false);
+    }
+  }
+
+  /**
+   * Ends the current comparison (its sessions are kept) so another set of models can be chosen.
+   */
+  resetComparison() {
+    if (this.isSending) return;
+    this.columns = [];
+    if (this.arenaColumns) this.arenaColumns.innerHTML = "";
+    this.renderModelList();
+  }
+
+  /**
+   * Creates one session and one column per model.
+   * @param {Array<string>} models - The models to compare.
+   * @param {string} firstPrompt - The first prompt, used to name the sessions.
+   * @private
+   */
+  async _startComparison(models, firstPrompt) {
+    const folder = `Arena ${new Date().toLocaleString()}`;
+    const topic = firstPrompt.split("\n")[0].slice(0, 40);
+    const sharedSettings = {
+      folder,
+      titleSource: "arena", // Keeps the model name in the title (skipped by the auto-titler)
+      generationConfig: this.chatClient.currentGenerationConfig,
+      safetySettings: this.chatClient.currentSafetySettings,
+    };
+
+    for (const modelName of models) {
+      const sessionId = await this.storageManager.createNewSession(
+        `${modelName}: ${topic}`,
+        { systemInstruction: this.chatClient.currentSystemInstruction }
+      );
+      await this.storageManager.updateSession(sessionId, sharedSettings);
+      const column = this.uiManager.createArenaColumn(modelName);
+      this.arenaColumns?.appendChild(column.container);
+      this.columns.push({
+        modelName,
+        sessionId,
+        element: column.container,
+        historyElement: column.historyElement,
+      });
+    }
+    this.renderModelList();
+    console.log(
+      `[ArenaController] Started comparison of ${models.join(
+        ", "
+      )} in folder "${folder}".`
+    );
+  }
+
+  /**
+   * Sends a prompt in one column's session and shows the answer with its latency.
+   * @param {{modelName: string, sessionId: number, historyElement: HTMLElement}} column - The column.
+   * @param {string} text - The prompt.
+   * @returns {Promise<boolean>} True if an answer was received and saved.
+   * @private
+   */
+  async _sendToColumn(column, text) {
+    const { modelName, sessionId, historyElement } = column;
+    const userParts = [{ text }];
+
+    try {
+      const userMessageId = await this.storageManager.saveMessage(
+        { sender: "user", contentParts: userParts },
+        sessionId
+      );
+      this.chatInterface.appendMessageTo(historyElement, "user", userParts);
+
+      const session = await this.storageManager.getSession(sessionId);
+      const history = await this.storageManager.getHistoryUpToMessage(
+        sessionId,
+        userMessageId,
+        false
+      );
+
+      const loadingElement = this.uiManager.createMessageDiv(null, "model");
+      loadingElement.classList.add("loading-indicator");
+      loadingElement.textContent = "Generating response...";
+      historyElement.appendChild(loadingElement);
+      const startTime = performance.now();
+      const result = await this.chatClient.sendMessageWithHistory(
+        modelName,
+        history,
+        userParts,
+        false,
+        {
+          systemInstruction: session?.systemInstruction || null,
+          generationConfig: session?.generationConfig || null,
+          safetySettings: session?.safetySettings || null,
+        }
+      );
+      const latencyMs = Math.round(performance.now() - startTime);
+      loadingElement.remove();
+
+      if (!result.response) {
+        throw new Error(result.error || "Unknown error during API call.");
+      }
+
+      const analysis = ResponseUtils.analyze(result.response);
+      if (analysis.blocked) {
+        historyElement.appendChild(
+          this.uiManager.createResponseStatusDiv(
+            ResponseUtils.describeReason(analysis.reason),
+            ResponseUtils.formatSafetyRatings(analysis.safetyRatings)
+          )
+        );
+        return false;
+      }
+
+      const usageMetadata = result.response.usageMetadata || null;
+      const finishReason = analysis.truncated ? analysis.reason : undefined;
+      const structuredOutput =
+        ResponseSchema.isStructuredOutput(session?.generationConfig) ||
+        undefined;
+      await this.storageManager.saveMessage(
+        {
+          sender: "model",
+          contentParts: analysis.parts,
+          modelName,
+          finishReason,
+          latencyMs,
+          usageMetadata: usageMetadata ?? undefined, // Shown again when the session is reopened
+          structuredOutput,
+        },
+        sessionId,
+        userMessageId
+      );
+      this.chatInterface.appendMessageTo(
+        historyElement,
+        "model",
+        analysis.parts,
+        usageMetadata,
+        { finishReason, structuredOutput, latencyMs }
+      );
+      return true;
+    } catch (error) {
+      console.error(`[ArenaController] Error from ${modelName}:`, error);
+      this.chatInterface.appendMessageTo(historyElement, "system", [
+        { text: `Error: ${error.message || error}` },
+      ]);
+      return false;
+    }
+  }
+
+  /**
+   * Disables the arena controls while a prompt is in flight.
+   * @param {boolean} disabled
+   * @private
+   */
+  _setControlsDisabled(disabled) {
+    if (this.arenaSendButton) this.arenaSendButton.disabled = disabled;
+    if (this.arenaResetButton) this.arenaResetButton.disabled = disabled;
+  }
+
+  /**
+   * Sets up event listeners for the arena controls.
+   * @private
+   */
+  _setupEventListeners() {
+    this.arenaSendButton?.addEventListener("click", () => this.handleSend());
+    this.arenaResetButton?.addEventListener("click", () =>
+      this.resetComparison()
+    );
+    this.arenaInput?.addEventListener("keydown", (event) => {
+      if (event.key === "Enter" && (event.ctrlKey || event.metaKey)) {
+        event.preventDefault();
+        this.handleSend();
+      }
+    });
+    // Models added since the list was drawn show up when the panel is opened
+    this.arenaPanel?.addEventListener("toggle", () => {
+      if (this.arenaPanel.open) this.renderModelList();
+    });
+  }
+}
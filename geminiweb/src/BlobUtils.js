@@ -0,0 +1,135 @@
+// SHA-256 round constants (first 32 bits of the fractional parts of the cube roots of the first 64 primes)
+const SHA256_K = new Uint32Array([
+  0x428a2f98, 0x71374491, 0xb5c0fbcf, 0xe9b5dba5, 0x3956c25b, 0x59f111f1,
+  0x923f82a4, 0xab1c5ed5, 0xd807aa98, 0x12835b01, 0x243185be, 0x550c7dc3,
+  0x72be5d74, 0x80deb1fe, 0x9bdc06a7, 0xc19bf174, 0xe49b69c1, 0xefbe4786,
+  0x0fc19dc6, 0x240ca1cc, 0x2de92c6f, 0x4a7484aa, 0x5cb0a9dc, 0x76f988da,
+  0x983e5152, 0xa831c66d, 0xb00327c8, 0xbf597fc7, 0xc6e00bf3, 0xd5a79147,
+  0x06ca6351, 0x14292967, 0x27b70a85, 0x2e1b2138, 0x4d2c6dfc, 0x53380d13,
+  0x650a7354, 0x766a0abb, 0x81c2c92e, 0x92722c85, 0xa2bfe8a1, 0xa81a664b,
+  0xc24b8b70, 0xc76c51a3, 0xd192e819, 0xd6990624, 0xf40e3585, 0x106aa070,
+  0x19a4c116, 0x1e376c08, 0x2748774c, 0x34b0bcb5, 0x391c0cb3, 0x4ed8aa4a,
+  0x5b9cca4f, 0x682e6ff3, 0x748f82ee, 0x78a5636f, 0x84c87814, 0x8cc70208,
+  0x90befffa, 0xa4506ceb, 0xbef9a3f7, 0xc67178f2,
+]);
+const SHA256_INITIAL_HASH = [
+  0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a, 0x510e527f, 0x9b05688c,
+  0x1f83d9ab, 0x5be0cd19,
+];
+
+const rotateRight = (value, bits) => (value >>> bits) | (value << (32 - bits));
+
+/**
+ * Helpers for the attachment blob store (see StorageManager): content hashes and base64 conversion.
+ */
+export class BlobUtils {
+  /**
+   * Computes the SHA-256 hash of some bytes, with Web Crypto where it is available
+   * (it is missing outside secure contexts, e.g. when the page is opened from a file).
+   * @param {Uint8Array} bytes - The data.
+   * @returns {Promise<string>} The hash as lowercase hex.
+   */
+  static async sha256(bytes) {
+    if (!globalThis.crypto?.subtle) return BlobUtils.sha256Sync(bytes);
+    const digest = await crypto.subtle.digest("SHA-256", bytes);
+    return BlobUtils._toHex(new Uint8Array(digest));
+  }
+
+  /**
+   * Computes the SHA-256 hash of some bytes synchronously, for code that cannot await (the IndexedDB
+   * upgrade transaction commits as soon as it has no pending requests).
+   * @param {Uint8Array} bytes - The data.
+   * @returns {string} The hash as lowercase hex.
+   */
+  static sha256Sync(bytes) {
+    // Padding: a 1 bit, zeros, then the message length in bits as a 64-bit big-endian number
+    const paddedLength = Math.ceil((bytes.length + 9) / 64) * 64;
+    const padded = new Uint8Array(paddedLength);
+    padded.set(bytes);
+    padded[bytes.length] = 0x80;
+    const view = new DataView(padded.buffer);
+    view.setUint32(paddedLength - 8, Math.floor(bytes.length / 0x20000000));
+    view.setUint32(paddedLength - 4, (bytes.length << 3) >>> 0);
+
+    const hash = new Uint32Array(SHA256_INITIAL_HASH);
+    const words = new Uint32Array(64);
+    for (let offset = 0; offset < paddedLength; offset += 64) {
+      for (let i = 0; i < 16; i++) {
+        words[i] = view.getUint32(offset + i * 4);
+      }
+      for (let i = 16; i < 64; i++) {
+        const w15 = words[i - 15];
+        const w2 = words[i - 2];
+        const s0 = rotateRight(w15, 7) ^ rotateRight(w15, 18) ^ (w15 >>> 3);
+        const s1 = rotateRight(w2, 17) ^ rotateRight(w2, 19) ^ (w2 >>> 10);
+        words[i] = words[i - 16] + s0 + words[i - 7] + s1;
+      }
+
+      let [a, b, c, d, e, f, g, h] = hash;
+      for (let i = 0; i < 64; i++) {
+        const s1 = rotateRight(e, 6) ^ rotateRight(e, 11) ^ rotateRight(e, 25);
+        const choice = (e & f) ^ (~e & g);
+        const temp1 = (h + s1 + choice + SHA256_K[i] + words[i]) | 0;
+        const s0 = rotateRight(a, 2) ^ rotateRight(a, 13) ^ rotateRight(a, 22);
+        const majority = (a & b) ^ (a & c) ^ (b & c);
+        const temp2 = (s0 + majority) | 0;
+        h = g;
+        g = f;
+        f = e;
+        e = (d + temp1) | 0;
+        d = c;
+        c = b;
+        b = a;
+        a = (temp1 + temp2) | 0;
+      }
+      hash[0] += a;
+      hash[1] += b;
+      hash[2] += c;
+      hash[3] += d;
+      hash[4] += e;
+      hash[5] += f;
+      hash[6] += g;
+      hash[7] += h;
+    }
+
+    return [...hash].map((word) => word.toString(16).padStart(8, "0")).join("");
+  }
+
+  /**
+   * @param {string} base64 - Base64-encoded data.
+   * @returns {Uint8Array} The decoded bytes.
+   */
+  static base64ToBytes(base64) {
+    const binary = atob(base64);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+      bytes[i] = binary.charCodeAt(i);
+    }
+    return bytes;
+  }
+
+  /**
+   * Reads a Blob as base64, e.g. for an `inlineData` part.
+   * @param {Blob} blob - The data.
+   * @returns {Promise<string>} The base64-encoded content (without a data URL prefix).
+   */
+  static blobToBase64(blob) {
+    return new Promise((resolve, reject) => {
+      const reader = new FileReader();
+      reader.onload = () => resolve(reader.result.split(",")[1] ?? "");
+      reader.onerror = () => reject(reader.error);
+      reader.readAsDataURL(blob);
+    });
+  }
+
+  /**
+   * @param {Uint8Array} bytes
+   * @returns {string} The bytes as lowercase hex.
+   * @private
+   */
+  static _toHex(bytes) {
+    return [...bytes]
+      .map((byte) => byte.toString(16).padStart(2, "0"))
+      .join("");
+  }
+}
@@ -19,10 +19,44 @@ export class ChatClient {
     this.genAI = null; // GoogleGenerativeAI instance
     this.chat = null; // Active ChatSession instance
     this.currentModelName = null; // Track the model used for the current chat session
+    this.currentSystemInstruction = null; // System instruction of the current chat session, if any
+    this.currentGenerationConfig = null; // Generation config of the current chat session, if any
+    this.currentSafetySettings = null; // Safety settings of the current chat session, if any
+    this.toolRegistry = null; // Local tools offered through function calling, if any
 
     this.useGoogleSearchCheckbox = this.uiManager.getElement(
       "useGoogleSearchCheckbox"
     );
+    this.useLocalToolsCheckbox = this.uiManager.getElement(
+      "useLocalToolsCheckbox"
+    );
+    this.useCodeExecutionCheckbox = this.uiManager.getElement(
+      "useCodeExecutionCheckbox"
+    );
+  }
+
+  /**
+   * Sets the registry of local tools declared to the model when local tools are enabled.
+   * @param {ToolRegistry} toolRegistry - The tool registry.
+   */
+  setToolRegistry(toolRegistry) {
+    this.toolRegistry = toolRegistry;
+  }
+
+  /**
+   * @returns {boolean} Whether local tools are enabled in the UI and any are registered.
+   */
+  areLocalToolsEnabled() {
+    return (
+      !!this.useLocalToolsCheckbox?.checked && !!this.toolRegistry?.hasTools()
+    );
+  }
+
+  /**
+   * @returns {boolean} Whether the code execution tool is enabled in the UI.
+   */
+  isCodeExecutionEnabled() {
+    return !!this.useCodeExecutionCheckbox?.checked;
   }
 
   /**
@@ -108,10 +142,35 @@ export class ChatClient {
         // Proceed with empty history
       }
 
-      // 2. Get Model Instance
-      const model = this.genAI.getGenerativeModel({ model: modelName });
+      // 2. Get the session's settings (system instruction, generation config, safety settings)
+      let systemInstruction = null;
+      let generationConfig = null;
+      let safetySettings = null;
+      try {
+        const session = await this.storageManager.getSession(sessionId);
+        systemInstruction = session?.systemInstruction || null;
+        generationConfig = session?.generationConfig || null;
+        safetySettings = session?.safetySettings || null;
+      } catch (sessionError) {
+        console.error(
+          `Error loading settings for session ${sessionId}:`,
+          sessionError
+        );
+      }
+      this.currentSystemInstruction = systemInstruction;
+      this.currentGenerationConfig = generationConfig;
+      this.currentSafetySettings = safetySettings;
+
+      // 3. Get Model Instance
+      const model = this.genAI.getGenerativeModel(
+        this._buildModelParams(modelName, {
+          systemInstruction,
+          generationConfig,
+          safetySettings,
+        })
+      );
 
-      // 3. Prepare StartChatParams (History and Tools)
+      // 4. Prepare StartChatParams (History and Tools)
       const startChatParams = {
         history: history,
         tools: [],
@@ -132,7 +191,19 @@ export class ChatClient {
         );
       }
 
-      // 4. Start Chat
+      // Check if local tools (function calling) should be enabled
+      if (this.areLocalToolsEnabled()) {
+        startChatParams.tools.push(this._buildLocalToolsDeclaration());
+        console.log("Local tools enabled for this chat session.");
+      }
+
+      // Check if code execution should be enabled
+      if (this.isCodeExecutionEnabled()) {
+        startChatParams.tools.push({ codeExecution: {} });
+        console.log("Code execution tool enabled for this chat session.");
+      }
+
+      // 5. Start Chat
       this.chat = model.startChat(startChatParams);
 
       console.log("Chat session initialized successfully.");
@@ -162,9 +233,14 @@ export class ChatClient {
   /**
    * Sends a message (with text and/or files) to the current chat session.
    * @param {Array<object>} messageParts - An array of parts (text or inlineData).
-   * @returns {Promise<{response: object, error?: string}>} An object containing the API response or an error message.
+   * @param {object} [options={}] - Optional send options.
+   * @param {function(object): void} [options.onChunk] - If provided, the response is streamed
+   *   and this callback receives each chunk response as it arrives.
+   * @param {AbortSignal} [options.signal] - Aborts the request when signalled.
+   * @returns {Promise<{response: object, error?: string, aborted?: boolean}>} An object containing the API
+   *   response or an error message. `aborted` is true when the request was cancelled through `options.signal`.
    */
-  async sendMessage(messageParts) {
+  async sendMessage(messageParts, options = {}) {
     if (!this.isChatReady()) {
       console.error("Chat session is not ready. Cannot send message.");
       return { error: "Chat session not initialized." };
@@ -179,17 +255,70 @@ export class ChatClient {
     );
 
     try {
-      const result = await this.chat.sendMessage(messageParts);
+      const requestOptions = { signal: options.signal };
+      if (options.onChunk) {
+        const response = await this._consumeStream(
+          await this.chat.sendMessageStream(messageParts, requestOptions),
+          options.onChunk,
+          options.signal
+        );
+        console.log("Message streamed successfully.");
+        return { response };
+      }
+      const result = await this.chat.sendMessage(messageParts, requestOptions);
       console.log("Message sent successfully.");
       // Note: result.response.text() is a function that needs to be called
       // We return the whole response object so the caller can extract text, usage, etc.
       return { response: result.response };
     } catch (error) {
+      if (options.signal?.aborted) {
+        console.log("Message request aborted by user.");
+        return { error: "Generation stopped.", aborted: true };
+      }
       console.error("Error sending message via Gemini API:", error);
       return { error: error.message || "Unknown error sending message." };
     }
   }
 
+  /**
+   * Builds the parameters for `getGenerativeModel`.
+   * @param {string} modelName - The generative model name.
+   * @param {object} [settings={}] - Optional session settings.
+   * @param {string | null} [settings.systemInstruction] - System instruction.
+   * @param {object | null} [settings.generationConfig] - Generation config (temperature, topP, ...).
+   * @param {Array<{category: string, threshold: string}> | null} [settings.safetySettings] - Safety
+   *   thresholds per harm category.
+   * @returns {object} The model parameters.
+   * @private
+   */
+  _buildModelParams(
+    modelName,
+    { systemInstruction, generationConfig, safetySettings } = {}
+  ) {
+    const modelParams = { model: modelName };
+    if (systemInstruction) {
+      modelParams.systemInstruction = systemInstruction;
+    }
+    if (generationConfig && Object.keys(generationConfig).length > 0) {
+      modelParams.generationConfig = generationConfig;
+    }
+    if (safetySettings && safetySettings.length > 0) {
+      modelParams.safetySettings = safetySettings;
+    }
+    return modelParams;
+  }
+
+  /**
+   * Builds the tool entry declaring the registered local tools.
+   * @returns {{functionDeclarations: Array<object>}}
+   * @private
+   */
+  _buildLocalToolsDeclaration() {
+    return {
+      functionDeclarations: this.toolRegistry.getFunctionDeclarations(),
+    };
+  }
+
   /**
    * Re-initializes the chat session, typically after settings like the model or Google Search change.
    * Uses the currently stored model name and the provided session ID.
@@ -218,13 +347,20 @@ export class ChatClient {
    * @param {Array<{role: string, parts: Array<object>}>} history - The specific history context to use.
    * @param {Array<object>} messageParts - An array of parts (text or inlineData) for the message to send.
    * @param {boolean} useGoogleSearch - Whether to enable the Google Search tool for this specific call.
-   * @returns {Promise<{response: object, error?: string}>} An object containing the API response or an error message.
+   * @param {object} [options={}] - Optional send options (see `sendMessage`).
+   * @param {string | null} [options.systemInstruction] - System instruction for this call.
+   * @param {object | null} [options.generationConfig] - Generation config for this call.
+   * @param {Array<object> | null} [options.safetySettings] - Safety settings for this call.
+   * @param {boolean} [options.useLocalTools] - Whether to declare the local tools for this call.
+   * @param {boolean} [options.useCodeExecution] - Whether to enable code execution for this call.
+   * @returns {Promise<{response: object, error?: string, aborted?: boolean}>} An object containing the API response or an error message.
    */
   async sendMessageWithHistory(
     modelName,
     history,
     messageParts,
-    useGoogleSearch
+    useGoogleSearch,
+    options = {}
   ) {
     if (!this.genAI) {
       console.error(
@@ -247,7 +383,9 @@ export class ChatClient {
 
     try {
       // 1. Get Model Instance
-      const model = this.genAI.getGenerativeModel({ model: modelName });
+      const model = this.genAI.getGenerativeModel(
+        this._buildModelParams(modelName, options)
+      );
 
       // 2. Prepare StartChatParams (History and Tools)
       const startChatParams = {
@@ -265,16 +403,38 @@ export class ChatClient {
           "Google Search Retrieval tool enabled for this specific call."
         );
       }
+      if (options.useLocalTools && this.toolRegistry?.hasTools()) {
+        startChatParams.tools.push(this._buildLocalToolsDeclaration());
+        console.log("Local tools enabled for this specific call.");
+      }
+      if (options.useCodeExecution) {
+        startChatParams.tools.push({ codeExecution: {} });
+        console.log("Code execution tool enabled for this specific call.");
+      }
 
       // 3. Start a TEMPORARY Chat Session
       const tempChat = model.startChat(startChatParams);
 
       // 4. Send the Message using the temporary chat
-      const result = await tempChat.sendMessage(messageParts);
+      const requestOptions = { signal: options.signal };
+      if (options.onChunk) {
+        const response = await this._consumeStream(
+          await tempChat.sendMessageStream(messageParts, requestOptions),
+          options.onChunk,
+          options.signal
+        );
+        console.log("Message streamed successfully using temporary chat.");
+        return { response };
+      }
+      const result = await tempChat.sendMessage(messageParts, requestOptions);
       console.log("Message sent successfully using temporary chat.");
 
       return { response: result.response };
     } catch (error) {
+      if (options.signal?.aborted) {
+        console.log("Message request with history aborted by user.");
+        return { error: "Generation stopped.", aborted: true };
+      }
       console.error(
         "Error sending message with history via Gemini API:",
         error
@@ -284,4 +444,42 @@ export class ChatClient {
       };
     }
   }
+
+  /**
+   * Reads a streaming result chunk by chunk and resolves with the aggregated response.
+   * @param {{stream: AsyncIterable<object>, response: Promise<object>}} streamResult - Result of `sendMessageStream`.
+   * @param {function(object): void} onChunk - Called with each chunk response.
+   * @param {AbortSignal} [signal] - Stops reading the stream when signalled.
+   * @returns {Promise<object>} The aggregated response once the stream has finished.
+   * @private
+   */
+  async _consumeStream(streamResult, onChunk, signal) {
+    const chunkParts = new Map(); // Candidate index -> parts in arrival order
+    for await (const chunk of streamResult.stream) {
+      // Don't rely on the SDK alone to honour the signal for an already open stream
+      signal?.throwIfAborted();
+      (chunk.candidates || []).forEach((candidate, i) => {
+        const index = candidate.index ?? i;
+        chunkParts.set(index, [
+          ...(chunkParts.get(index) || []),
+          ...(candidate.content?.parts || []),
+        ]);
+      });
+      try {
+        onChunk(chunk);
+      } catch (callbackError) {
+        console.error("Error in stream chunk callback:", callbackError);
+      }
+    }
+    const response = await streamResult.response;
+    // The SDK's aggregated response drops inlineData parts (generated images), so candidates with
+    // images get their parts from the chunks; ResponseUtils joins the text pieces again.
+    (response.candidates || []).forEach((candidate, i) => {
+      const parts = chunkParts.get(candidate.index ?? i) || [];
+      if (candidate.content && parts.some((part) => part.inlineData)) {
+        candidate.content.parts = parts;
+      }
+    });
+    return response;
+  }
 }
@@ -5,6 +5,11 @@ import { ChatInterface } from "./ChatInterface.js";
 import { UIManager } from "./UIManager.js";
 import { SessionManager } from "./SessionManager.js"; // Need SessionManager to get current session ID
 import { ModelManager } from "./ModelManager.js"; // Need ModelManager to get current model
+import { SessionTitler } from "./SessionTitler.js";
+import { ResponseUtils } from "./ResponseUtils.js";
+import { ResponseSchema } from "./ResponseSchema.js";
+import { ToolRegistry } from "./ToolRegistry.js";
+import { MAX_TOOL_ROUNDS } from "./Config.js";
 
 /**
  * Handles chat-related workflows, including sending messages and retries.
@@ -17,7 +22,9 @@ export class ChatController {
     chatInterface,
     uiManager,
     sessionManager,
-    modelManager
+    modelManager,
+    sessionTitler = null, // Optional: names sessions after their first exchange
+    toolRegistry = null // Optional: runs the function calls of the model
   ) {
     if (
       !chatClient ||
@@ -39,20 +46,61 @@ export class ChatController {
     this.uiManager = uiManager;
     this.sessionManager = sessionManager;
     this.modelManager = modelManager;
+    this.sessionTitler = sessionTitler;
+    this.toolRegistry = toolRegistry;
 
     // Get references to specific UI elements needed for ChatController logic
     this.messageInput = this.uiManager.getElement("messageInput");
     this.useGoogleSearchCheckbox = this.uiManager.getElement(
       "useGoogleSearchCheckbox"
     );
+    this.streamResponsesCheckbox = this.uiManager.getElement(
+      "streamResponsesCheckbox"
+    );
+
+    // AbortController of the request currently in flight (null when idle)
+    this.activeAbortController = null;
 
     console.log("ChatController constructed.");
   }
 
+  /**
+   * Checks whether a send or retry request is currently in flight.
+   * @returns {boolean}
+   */
+  isGenerating() {
+    return !!this.activeAbortController;
+  }
+
+  /**
+   * Handles the "Stop" button: aborts the request currently in flight.
+   *
+   * What happens to the interrupted turn is decided by the handler that started it:
+   * - Send with partial streamed text: the partial text is saved as a model message flagged `interrupted`.
+   * - Send with nothing received yet: the saved user message is deleted and restored to the input.
+   * - Retry: the partial text is discarded and the existing response is left unchanged.
+   */
+  handleStop() {
+    if (!this.activeAbortController) return;
+    console.log("[ChatController] Stop requested, aborting in-flight request.");
+    this.activeAbortController.abort();
+  }
+
   /**
    * Handles the process of sending a message from the user input.
    */
   async handleSendMessage() {
+    if (this.isGenerating()) {
+      return; // Only one request at a time; the user can press Stop first
+    }
+    if (this.fileManager.isProcessing()) {
+      this.uiManager.updateStatus(
+        "Attachments are still being resized or trimmed. Send again when they are ready.",
+        "warning"
+      );
+      return;
+    }
+
     const textInput = this.messageInput?.value.trim() ?? "";
     const filesToSend = this.fileManager.getAttachedFiles(); // Get copies
 
@@ -88,12 +136,25 @@ export class ChatController {
 
     // File parts (convert for API, use dataUrl for display)
     let fileParts = [];
+    let uploadedFiles = [];
     if (filesToSend.length > 0) {
       try {
+        if (this.fileManager.hasPendingUploads()) {
+          this.uiManager.updateStatus(
+            "Waiting for file uploads to finish...",
+            "info"
+          );
+        }
         fileParts = await this.fileManager.getFilesAsGenerativeParts();
+        uploadedFiles = this.fileManager.getUploadedFiles();
         apiMessageParts.push(...fileParts);
 
-        filesToSend.forEach((f) => {
+        filesToSend.forEach((f, index) => {
+          if (!f.dataUrl) {
+            // Uploaded through the File API: shown as the file reference
+            userDisplayParts.push(fileParts[index]);
+            return;
+          }
           // Extract base64 data from dataUrl for display consistency
           const base64Data = f.dataUrl.split(",")[1];
           userDisplayParts.push({
@@ -117,72 +178,361 @@ export class ChatController {
     this.uiManager.clearMessageInput();
     this.fileManager.clearAttachments();
 
+    await this._sendUserTurn(
+      currentSessionId,
+      apiMessageParts,
+      userDisplayParts,
+      {
+        text: textInput,
+        files: filesToSend,
+      },
+      uploadedFiles
+    );
+  }
+
+  /**
+   * Handles saving an edited user message: the edit is stored as a new sibling of the original
+   * message and a reply is generated for it. The original message and the turns after it stay in
+   * the tree as an alternate branch, reachable through the sibling navigation.
+   * @param {number} userMessageId - The ID of the user message being edited.
+   * @param {string} newText - The replacement text for the message.
+   * @returns {Promise<boolean>} True if the edited message was saved and answered (history should be reloaded).
+   */
+  async handleEditMessage(userMessageId, newText) {
+    console.log(
+      `[ChatController] Handling edit for user message ID: ${userMessageId}`
+    );
+    const trimmedText = newText?.trim() ?? "";
+    const currentSessionId = this.sessionManager.getCurrentSessionId();
+
+    if (this.isGenerating()) {
+      this.uiManager.updateStatus(
+        "Please wait for the current response or press Stop.",
+        "warning"
+      );
+      return false;
+    }
+    if (!currentSessionId) {
+      this.uiManager.updateStatus(
+        "Error: Cannot edit (no active session).",
+        "error"
+      );
+      return false;
+    }
+
+    try {
+      const originalParts = await this.storageManager.getMessageContent(
+        currentSessionId,
+        userMessageId
+      );
+      const parentId = await this.storageManager.getParentId(userMessageId);
+      if (!originalParts || parentId === undefined) {
+        throw new Error("Could not retrieve the message to edit.");
+      }
+
+      // Replace the text, keep attachments in their original order after it
+      const editedParts = originalParts.filter((part) => !part.text);
+      if (trimmedText) {
+        editedParts.unshift({ text: trimmedText });
+      }
+      if (editedParts.length === 0) {
+        throw new Error("The edited message is empty.");
+      }
+
+      const editedMessage = { sender: "user", contentParts: editedParts };
+      // Kept File API attachments keep their expiry records
+      const originalMessage = (
+        await this.storageManager.getAllMessagesForSession(currentSessionId)
+      ).find((msg) => msg.id === userMessageId);
+      if (originalMessage?.uploadedFiles) {
+        editedMessage.uploadedFiles = originalMessage.uploadedFiles;
+      }
+
+      const editedMessageId = await this.storageManager.saveMessage(
+        editedMessage,
+        currentSessionId,
+        parentId
+      );
+
+      // Show the new branch right away; the full reload afterwards adds the sibling navigation
+      this.chatInterface.removeMessagesFrom(userMessageId);
+      this.chatInterface.addMessage(
+        "user",
+        editedParts,
+        null,
+        editedMessageId,
+        {
+          uploadedFiles: editedMessage.uploadedFiles,
+        }
+      );
+
+      return await this._generateReply(
+        currentSessionId,
+        editedMessageId,
+        "Edit"
+      );
+    } catch (error) {
+      console.error("[ChatController] Error during edit:", error);
+      this.uiManager.updateStatus(`Edit failed: ${error.message}`, "error");
+      return false;
+    }
+  }
+
+  /**
+   * Handles selecting another branch through the sibling navigation of a message.
+   * @param {number} messageId - The ID of the sibling message to switch to.
+   * @returns {Promise<boolean>} True if the branch was switched (history should be reloaded).
+   */
+  async handleSelectBranch(messageId) {
+    const currentSessionId = this.sessionManager.getCurrentSessionId();
+    if (this.isGenerating() || !currentSessionId) {
+      return false;
+    }
+
+    try {
+      await this.storageManager.selectBranch(currentSessionId, messageId);
+      await this.chatClient.reInitializeChatSession(currentSessionId);
+      return true;
+    } catch (error) {
+      console.error("[ChatController] Error switching branch:", error);
+      this.uiManager.updateStatus(
+        `Error switching branch: ${error.message || error}`,
+        "error"
+      );
+      return false;
+    }
+  }
+
+  /**
+   * Handles picking a candidate in a side-by-side comparison: it becomes the selected model turn and the
+   * other candidates stay as alternates.
+   * @param {number} messageId - The ID of the chosen candidate message.
+   * @returns {Promise<boolean>} True if the candidate was picked (history should be reloaded).
+   */
+  async handlePickCandidate(messageId) {
+    const currentSessionId = this.sessionManager.getCurrentSessionId();
+    if (this.isGenerating() || !currentSessionId) {
+      return false;
+    }
+
+    try {
+      await this.storageManager.pickCandidate(currentSessionId, messageId);
+      await this.chatClient.reInitializeChatSession(currentSessionId);
+      return true;
+    } catch (error) {
+      console.error("[ChatController] Error picking candidate:", error);
+      this.uiManager.updateStatus(
+        `Error picking candidate: ${error.message || error}`,
+        "error"
+      );
+      return false;
+    }
+  }
+
+  /**
+   * Saves and displays a user turn, sends it through the active chat session (tool results go with the
+
+   * stored branch instead) and handles the response.
+   * @param {number} sessionId - The session to send in (must be the one the chat client is initialized for).
+   * @param {Array<object>} apiMessageParts - Parts sent to the API and saved.
+   * @param {Array<object>} userDisplayParts - Parts displayed for the user bubble.
+   * @param {{text: string, files: Array<{file: File}>}} restoreInput - Input restored if the turn is stopped
+   *   before anything is generated.
+   * @param {Array<object>} [uploadedFiles=[]] - File API records of the attachments sent as `fileData`
+   *   (see `FileManager.getUploadedFiles`), saved with the message.
+   * @private
+   */
+  async _sendUserTurn(
+    sessionId,
+    apiMessageParts,
+    userDisplayParts,
+    restoreInput,
+    uploadedFiles = []
+  ) {
+    const userMessage = { sender: "user", contentParts: apiMessageParts };
+    if (uploadedFiles.length > 0) {
+      userMessage.uploadedFiles = uploadedFiles;
+    }
+
     // --- Save and Display User Message ---
     let userMessageId = null;
     try {
       // Save the message first to get its ID
       userMessageId = await this.storageManager.saveMessage(
-        { sender: "user", contentParts: apiMessageParts },
-        currentSessionId
+        userMessage,
+        sessionId
       );
       // Display user message *after* saving, passing the ID
       this.chatInterface.addMessage(
         "user",
         userDisplayParts,
         null,
-        userMessageId
+        userMessageId,
+        { uploadedFiles }
       );
     } catch (saveError) {
       console.error("Failed to save user message:", saveError);
       // Display user message even if save failed, but without an ID
-      this.chatInterface.addMessage("user", userDisplayParts);
+      this.chatInterface.addMessage("user", userDisplayParts, null, null, {
+        uploadedFiles,
+      });
     }
 
+    // Settings of this turn. Tools can take a while, and switching session or toggling a tool meanwhile
+    // replaces the chat session, so tool rounds are sent with them and the stored branch instead.
+    const modelName = this.chatClient.currentModelName;
+    const useGoogleSearch = this.useGoogleSearchCheckbox?.checked ?? false;
+    const sendSettings = {
+      systemInstruction: this.chatClient.currentSystemInstruction,
+      generationConfig: this.chatClient.currentGenerationConfig,
+      safetySettings: this.chatClient.currentSafetySettings,
+      useLocalTools: this.chatClient.areLocalToolsEnabled(),
+      useCodeExecution: this.chatClient.isCodeExecutionEnabled(),
+    };
+
     // --- Send to API ---
-    const loadingIndicator = this.chatInterface.addLoadingIndicator();
-    const result = await this.chatClient.sendMessage(apiMessageParts);
-    if (loadingIndicator) {
-      this.chatInterface.removeElement(loadingIndicator);
-    }
+    const firstSend = await this._sendWithProgress((sendOptions) =>
+      this.chatClient.sendMessage(apiMessageParts, sendOptions)
+    );
+
+    // --- Run requested tools; function responses are sent with the branch up to their own turn ---
+    const { result, streamingElement, streamedText, parentId } =
+      await this._runToolCalls(
+        sessionId,
+        userMessageId,
+        modelName,
+        firstSend,
+        async (functionResponseParts, functionMessageId) => {
+          const history = await this.storageManager.getHistoryUpToMessage(
+            sessionId,
+            functionMessageId,
+            false
+          );
+          return this._sendWithProgress((sendOptions) =>
+            this.chatClient.sendMessageWithHistory(
+              modelName,
+              history,
+              functionResponseParts,
+              useGoogleSearch,
+              { ...sendOptions, ...sendSettings }
+            )
+          );
+        }
+      );
 
     // --- Handle API Response ---
-    if (result.response) {
+    if (result.aborted) {
+      await this._handleStoppedSend(
+        sessionId,
+        userMessageId,
+        parentId,
+        streamingElement,
+        streamedText,
+        restoreInput.text,
+        restoreInput.files
+      );
+    } else if (result.response) {
       const response = result.response;
-      let responseText = "";
-      let responseParts = []; // Potentially handle function calls/other parts later
-
-      // Attempt to get text content
-      try {
-        responseText = response.text(); // Call the function
-        responseParts.push({ text: responseText });
-      } catch (textError) {
-        console.error("Error extracting text from API response:", textError);
-        responseText = "[Error extracting text content]";
-        responseParts.push({ text: responseText });
-      }
-
+      const analyses = ResponseUtils.analyzeCandidates(response);
+      const usable = analyses.filter((analysis) => !analysis.blocked);
       const usageInfo = response.usageMetadata; // Extract usage metadata
 
-      // Save and Display model response
-      let modelMessageId = null;
-      try {
-        modelMessageId = await this.storageManager.saveMessage(
-          { sender: "model", contentParts: responseParts },
-          currentSessionId
-        );
-        // Display model response *after* saving, passing the ID
-        this.chatInterface.addMessage(
-          "model",
-          responseParts,
-          usageInfo,
-          modelMessageId
-        );
-      } catch (saveError) {
-        console.error("Failed to save model response:", saveError);
-        // Display model response even if save failed, but without an ID
-        this.chatInterface.addMessage("model", responseParts, usageInfo);
+      if (usable.length === 0) {
+        // Nothing is saved. The chat object may have recorded an empty model turn,
+        // so rebuild it from storage.
+        this._showBlockedResponse(streamingElement, analyses[0]);
+        await this._resyncChatSession(sessionId);
+      } else if (usable.length > 1 && parentId) {
+        try {
+          const candidates = await this._saveCandidates(
+            sessionId,
+            parentId,
+            usable,
+            modelName,
+            sendSettings.generationConfig
+          );
+          this.chatInterface.removeElement(streamingElement);
+          this.chatInterface.addMessage(
+            "model",
+            candidates[0].contentParts,
+            usageInfo,
+            candidates[0].id,
+            { candidates }
+          );
+          this._titleSessionInBackground(sessionId);
+        } catch (saveError) {
+          console.error("Failed to save response candidates:", saveError);
+          this.chatInterface.removeElement(streamingElement);
+          this.uiManager.updateStatus(
+            `Error saving response candidates: ${
+              saveError.message || saveError
+            }`,
+            "error"
+          );
+        }
+        // The chat object only recorded the first candidate; follow the stored branch instead
+        await this._resyncChatSession(sessionId);
+      } else {
+        const analysis = usable[0];
+        const responseParts = analysis.parts;
+        const finishReason = analysis.truncated ? analysis.reason : undefined;
+        const groundingMetadata = analysis.groundingMetadata ?? undefined;
+        // Structured output replies are JSON, shown as a tree instead of Markdown
+        const structuredOutput =
+          ResponseSchema.isStructuredOutput(sendSettings.generationConfig) ||
+          undefined;
+        const displayOptions = {
+          finishReason,
+          groundingMetadata,
+          structuredOutput,
+        };
+
+        // Save and Display model response
+        let modelMessageId = null;
+        try {
+          modelMessageId = await this.storageManager.saveMessage(
+            {
+              sender: "model",
+              contentParts: responseParts,
+              modelName,
+              finishReason,
+              groundingMetadata,
+              structuredOutput,
+            },
+            sessionId,
+            parentId ?? undefined
+          );
+          // Display model response *after* saving, passing the ID
+          this._displayModelResponse(
+            streamingElement,
+            responseParts,
+            usageInfo,
+            modelMessageId,
+            displayOptions
+          );
+          this._titleSessionInBackground(sessionId);
+        } catch (saveError) {
+          console.error("Failed to save model response:", saveError);
+          // Display model response even if save failed, but without an ID
+          this._displayModelResponse(
+            streamingElement,
+            responseParts,
+            usageInfo,
+            null,
+            displayOptions
+          );
+        }
+        if (parentId !== userMessageId) {
+          // The tool rounds went around the chat session; bring it up to date with the stored turns
+          await this._resyncChatSession(sessionId);
+        }
       }
     } else if (result.error) {
+      this.chatInterface.removeElement(streamingElement);
+      if (parentId !== userMessageId) {
+        // Tool turns were saved; resync the chat session with them
+        await this._resyncChatSession(sessionId);
+      }
       // Display error message from sending
       this.chatInterface.addMessage("model", [
         { text: `Error: ${result.error}` },
@@ -192,40 +542,44 @@ export class ChatController {
         "error"
       );
     }
+
+    // New messages moved the session's last activity
+    await this.sessionManager.reloadSessions();
   }
 
   /**
    * Handles the "Retry" button click on a model message.
+   * The new response is saved as a sibling of the retried one, which stays available as an alternate branch.
    * @param {number} modelMessageId - The ID of the model message to retry.
+   * @returns {Promise<boolean>} True if a new response was generated (history should be reloaded).
    */
   async handleRetry(modelMessageId) {
     console.log(
       `[ChatController] Handling retry for model message ID: ${modelMessageId}`
     );
-    this.uiManager.updateStatus("Retrying...", "info");
 
     const currentSessionId = this.sessionManager.getCurrentSessionId();
-    const currentModelName = this.modelManager.getCurrentModel();
-    const useGoogleSearch = this.useGoogleSearchCheckbox?.checked ?? false;
 
-    if (!currentSessionId || !currentModelName) {
-      console.error(
-        "[ChatController] Cannot retry: Missing session ID or model name."
+    if (this.isGenerating()) {
+      this.uiManager.updateStatus(
+        "Please wait for the current response or press Stop.",
+        "warning"
       );
+      return false;
+    }
+
+    if (!currentSessionId) {
+      console.error("[ChatController] Cannot retry: Missing session ID.");
       this.uiManager.updateStatus(
-        "Error: Cannot retry (missing session or model).",
+        "Error: Cannot retry (missing session).",
         "error"
       );
-      return;
+      return false;
     }
 
-    let loadingIndicator = null;
+    this.uiManager.updateStatus("Retrying...", "info");
 
     try {
-      // --- Preparation Phase ---
-      console.log(
-        "[ChatController] Retry Step 1: Finding previous user message..."
-      );
       const userMessageId = await this.storageManager.findPreviousUserMessage(
         currentSessionId,
         modelMessageId
@@ -234,130 +588,551 @@ export class ChatController {
         throw new Error("Could not find the preceding user message to retry.");
       }
       console.log(
-        `[ChatController] Retry Step 1: Found user message ID: ${userMessageId}`
+        `[ChatController] Retry: Found user message ID: ${userMessageId}`
       );
+      return await this._generateReply(
+        currentSessionId,
+        userMessageId,
+        "Retry"
+      );
+    } catch (error) {
+      console.error("[ChatController] Error during retry process:", error);
+      this.uiManager.updateStatus(`Retry failed: ${error.message}`, "error");
+      return false;
+    }
+  }
 
+  /**
+   * Generates a new model reply to an existing user message and saves it as the selected child of
+   * that message (a new sibling of any earlier replies). Used by retry and edit.
+   * The history display is not updated; callers return the result so App can reload it.
+   * @param {number} sessionId - The ID of the session.
+   * @param {number} userMessageId - The ID of the user message to answer.
+   * @param {string} actionLabel - Label for status messages (e.g. "Retry").
+   * @returns {Promise<boolean>} True if a reply was generated and saved.
+   * @private
+   */
+  async _generateReply(sessionId, userMessageId, actionLabel) {
+    const currentModelName = this.modelManager.getCurrentModel();
+    const useGoogleSearch = this.useGoogleSearchCheckbox?.checked ?? false;
+
+    try {
+      if (!currentModelName) {
+        throw new Error("No model selected.");
+      }
+
+      // --- Preparation Phase ---
       console.log(
-        "[ChatController] Retry Step 2: Getting user message content..."
+        `[ChatController] ${actionLabel} Step 1: Getting user message content...`
       );
-      const userMessageParts = await this.storageManager.getMessageContent(
-        currentSessionId,
+      const storedParts = await this.storageManager.getMessageContent(
+        sessionId,
         userMessageId
       );
-      if (!userMessageParts) {
-        throw new Error(
-          "Could not retrieve the content of the user message to retry."
-        );
+      if (!storedParts) {
+        throw new Error("Could not retrieve the content of the user message.");
       }
+      const userMessageParts = await this.storageManager.resolveBlobParts(
+        storedParts
+      );
 
       console.log(
-        "[ChatController] Retry Step 3: Getting truncated history..."
+        `[ChatController] ${actionLabel} Step 2: Getting truncated history...`
       );
+      // The user message itself is sent as the new turn, so leave it out of the history
       const truncatedHistory = await this.storageManager.getHistoryUpToMessage(
-        currentSessionId,
-        userMessageId
+        sessionId,
+        userMessageId,
+        false
       );
 
       // --- Execution Phase ---
-      console.log("[ChatController] Retry Step 4: Adding loading indicator...");
-      loadingIndicator = this.chatInterface.addLoadingIndicator();
-
-      console.log("[ChatController] Retry Step 5: Sending request to API...");
-      const result = await this.chatClient.sendMessageWithHistory(
-        currentModelName,
+      console.log(
+        `[ChatController] ${actionLabel} Step 3: Sending request to API with progress display...`
+      );
+      const sendSettings = {
+        systemInstruction: this.chatClient.currentSystemInstruction,
+        generationConfig: this.chatClient.currentGenerationConfig,
+        safetySettings: this.chatClient.currentSafetySettings,
+        useLocalTools: this.chatClient.areLocalToolsEnabled(),
+        useCodeExecution: this.chatClient.isCodeExecutionEnabled(),
+      };
+      const sendWithHistory = (history, parts) =>
+        this._sendWithProgress((sendOptions) =>
+          this.chatClient.sendMessageWithHistory(
+            currentModelName,
+            history,
+            parts,
+            useGoogleSearch,
+            { ...sendOptions, ...sendSettings }
+          )
+        );
+      const firstSend = await sendWithHistory(
         truncatedHistory,
-        userMessageParts,
-        useGoogleSearch
+        userMessageParts
+      );
+      // Function responses are sent with the stored branch up to (not including) their own turn
+      const { result, streamingElement, parentId } = await this._runToolCalls(
+        sessionId,
+        userMessageId,
+        currentModelName,
+        firstSend,
+        async (functionResponseParts, functionMessageId) =>
+          sendWithHistory(
+            await this.storageManager.getHistoryUpToMessage(
+              sessionId,
+              functionMessageId,
+              false
+            ),
+            functionResponseParts
+          )
       );
+      const ranTools = parentId !== userMessageId;
+
+      // The history display is reloaded afterwards, so the streamed bubble is temporary
+      this.chatInterface.removeElement(streamingElement);
+
+      if (result.aborted) {
+        // A stopped generation saves nothing but finished tool turns; earlier replies stay as they were
+        console.log(`[ChatController] ${actionLabel} stopped by user.`);
+        this.uiManager.updateStatus(
+          ranTools
+            ? `${actionLabel} stopped. Tool results were kept.`
+            : `${actionLabel} stopped. Nothing was saved.`,
+          "info"
+        );
+        return ranTools;
+      }
+      if (!result.response) {
+        throw new Error(result.error || "Unknown error during API call.");
+      }
 
       console.log(
-        "[ChatController] Retry Step 6: Removing loading indicator..."
+        `[ChatController] ${actionLabel} Step 4: Handling API response...`
       );
-      if (loadingIndicator) {
-        this.chatInterface.removeElement(loadingIndicator);
-        loadingIndicator = null;
+      const analyses = ResponseUtils.analyzeCandidates(result.response);
+      const usable = analyses.filter((analysis) => !analysis.blocked);
+      if (usable.length === 0) {
+        // Blocked replies are shown but never saved; earlier replies stay as they were
+        this._showBlockedResponse(null, analyses[0]);
+        return false;
       }
 
-      console.log("[ChatController] Retry Step 7: Handling API response...");
-      if (result.response) {
-        const response = result.response;
-        let responseText = "";
-        let responseParts = [];
-        try {
-          responseText = response.text();
-          responseParts.push({ text: responseText });
-        } catch (textError) {
-          console.error(
-            "[ChatController] Error extracting text from retry response:",
-            textError
-          );
-          responseParts.push({ text: "[Error extracting text content]" });
-        }
-        // const usageInfo = response.usageMetadata; // Not needed for this approach
-
-        // --- Commit Phase (DB & UI) ---
+      // --- Commit Phase (DB & chat state) ---
+      if (usable.length > 1) {
+        // The reloaded history shows the candidates side by side until one is picked
+        const candidates = await this._saveCandidates(
+          sessionId,
+          parentId,
+          usable,
+          currentModelName,
+          sendSettings.generationConfig
+        );
         console.log(
-          `[ChatController] Retry Step 8: Updating message ${modelMessageId} content in DB...`
+          `[ChatController] ${actionLabel} Step 5: Saved ${candidates.length} candidates under message ${parentId}.`
+        );
+      } else {
+        const analysis = usable[0];
+        const newMessageId = await this.storageManager.saveMessage(
+          {
+            sender: "model",
+            contentParts: analysis.parts,
+            modelName: currentModelName,
+            finishReason: analysis.truncated ? analysis.reason : undefined,
+            groundingMetadata: analysis.groundingMetadata ?? undefined,
+            structuredOutput:
+              ResponseSchema.isStructuredOutput(
+                sendSettings.generationConfig
+              ) || undefined,
+          },
+          sessionId,
+          parentId
         );
-        await this.storageManager.updateMessageContent(
-          modelMessageId,
-          responseParts
-        ); // Use update instead of delete/save
         console.log(
-          `[ChatController] Retry Step 8: Updated message ${modelMessageId} content.`
+          `[ChatController] ${actionLabel} Step 5: Saved reply ${newMessageId} under message ${parentId}.`
         );
+      }
 
-        // 9. Re-initialize the main chat client *before* reloading UI
-        console.log(
-          "[ChatController] Retry Step 9: Re-initializing chat client state..."
+      // Re-initialize the main chat client so it follows the new branch
+      await this._resyncChatSession(sessionId);
+      await this.sessionManager.reloadSessions();
+      this._titleSessionInBackground(sessionId);
+
+      console.log(`[ChatController] ${actionLabel} successful.`);
+      this.uiManager.updateStatus(`${actionLabel} successful.`, "success");
+      return true;
+    } catch (error) {
+      console.error(`[ChatController] Error during ${actionLabel}:`, error);
+      this.uiManager.updateStatus(
+        `${actionLabel} failed: ${error.message}`,
+        "error"
+      );
+      return false;
+    }
+  }
+
+  /**
+   * Saves the usable candidates of a multi-candidate response as sibling model turns under the same
+   * message, marked as awaiting the user's pick. The first candidate is selected until then.
+   * @param {number} sessionId - The ID of the session.
+   * @param {number} userMessageId - The message the candidates answer (a user turn or tool results).
+   * @param {Array<object>} analyses - Results of `ResponseUtils.analyzeCandidates` that are not blocked.
+   * @param {string} modelName - The model that generated the candidates.
+   * @param {object | null} generationConfig - The generation config of the request (for structured output).
+   * @returns {Promise<Array<object>>} The saved candidate messages (with `id`), in candidate order.
+   * @private
+   */
+  async _saveCandidates(
+    sessionId,
+    userMessageId,
+    analyses,
+    modelName,
+    generationConfig
+  ) {
+    // Stored like a single answer (see `_sendUserTurn`), so every candidate displays the same way
+    const structuredOutput =
+      ResponseSchema.isStructuredOutput(generationConfig) || undefined;
+    const candidateGroup = new Date().toISOString();
+    const candidates = [];
+    for (const analysis of analyses) {
+      const message = {
+        sender: "model",
+        contentParts: analysis.parts,
+        modelName,
+        finishReason: analysis.truncated ? analysis.reason : undefined,
+        groundingMetadata: analysis.groundingMetadata ?? undefined,
+        structuredOutput,
+        candidateGroup,
+        candidatePending: true,
+      };
+      const id = await this.storageManager.saveMessage(
+        message,
+        sessionId,
+        userMessageId
+      );
+      candidates.push({ ...message, id });
+    }
+    await this.storageManager.selectBranch(sessionId, candidates[0].id);
+    return candidates;
+  }
+
+  /**
+   * Starts automatic titling of a session without waiting for it; the sidebar is refreshed
+   * when a title was set.
+   * @param {number} sessionId - The ID of the session.
+   * @private
+   */
+  _titleSessionInBackground(sessionId) {
+    this.sessionTitler?.titleSession(sessionId).then((title) => {
+      if (title) this.sessionManager.reloadSessions();
+    });
+  }
+
+  /**
+   * Runs an API request while showing progress: a streaming bubble that fills in as chunks
+   * arrive when streaming is enabled, otherwise the plain loading indicator.
+   * The request can be cancelled with `handleStop` while it runs.
+   * @param {function(object): Promise<{response?: object, error?: string, aborted?: boolean}>} sendFn - Performs
+   *   the API call, forwarding the given send options to ChatClient.
+   * @returns {Promise<{result: {response?: object, error?: string, aborted?: boolean}, streamingElement: HTMLElement | null, streamedText: string}>}
+   *   The API result, the streaming bubble (null when not streaming), which the caller must finalize or remove,
+   *   and the text streamed so far.
+   * @private
+   */
+  async _sendWithProgress(sendFn) {
+    const streamResponses = this.streamResponsesCheckbox?.checked ?? false;
+    const abortController = new AbortController();
+    this.activeAbortController = abortController;
+    this.uiManager.setGenerating(true);
+
+    try {
+      if (!streamResponses) {
+        const loadingIndicator = this.chatInterface.addLoadingIndicator();
+        const result = await sendFn({ signal: abortController.signal });
+        if (loadingIndicator) {
+          this.chatInterface.removeElement(loadingIndicator);
+        }
+        return { result, streamingElement: null, streamedText: "" };
+      }
+
+      const streamingElement = this.chatInterface.addStreamingMessage();
+      let streamedText = "";
+      const result = await sendFn({
+        signal: abortController.signal,
+        onChunk: (chunk) => {
+          try {
+            streamedText += chunk.text();
+          } catch (chunkError) {
+            // Chunks without text (e.g. a final safety block) are simply skipped here
+            console.warn("[ChatController] Chunk without text:", chunkError);
+            return;
+          }
+          this.chatInterface.updateStreamingMessage(
+            streamingElement,
+            streamedText
+          );
+        },
+      });
+      return { result, streamingElement, streamedText };
+    } finally {
+      this.activeAbortController = null;
+      this.uiManager.setGenerating(false);
+    }
+  }
+
+  /**
+   * Runs the function calling loop: while a response asks for function calls, saves the model turn
+   * with the calls, runs the tools, saves their results as a "function" turn and sends them back.
+   * Each saved turn is displayed right away. Stopping while tools run ends the loop.
+   * @param {number} sessionId - The ID of the session.
+   * @param {number | null} parentId - The message the first response answers (null if it wasn't saved,
+   *   in which case no tools are run).
+   * @param {string} modelName - The model that is called.
+   * @param {{result: object, streamingElement: HTMLElement | null, streamedText: string}} sent - Result of
+   *   the first `_sendWithProgress`.
+   * @param {function(Array<object>, number): Promise<object>} sendFunctionResponses - Sends function response
+   *   parts (already saved as the given message ID) and returns the next `_sendWithProgress` result.
+   * @returns {Promise<{result: object, streamingElement: HTMLElement | null, streamedText: string,
+   *   parentId: number | null}>} The first result without function calls, and the last saved turn, which
+   *   the final answer continues.
+   * @private
+   */
+  async _runToolCalls(
+    sessionId,
+    parentId,
+    modelName,
+    sent,
+    sendFunctionResponses
+  ) {
+    let current = sent;
+    for (let round = 0; current.result.response; round++) {
+      const functionCalls = ResponseUtils.getFunctionCalls(
+        current.result.response
+      );
+      if (functionCalls.length === 0 || !parentId) break;
+      if (!this.toolRegistry || round >= MAX_TOOL_ROUNDS) {
+        const error = this.toolRegistry
+          ? `Stopped after ${MAX_TOOL_ROUNDS} rounds of tool calls.`
+          : "The model called a tool, but no tools are available.";
+        return { ...current, result: { error }, parentId };
+      }
+      this.chatInterface.removeElement(current.streamingElement);
+
+      const abortController = new AbortController();
+      this.activeAbortController = abortController;
+      this.uiManager.setGenerating(true);
+      const responseParts = [];
+      try {
+        const callParts = ResponseUtils.getContentParts(
+          current.result.response
         );
-        await this.chatClient.reInitializeChatSession(currentSessionId);
-        console.log(
-          "[ChatController] Retry Step 9: Chat client re-initialized"
+        const callMessageId = await this.storageManager.saveMessage(
+          { sender: "model", contentParts: callParts, modelName },
+          sessionId,
+          parentId
         );
+        this.chatInterface.addMessage("model", callParts, null, callMessageId);
 
-        // 10. Visually replace by reloading the entire history display
-        console.log(
-          "[ChatController] Retry Step 10: Reloading chat history display..."
+        this.uiManager.updateStatus(
+          `Running ${functionCalls.map((call) => call.name).join(", ")}...`,
+          "info"
         );
-        // This requires App to expose a method or ChatController to have access to loadChatHistory
-        // For now, I will call loadChatHistory directly, assuming ChatController has access or App provides it.
-        // A better approach might be for App to listen for a 'retryComplete' event from ChatController and then call loadChatHistory.
-        // For this refactoring step, I will assume ChatController can call loadChatHistory.
-        // NOTE: This is a temporary assumption for the diff. The ideal solution involves eventing or passing the method.
-        // I will add a placeholder comment here to indicate this needs further refinement.
-        // TODO: Refactor loadChatHistory to be accessible or use an eventing mechanism.
-        // For now, I will add a method placeholder in ChatController that App will call.
-        // This method will be called by App after retry is complete to reload history.
-        // Let's adjust the plan: ChatController will NOT call loadChatHistory directly.
-        // It will signal completion, and App will handle the history reload.
-        // So, remove the loadChatHistory call here.
-        // Instead, the handleRetry method will return a boolean indicating success.
-        // App will check this boolean and reload history if successful.
-
-        // Reverting the direct loadChatHistory call and adding a success return
-        console.log("[ChatController] Retry successful.");
-        this.uiManager.updateStatus("Retry successful.", "success");
-        return true; // Indicate success
-
-        // --- End Commit Phase ---
-      } else {
-        // API call failed
-        throw new Error(result.error || "Unknown error during retry API call.");
+        for (const call of functionCalls) {
+          const response = await this.toolRegistry.execute(
+            call.name,
+            call.args
+          );
+          responseParts.push({
+            functionResponse: { name: call.name, response },
+          });
+        }
+        parentId = await this.storageManager.saveMessage(
+          { sender: "function", contentParts: responseParts },
+          sessionId,
+          callMessageId
+        );
+        this.chatInterface.addMessage(
+          "function",
+          responseParts,
+          null,
+          parentId
+        );
+      } catch (toolError) {
+        console.error("[ChatController] Error running tools:", toolError);
+        return {
+          result: {
+            error: `Tool call failed: ${toolError.message || toolError}`,
+          },
+          streamingElement: null,
+          streamedText: "",
+          parentId,
+        };
+      } finally {
+        this.activeAbortController = null;
+        this.uiManager.setGenerating(false);
       }
-    } catch (error) {
-      // --- Error Handling ---
-      console.error("[ChatController] Error during retry process:", error);
-      this.uiManager.updateStatus(`Retry failed: ${error.message}`, "error");
 
-      // Ensure loading indicator is removed if it exists
-      if (loadingIndicator) {
-        this.chatInterface.removeElement(loadingIndicator);
+      if (abortController.signal.aborted) {
+        return {
+          result: { error: "Generation stopped.", aborted: true },
+          streamingElement: null,
+          streamedText: "",
+          parentId,
+        };
       }
+      current = await sendFunctionResponses(responseParts, parentId);
+    }
+    return { ...current, parentId };
+  }
 
-      // Do NOT reload history here. App will handle it based on the return value.
-      return false; // Indicate failure
+  /**
+   * Resolves a send that was stopped by the user (see `handleStop` for the rules).
+   * @param {number} sessionId - The session the message was sent in.
+   * @param {number | null} userMessageId - ID of the already saved user message, if saving succeeded.
+   * @param {number | null} parentId - The last saved turn of this send: the user message, or the last
+   *   tool results when tools ran. A partial answer continues it.
+   * @param {HTMLElement | null} streamingElement - The streaming bubble, if streaming.
+   * @param {string} partialText - Text received before the request was stopped.
+   * @param {string} textInput - The original text input, restored if the turn is discarded.
+   * @param {Array<{file: File}>} sentFiles - The attachments sent, restored if the turn is discarded.
+   * @private
+   */
+  async _handleStoppedSend(
+    sessionId,
+    userMessageId,
+    parentId,
+    streamingElement,
+    partialText,
+    textInput,
+    sentFiles
+  ) {
+    if (partialText.trim()) {
+      const partialParts = [{ text: partialText }];
+      let modelMessageId = null;
+      try {
+        modelMessageId = await this.storageManager.saveMessage(
+          {
+            sender: "model",
+            contentParts: partialParts,
+            modelName: this.chatClient.currentModelName,
+            interrupted: true,
+          },
+          sessionId,
+          parentId ?? undefined
+        );
+      } catch (saveError) {
+        console.error("Failed to save interrupted response:", saveError);
+      }
+      this.chatInterface.finalizeStreamingMessage(
+        streamingElement,
+        partialParts,
+        null,
+        modelMessageId,
+        { interrupted: true }
+      );
+      // The SDK chat never recorded the aborted turn, so resync it with the DB
+      await this._resyncChatSession(sessionId);
+      this.uiManager.updateStatus(
+        "Generation stopped. Partial response saved.",
+        "info"
+      );
+      return;
+    }
+
+    // Nothing was generated: drop the turn entirely so the user message isn't left orphaned
+    this.chatInterface.removeElement(streamingElement);
+    if (parentId !== userMessageId) {
+      // Tools already ran; keep the turn with their results
+      await this._resyncChatSession(sessionId);
+      this.uiManager.updateStatus(
+        "Generation stopped. Tool results were kept.",
+        "info"
+      );
+      return;
+    }
+    if (userMessageId) {
+      try {
+        await this.storageManager.deleteMessage(sessionId, userMessageId);
+      } catch (deleteError) {
+        console.error("Failed to delete stopped user message:", deleteError);
+      }
+      this.chatInterface.removeMessage(userMessageId);
     }
+    if (this.messageInput) {
+      this.messageInput.value = textInput;
+    }
+    if (sentFiles.length > 0) {
+      this.fileManager.handleFiles(sentFiles.map((f) => f.file));
+    }
+    this.uiManager.updateStatus(
+      "Generation stopped. Your message was restored to the input.",
+      "info"
+    );
+  }
+
+  /**
+   * Rebuilds the chat client's history from storage after a send, unless another session was opened
+   * while it ran (the client then already follows that session).
+   * @param {number} sessionId - The session the message was sent in.
+   * @private
+   */
+  async _resyncChatSession(sessionId) {
+    if (sessionId !== this.sessionManager.getCurrentSessionId()) return;
+    await this.chatClient.reInitializeChatSession(sessionId);
+  }
+
+  /**
+   * Displays a completed model response, replacing the streaming bubble if there is one.
+   * @param {HTMLElement | null} streamingElement - Streaming bubble from `_sendWithProgress`, if any.
+   * @param {Array<object>} responseParts - The response parts to display.
+   * @param {object | null} usageInfo - Token usage metadata.
+   * @param {number | null} [messageId=null] - Database ID of the saved message.
+   * @param {object} [options={}] - Display options passed through to ChatInterface (e.g. `finishReason`,
+   *   `groundingMetadata`, `structuredOutput`).
+   * @private
+   */
+  _displayModelResponse(
+    streamingElement,
+    responseParts,
+    usageInfo,
+    messageId = null,
+    options = {}
+  ) {
+    if (streamingElement) {
+      this.chatInterface.finalizeStreamingMessage(
+        streamingElement,
+        responseParts,
+        usageInfo,
+        messageId,
+        options
+      );
+    } else {
+      this.chatInterface.addMessage(
+        "model",
+        responseParts,
+        usageInfo,
+        messageId,
+        options
+      );
+    }
+  }
+
+  /**
+   * Shows a blocked (or empty) response as a status bubble with the reason and safety ratings,
+   * replacing the streaming bubble if there is one.
+   * @param {HTMLElement | null} streamingElement - The streaming bubble, if any.
+   * @param {object} analysis - Result of `ResponseUtils.analyze`.
+   * @private
+   */
+  _showBlockedResponse(streamingElement, analysis) {
+    const description = ResponseUtils.describeReason(analysis.reason);
+    console.warn("[ChatController] Response not saved:", analysis);
+    this.chatInterface.removeElement(streamingElement);
+    this.chatInterface.addResponseStatusMessage(
+      description,
+      ResponseUtils.formatSafetyRatings(analysis.safetyRatings)
+    );
+    this.uiManager.updateStatus(description, "warning");
   }
 
   // Placeholder for App to call after retry to reload history
@@ -1,3 +1,9 @@
+import { KATEX_DELIMITERS } from "./Config.js";
+import { ResponseUtils } from "./ResponseUtils.js";
+import { PdfRenderer } from "./PdfRenderer.js";
+import { FileUploader } from "./FileUploader.js";
+import { BlobUtils } from "./BlobUtils.js";
+
 /**
  * Handles rendering messages to the chat history DOM element,
  * including formatting (Markdown, KaTeX), code blocks, and copy buttons.
@@ -10,6 +16,13 @@ export class ChatInterface {
     this.uiManager = uiManager;
     this.chatHistoryElement = this.uiManager.getElement("chatHistory");
     this.onRetryCallback = null; // Callback for retry button clicks
+    this.onEditCallback = null; // Callback for saving an edited user message
+    this.onSelectBranchCallback = null; // Callback for sibling (branch) navigation
+    this.onPickCandidateCallback = null; // Callback for choosing a candidate in a side-by-side comparison
+    this.onUseImageCallback = null; // Callback for attaching a generated image to the next message
+    this.pendingStreamText = new Map(); // Streaming element -> latest text awaiting render
+    this.blobLoader = null; // Loads stored attachments (blobRef parts) by hash
+    this.objectUrls = []; // Object URLs of displayed stored attachments, revoked when the display is cleared
 
     if (!this.chatHistoryElement) {
       console.error("Chat history element not found!");
@@ -19,99 +32,210 @@ export class ChatInterface {
 
   /**
    * Adds a message to the chat history display.
-   * @param {'user' | 'model' | 'system'} sender - The sender type.
-   * @param {Array<object>} contentParts - Array of message parts (text, inlineData).
+   * @param {'user' | 'model' | 'function' | 'system'} sender - The sender type ("function" holds tool results).
+   * @param {Array<object>} contentParts - Array of message parts (text, inlineData, blobRef, fileData, functionCall,
+   *   functionResponse, executableCode, codeExecutionResult).
    * @param {object | null} [usageMetadata=null] - Optional token usage info for model messages.
    * @param {number | null} [messageId=null] - Optional database ID of the message.
+   * @param {object} [options={}] - Optional display flags.
+   * @param {boolean} [options.interrupted] - True if generation was stopped before the response completed.
+   * @param {number} [options.latencyMs] - Time the model reply took (stored for arena replies), shown below it.
+   * @param {string} [options.finishReason] - Finish reason of a model reply that ended early (e.g. MAX_TOKENS).
+   * @param {Array<object>} [options.uploadedFiles] - File API records of the message's `fileData` parts
+   *   (see `FileManager.getUploadedFiles`), used to show their names and whether they expired.
+   * @param {boolean} [options.structuredOutput] - The reply is JSON from structured output; it is shown as a
+   *   collapsible tree (with a download button) instead of Markdown.
+   * @param {object} [options.groundingMetadata] - Google Search grounding of a model reply; adds citation
+   *   markers, the source list and the search suggestions.
+   * @param {Array<number>} [options.siblingIds] - IDs of this message and its alternates (same parent), oldest
+   *   first. With more than one entry, a "< 2/3 >" navigation is shown.
+   * @param {Array<object>} [options.candidates] - Candidate messages ({id, contentParts, finishReason}) awaiting
+   *   the user's pick. With more than one entry, they are shown side by side instead of `contentParts`.
    */
-  addMessage(sender, contentParts, usageMetadata = null, messageId = null) {
+  addMessage(
+    sender,
+    contentParts,
+    usageMetadata = null,
+    messageId = null,
+    options = {}
+  ) {
     if (!this.chatHistoryElement) return;
 
+    const messageDiv = this._createMessageElement(
+      sender,
+      contentParts,
+      usageMetadata,
+      messageId,
+      options
+    );
+
+    this.chatHistoryElement.appendChild(messageDiv);
+    this.uiManager.scrollToChatBottom();
+  }
+
+  /**
+   * Renders a message into another container than the chat history (e.g. an arena column).
+   * The message has no database ID, so it gets no retry/edit/branch controls.
+   * @param {HTMLElement} container - The element to append the message to.
+   * @param {'user' | 'model' | 'system'} sender - The sender type.
+   * @param {Array<object>} contentParts - Array of message parts (text, inlineData).
+   * @param {object | null} [usageMetadata=null] - Optional token usage info for model messages.
+   * @param {object} [options={}] - Optional display flags (see `addMessage`).
+   * @returns {HTMLDivElement} The appended message element.
+   */
+  appendMessageTo(
+    container,
+    sender,
+    contentParts,
+    usageMetadata = null,
+    options = {}
+  ) {
+    const messageDiv = this._createMessageElement(
+      sender,
+      contentParts,
+      usageMetadata,
+      null,
+      options
+    );
+    container.appendChild(messageDiv);
+    container.scrollTop = container.scrollHeight;
+    return messageDiv;
+  }
+
+  /**
+   * Builds a complete message element (content, copy/retry buttons, token info).
+   * @param {'user' | 'model' | 'system'} sender - The sender type.
+   * @param {Array<object>} contentParts - Array of message parts (text, inlineData).
+   * @param {object | null} usageMetadata - Optional token usage info for model messages.
+   * @param {number | null} messageId - Optional database ID of the message.
+   * @param {object} [options={}] - Optional display flags (see `addMessage`).
+   * @returns {HTMLDivElement} The message element, not yet attached to the DOM.
+   * @private
+   */
+  _createMessageElement(
+    sender,
+    contentParts,
+    usageMetadata,
+    messageId,
+    options = {}
+  ) {
+    if (sender === "model" && options.candidates?.length > 1) {
+      return this._createCandidateComparison(
+        messageId,
+        options.candidates,
+        usageMetadata
+      );
+    }
+
     const messageDiv = this.uiManager.createMessageDiv(messageId, sender);
 
     const contentDiv = this.uiManager.createContentDiv();
 
     let hasTextContent = false;
     let fullTextMessage = ""; // Accumulate text for the main copy button
+    let citationsAdded = false;
 
     contentParts.forEach((part) => {
       if (part.text) {
         hasTextContent = true;
         fullTextMessage += part.text + "\n"; // Add newline for separation if multiple text parts
-
-        // 1. Parse Markdown -> HTML
-        // Use { breaks: true } to interpret single newlines as <br>
-        const markdownHtml = window.marked
-          ? marked.parse(part.text, { breaks: true })
-          : this._escapeHtml(part.text);
-
-        // 2. Append HTML to a temporary container
-        const tempDiv = this.uiManager.createTempDiv();
-        tempDiv.innerHTML = markdownHtml;
-
-        // 3. Render KaTeX within the temporary container
-        try {
-          if (window.renderMathInElement) {
-            renderMathInElement(tempDiv, {
-              delimiters: [
-                { left: "$$", right: "$$", display: true },
-                { left: "$", right: "$", display: false },
-                { left: "\\(", right: "\\)", display: false },
-                { left: "\\[", right: "\\]", display: true },
-              ],
-              throwOnError: false,
-            });
-          } else if (part.text.includes("$") || part.text.includes("\\")) {
-            // Only warn if potential KaTeX is present but library isn't loaded
-            console.warn(
-              "KaTeX auto-render function (renderMathInElement) not found. Math expressions may not render."
-            );
-          }
-        } catch (katexError) {
-          console.error("KaTeX rendering error:", katexError);
-          // Append error message or original text? For now, keep original.
+        // Grounding segments index into the answer text, which is the first text part
+        const displayText =
+          options.groundingMetadata && !citationsAdded
+            ? ResponseUtils.addCitationMarkers(
+                part.text,
+                options.groundingMetadata
+              )
+            : part.text;
+        citationsAdded = true;
+        const json = options.structuredOutput
+          ? this._parseJson(part.text)
+          : undefined;
+        if (json !== undefined) {
+          contentDiv.appendChild(this.uiManager.createJsonTree(json));
+          this._addJsonDownloadButton(messageDiv, part.text);
+        } else {
+          this._renderTextInto(contentDiv, displayText);
         }
-
-        // 4. Add Copy Buttons to Code Blocks within the temporary container
-        tempDiv.querySelectorAll("pre").forEach((preElement) => {
-          this._addCodeCopyButton(preElement);
-        });
-
-        // 5. Append processed content from tempDiv to the actual contentDiv
-        while (tempDiv.firstChild) {
-          contentDiv.appendChild(tempDiv.firstChild);
-        }
-      } else if (part.inlineData) {
-        // Handle images and videos (similar to original script)
-        const mimeType = part.inlineData.mimeType;
-        const data = part.inlineData.data; // Assuming this is base64 data
-        let mediaElement;
-
-        if (mimeType.startsWith("image/")) {
-          mediaElement = this.uiManager.createImageElement(
-            `data:${mimeType};base64,${data}`,
-            "User image"
-          );
-        } else if (mimeType.startsWith("video/")) {
-          mediaElement = this.uiManager.createVideoElement(
-            `data:${mimeType};base64,${data}`
-          );
-        }
-
-        if (mediaElement) {
-          contentDiv.appendChild(mediaElement);
+      } else if (part.inlineData || part.blobRef) {
+        const attachmentElement = this._createAttachmentPart(part, sender);
+        if (attachmentElement) {
+          contentDiv.appendChild(attachmentElement);
         }
       } else if (part.fileData) {
-        // Basic display for fileData (less common for direct display)
-        const textNode = this.uiManager.createFileReferenceSpan(
-          `[File Reference: ${part.fileData.mimeType}]`
+        contentDiv.appendChild(
+          this._createFileReference(part.fileData, options.uploadedFiles)
         );
-        contentDiv.appendChild(textNode);
+      } else if (part.functionCall) {
+        contentDiv.appendChild(
+          this.uiManager.createToolBlock(
+            `Tool call: ${part.functionCall.name}`,
+            part.functionCall.args || {},
+            "tool-call"
+          )
+        );
+      } else if (part.functionResponse) {
+        contentDiv.appendChild(
+          this.uiManager.createToolBlock(
+            `Tool result: ${part.functionResponse.name}`,
+            part.functionResponse.response,
+            "tool-result"
+          )
+        );
+      } else if (part.executableCode) {
+        const language = (part.executableCode.language || "").toLowerCase();
+        hasTextContent = true;
+        fullTextMessage += `\`\`\`${language}\n${part.executableCode.code}\n\`\`\`\n`;
+        const pane = this.uiManager.createCodeExecutionPane(
+          language && language !== "language_unspecified"
+            ? `Code (${language})`
+            : "Code",
+          part.executableCode.code,
+          "code-execution-code"
+        );
+        this._addCodeCopyButton(pane.preElement);
+        contentDiv.appendChild(pane.container);
+      } else if (part.codeExecutionResult) {
+        const { outcome, output } = part.codeExecutionResult;
+        hasTextContent = true;
+        fullTextMessage += `\`\`\`\n${output || ""}\n\`\`\`\n`;
+        const pane = this.uiManager.createCodeExecutionPane(
+          ResponseUtils.describeCodeOutcome(outcome),
+          output || "(no output)",
+          "code-execution-output"
+        );
+        if (outcome !== "OUTCOME_OK") {
+          pane.container.classList.add("code-execution-failed");
+        }
+        contentDiv.appendChild(pane.container);
       }
     }); // End of contentParts.forEach
 
     messageDiv.appendChild(contentDiv);
 
+    if (options.interrupted) {
+      messageDiv.classList.add("interrupted-message");
+      messageDiv.appendChild(
+        this.uiManager.createStatusNote(
+          "Generation stopped — partial response.",
+          "interrupted-note"
+        )
+      );
+    }
+
+    if (options.finishReason) {
+      messageDiv.appendChild(
+        this.uiManager.createStatusNote(
+          ResponseUtils.describeReason(options.finishReason),
+          "finish-reason-note"
+        )
+      );
+    }
+
+    if (options.groundingMetadata) {
+      this._addGroundingInfo(messageDiv, options.groundingMetadata);
+    }
+
     // Add a general "Copy All" button if there was any text content
     if (hasTextContent) {
       this._addGeneralCopyButton(messageDiv, fullTextMessage.trim());
@@ -120,7 +244,11 @@ export class ChatInterface {
     // Add Token Usage Info for model messages
     if (sender === "model" && usageMetadata) {
       this._addTokenUsageInfo(messageDiv, usageMetadata);
-      // REMOVED: this._addRetryButton(messageDiv, messageId);
+    }
+    if (sender === "model" && options.latencyMs) {
+      messageDiv.appendChild(
+        this.uiManager.createLatencyInfoDiv(options.latencyMs)
+      );
     }
 
     // Add Retry button for model messages that have an ID
@@ -128,8 +256,230 @@ export class ChatInterface {
       this._addRetryButton(messageDiv, messageId);
     }
 
+    // Add Edit button for user messages that have an ID
+    if (sender === "user" && messageId) {
+      this._addEditButton(messageDiv, messageId, fullTextMessage.trim());
+    }
+
+    // Add sibling navigation for messages that have alternate branches
+    if (messageId && options.siblingIds?.length > 1) {
+      this._addSiblingNavigation(messageDiv, messageId, options.siblingIds);
+    }
+
+    return messageDiv;
+  }
+
+  /**
+   * Builds the side-by-side view of the candidates of one response, each with a button to pick it.
+   * @param {number | null} messageId - ID of the currently selected candidate.
+   * @param {Array<object>} candidates - The candidate messages, oldest first.
+   * @param {object | null} usageMetadata - Optional token usage info (covers all candidates).
+   * @returns {HTMLDivElement} The comparison element, not yet attached to the DOM.
+   * @private
+   */
+  _createCandidateComparison(messageId, candidates, usageMetadata) {
+    const messageDiv = this.uiManager.createMessageDiv(messageId, "model");
+    messageDiv.classList.add("candidate-comparison");
+    const grid = this.uiManager.createCandidateGrid();
+
+    candidates.forEach((candidate, index) => {
+      const column = this.uiManager.createCandidateColumn(
+        `Candidate ${index + 1}`
+      );
+      // Rendered like a single answer; without an ID it gets no retry button or branch navigation
+      column.container.appendChild(
+        this._createMessageElement(
+          "model",
+          candidate.contentParts,
+          null,
+          null,
+          {
+            finishReason: candidate.finishReason,
+            groundingMetadata: candidate.groundingMetadata,
+            structuredOutput: !!candidate.structuredOutput,
+          }
+        )
+      );
+      column.pickButton.addEventListener("click", () => {
+        if (!this.onPickCandidateCallback || !candidate.id) return;
+        console.log(`Candidate picked: message ID ${candidate.id}`);
+        this.onPickCandidateCallback(candidate.id);
+      });
+      grid.appendChild(column.container);
+    });
+
+    messageDiv.appendChild(grid);
+    if (usageMetadata) {
+      this._addTokenUsageInfo(messageDiv, usageMetadata);
+    }
+    return messageDiv;
+  }
+
+  /**
+   * Appends the sources and the Google Search suggestions of a grounded answer.
+   * @param {HTMLElement} messageDiv - The message element.
+   * @param {object} groundingMetadata - The stored grounding metadata.
+   * @private
+   */
+  _addGroundingInfo(messageDiv, groundingMetadata) {
+    const sources = ResponseUtils.getGroundingSources(groundingMetadata);
+    if (sources.length > 0) {
+      messageDiv.appendChild(this.uiManager.createGroundingSources(sources));
+    }
+    // Google requires showing the suggestions with grounded answers
+    const renderedContent = groundingMetadata.searchEntryPoint?.renderedContent;
+    if (renderedContent) {
+      messageDiv.appendChild(
+        this.uiManager.createSearchSuggestions(renderedContent)
+      );
+    }
+  }
+
+  /**
+   * Renders a text part (Markdown + KaTeX + code copy buttons) and appends it to a container.
+   * @param {HTMLElement} container - The element to append the rendered nodes to.
+   * @param {string} text - The raw Markdown text.
+   * @private
+   */
+  _renderTextInto(container, text) {
+    // 1. Parse Markdown -> HTML
+    // Use { breaks: true } to interpret single newlines as <br>
+    const markdownHtml = window.marked
+      ? marked.parse(text, { breaks: true })
+      : this._escapeHtml(text);
+
+    // 2. Append HTML to a temporary container
+    const tempDiv = this.uiManager.createTempDiv();
+    tempDiv.innerHTML = markdownHtml;
+
+    // 3. Render KaTeX within the temporary container
+    try {
+      if (window.renderMathInElement) {
+        renderMathInElement(tempDiv, {
+          delimiters: KATEX_DELIMITERS,
+          throwOnError: false,
+        });
+      } else if (text.includes("$") || text.includes("\\")) {
+        // Only warn if potential KaTeX is present but library isn't loaded
+        console.warn(
+          "KaTeX auto-render function (renderMathInElement) not found. Math expressions may not render."
+        );
+      }
+    } catch (katexError) {
+      console.error("KaTeX rendering error:", katexError);
+      // Append error message or original text? For now, keep original.
+    }
+
+    // 4. Add Copy Buttons to Code Blocks within the temporary container
+    tempDiv.querySelectorAll("pre").forEach((preElement) => {
+      this._addCodeCopyButton(preElement);
+    });
+
+    // 5. Append processed content from tempDiv to the actual container
+    while (tempDiv.firstChild) {
+      container.appendChild(tempDiv.firstChild);
+    }
+  }
+
+  /**
+   * Scrolls a displayed message into view and briefly highlights it.
+   * @param {number} messageId - The database ID of the message.
+   * @returns {boolean} True if the message is displayed.
+   */
+  scrollToMessage(messageId) {
+    const messageDiv = this.chatHistoryElement?.querySelector(
+      `.message[data-message-id="${messageId}"]`
+    );
+    if (!messageDiv) return false;
+    messageDiv.scrollIntoView({ behavior: "smooth", block: "center" });
+    messageDiv.classList.add("highlighted-message");
+    setTimeout(() => messageDiv.classList.remove("highlighted-message"), 2000);
+    return true;
+  }
+
+  /**
+   * Adds an empty model message bubble that is filled in incrementally while a response streams.
+   * @returns {HTMLElement | null} The streaming message element (pass it to the other streaming methods).
+   */
+  addStreamingMessage() {
+    if (!this.chatHistoryElement) return null;
+    const messageDiv = this.uiManager.createMessageDiv(null, "model");
+    messageDiv.classList.add("streaming-message");
+    const contentDiv = this.uiManager.createContentDiv();
+    contentDiv.textContent = "Generating response...";
+    messageDiv.appendChild(contentDiv);
     this.chatHistoryElement.appendChild(messageDiv);
     this.uiManager.scrollToChatBottom();
+    return messageDiv;
+  }
+
+  /**
+   * Re-renders the accumulated text of a streaming message.
+   * Rendering is coalesced to one pass per animation frame, since chunks can arrive faster than
+   * Markdown/KaTeX can be re-rendered.
+   * @param {HTMLElement} streamingElement - Element returned by `addStreamingMessage`.
+   * @param {string} text - The full text received so far.
+   */
+  updateStreamingMessage(streamingElement, text) {
+    if (!streamingElement) return;
+    const alreadyScheduled = this.pendingStreamText.has(streamingElement);
+    this.pendingStreamText.set(streamingElement, text);
+    if (alreadyScheduled) return;
+
+    requestAnimationFrame(() => {
+      if (!this.pendingStreamText.has(streamingElement)) return; // Finalized meanwhile
+      const latestText = this.pendingStreamText.get(streamingElement);
+      this.pendingStreamText.delete(streamingElement);
+
+      const contentDiv = streamingElement.querySelector(".message-content");
+      if (!contentDiv) return;
+      // Only follow the stream if the user hasn't scrolled up to read earlier messages
+      const history = this.chatHistoryElement;
+      const wasAtBottom =
+        history.scrollHeight - history.scrollTop - history.clientHeight < 40;
+      contentDiv.innerHTML = "";
+      this._renderTextInto(contentDiv, latestText);
+      if (wasAtBottom) {
+        this.uiManager.scrollToChatBottom();
+      }
+    });
+  }
+
+  /**
+   * Replaces a streaming message with the final, fully decorated message element. Nothing is shown if
+   * the bubble is no longer displayed: another session was opened while the reply streamed, and the
+   * reply is already saved to its own session.
+   * @param {HTMLElement} streamingElement - Element returned by `addStreamingMessage`.
+   * @param {Array<object>} contentParts - Final message parts.
+   * @param {object | null} [usageMetadata=null] - Optional token usage info.
+   * @param {number | null} [messageId=null] - Optional database ID of the saved message.
+   * @param {object} [options={}] - Optional display flags (see `addMessage`).
+   * @returns {HTMLElement | null} The final message element, or null if the bubble was no longer displayed.
+   */
+  finalizeStreamingMessage(
+    streamingElement,
+    contentParts,
+    usageMetadata = null,
+    messageId = null,
+    options = {}
+  ) {
+    this.pendingStreamText.delete(streamingElement);
+    if (!this.chatHistoryElement?.contains(streamingElement)) {
+      console.log(
+        "Streaming message no longer displayed; final message not shown."
+      );
+      return null;
+    }
+    const finalElement = this.addMessageBefore(
+      "model",
+      contentParts,
+      usageMetadata,
+      messageId,
+      streamingElement,
+      options
+    );
+    this.removeElement(streamingElement);
+    return finalElement;
   }
 
   /**
@@ -146,6 +496,20 @@ export class ChatInterface {
     return loadingMessageDiv;
   }
 
+  /**
+   * Adds a status bubble for a response that was not saved (blocked, filtered or empty).
+   * @param {string} title - Short description of why the response is missing.
+   * @param {Array<string>} [details=[]] - Extra lines, such as the safety ratings.
+   * @returns {HTMLElement | null} The status bubble.
+   */
+  addResponseStatusMessage(title, details = []) {
+    if (!this.chatHistoryElement) return null;
+    const statusDiv = this.uiManager.createResponseStatusDiv(title, details);
+    this.chatHistoryElement.appendChild(statusDiv);
+    this.uiManager.scrollToChatBottom();
+    return statusDiv;
+  }
+
   /**
    * Removes a previously added element (like a loading indicator).
    * @param {HTMLElement} elementToRemove - The element to remove.
@@ -160,11 +524,38 @@ export class ChatInterface {
     }
   }
 
+  /**
+   * Removes the displayed message with the given database ID, if present.
+   * @param {number} messageId - The database ID of the message.
+   */
+  removeMessage(messageId) {
+    const messageDiv = this.chatHistoryElement?.querySelector(
+      `.message[data-message-id="${messageId}"]`
+    );
+    this.removeElement(messageDiv);
+  }
+
+  /**
+   * Removes the displayed message with the given database ID and every message displayed after it.
+   * @param {number} messageId - The database ID of the first message to remove.
+   */
+  removeMessagesFrom(messageId) {
+    const messageDiv = this.chatHistoryElement?.querySelector(
+      `.message[data-message-id="${messageId}"]`
+    );
+    while (messageDiv?.nextSibling) {
+      this.chatHistoryElement.removeChild(messageDiv.nextSibling);
+    }
+    this.removeElement(messageDiv);
+  }
+
   /**
    * Clears the entire chat history display.
    */
   clearHistoryDisplay() {
     this.uiManager.clearChatHistory();
+    this.objectUrls.forEach((url) => URL.revokeObjectURL(url));
+    this.objectUrls = [];
   }
 
   /**
@@ -213,6 +604,242 @@ export class ChatInterface {
     preElement.insertBefore(codeCopyButton, preElement.firstChild);
   }
 
+  /**
+   * Builds the label of a File API attachment, with its expiry when the upload record is known.
+   * @param {{mimeType: string, fileUri: string}} fileData - The fileData part.
+   * @param {Array<object>} [uploadedFiles] - Upload records of the message.
+   * @returns {HTMLSpanElement} The label.
+   * @private
+   */
+  _createFileReference(fileData, uploadedFiles) {
+    const upload = uploadedFiles?.find((f) => f.fileUri === fileData.fileUri);
+    if (!upload) {
+      return this.uiManager.createFileReferenceSpan(
+        `[File Reference: ${fileData.mimeType}]`
+      );
+    }
+    const expired = FileUploader.isExpired(upload.expirationTime);
+    const size = `${(Number(upload.sizeBytes) / (1024 * 1024)).toFixed(1)} MB`;
+    const span = this.uiManager.createFileReferenceSpan(
+      `[Uploaded file: ${upload.displayName} (${fileData.mimeType}, ${size})] ` +
+        (expired
+          ? "Expired: attach the file again to use it in new messages."
+          : `Available until ${new Date(
+              upload.expirationTime
+            ).toLocaleString()}.`)
+    );
+    span.classList.add("file-reference");
+    if (expired) span.classList.add("expired");
+    return span;
+  }
+
+  /**
+   * Builds the element showing an `inlineData` or `blobRef` part. Images in model messages are generated
+   * images and get download and "use as input" buttons.
+   * @param {object} part - The message part.
+   * @param {'user' | 'model' | 'function' | 'system'} sender - The sender of the message.
+   * @returns {HTMLElement | null} The element, or null for unsupported types.
+   * @private
+   */
+  _createAttachmentPart(part, sender) {
+    const generated = sender === "model";
+    if (part.blobRef) {
+      return this._createStoredAttachment(part.blobRef, generated);
+    }
+    const { mimeType, data } = part.inlineData; // Base64 data
+    const element = this._createAttachmentElement(
+      mimeType,
+      `data:${mimeType};base64,${data}`,
+      () => BlobUtils.base64ToBytes(data)
+    );
+    if (element && generated && mimeType.startsWith("image/")) {
+      return this._createGeneratedImage(
+        element,
+        () => new Blob([BlobUtils.base64ToBytes(data)], { type: mimeType })
+      );
+    }
+    return element;
+  }
+
+  /**
+   * Adds the download and "use as input" buttons to an image generated by the model.
+   * "Use as input" attaches the image to the next message, e.g. to ask for edits.
+   * @param {HTMLImageElement} imageElement - The displayed image.
+   * @param {function(): Blob} getBlob - Returns the image data.
+   * @returns {HTMLDivElement} The image with its buttons.
+   * @private
+   */
+  _createGeneratedImage(imageElement, getBlob) {
+    imageElement.alt = "Generated image";
+    const { container, downloadButton, useAsInputButton } =
+      this.uiManager.createGeneratedImage(imageElement);
+    downloadButton.addEventListener("click", () => {
+      const blob = getBlob();
+      const timestamp = new Date().toISOString().replace(/[:.]/g, "-");
+      this._downloadBlob(
+        blob,
+        `gemini-image-${timestamp}.${blob.type.split("/")[1] || "png"}`
+      );
+    });
+    useAsInputButton.addEventListener("click", () => {
+      if (!this.onUseImageCallback) return;
+      console.log("Generated image used as input.");
+      this.onUseImageCallback(getBlob());
+    });
+    return container;
+  }
+
+  /**
+   * Saves a Blob as a file through a temporary download link.
+   * @param {Blob} blob - The data.
+   * @param {string} fileName - The suggested file name.
+   * @private
+   */
+  _downloadBlob(blob, fileName) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link); // Required for Firefox
+    link.click();
+    document.body.removeChild(link);
+    URL.revokeObjectURL(url);
+  }
+
+  /**
+   * Builds the element showing an attachment.
+   * @param {string} mimeType - The attachment's MIME type.
+   * @param {string | null} url - URL of the content, for images, videos and audio.
+   * @param {function(): Uint8Array} getBytes - Returns the content, for PDFs and text files.
+   * @returns {HTMLElement | null} The element, or null for unsupported types.
+   * @private
+   */
+  _createAttachmentElement(mimeType, url, getBytes) {
+    if (mimeType.startsWith("image/")) {
+      return this.uiManager.createImageElement(url, "User image");
+    }
+    if (mimeType.startsWith("video/")) {
+      return this.uiManager.createVideoElement(url);
+    }
+    if (mimeType.startsWith("audio/")) {
+      return this.uiManager.createAudioElement(url);
+    }
+    if (mimeType === "application/pdf") {
+      return this._createPdfAttachment(getBytes());
+    }
+    if (mimeType.startsWith("text/")) {
+      const text = new TextDecoder().decode(getBytes());
+      return this.uiManager.createTextAttachment(
+        `Text file (${mimeType}, ${text.split("\n").length} lines)`,
+        text
+      );
+    }
+    return null;
+  }
+
+  /**
+   * Shows an attachment from the blob store: a placeholder is returned right away and replaced once
+   * the content is loaded, so long sessions render without waiting for their attachments.
+   * @param {{hash: string, mimeType: string}} blobRef - The reference from the message part.
+   * @param {boolean} [generated=false] - The attachment is model output (see `_createAttachmentPart`).
+   * @returns {HTMLDivElement} The placeholder.
+   * @private
+   */
+  _createStoredAttachment({ hash, mimeType }, generated = false) {
+    const placeholder = this.uiManager.createStatusNote(
+      "Loading attachment...",
+      "attachment-placeholder"
+    );
+    Promise.resolve(this.blobLoader?.(hash))
+      .then(async (blob) => {
+        if (!blob) {
+          placeholder.textContent = "Attachment is missing from local storage.";
+          return;
+        }
+        // PDF thumbnails and text previews need the bytes; media elements stream from an object URL
+        let url = null;
+        let bytes = null;
+        if (mimeType === "application/pdf" || mimeType.startsWith("text/")) {
+          bytes = new Uint8Array(await blob.arrayBuffer());
+        } else {
+          url = URL.createObjectURL(blob);
+          this.objectUrls.push(url);
+        }
+        let element = this._createAttachmentElement(mimeType, url, () => bytes);
+        if (element && generated && mimeType.startsWith("image/")) {
+          element = this._createGeneratedImage(element, () => blob);
+        }
+        if (element) {
+          placeholder.replaceWith(element);
+        } else {
+          placeholder.remove();
+        }
+      })
+      .catch((error) => {
+        console.error(`Could not load attachment ${hash}:`, error);
+        placeholder.textContent = "Could not load attachment.";
+      });
+    return placeholder;
+  }
+
+  /**
+   * Builds the attachment card of a PDF: a link opening the document and a first-page thumbnail,
+   * rendered in the background.
+   * @param {Uint8Array} bytes - The PDF.
+   * @returns {HTMLDivElement} The attachment card.
+   * @private
+   */
+  _createPdfAttachment(bytes) {
+    const card = this.uiManager.createAttachmentCard("PDF document", () => {
+      const url = URL.createObjectURL(
+        new Blob([bytes], { type: "application/pdf" })
+      );
+      window.open(url, "_blank", "noopener");
+      setTimeout(() => URL.revokeObjectURL(url), 60000); // Give the new tab time to load it
+    });
+    PdfRenderer.renderFirstPage(bytes)
+      .then((canvas) => card.prepend(canvas))
+      .catch((error) => console.warn("Could not render PDF thumbnail:", error));
+    return card;
+  }
+
+  /**
+   * Parses the text of a structured output reply.
+   * @param {string} text - The reply text.
+   * @returns {any} The parsed value, or undefined if the text is not JSON (e.g. a truncated reply).
+   * @private
+   */
+  _parseJson(text) {
+    try {
+      return JSON.parse(text);
+    } catch (parseError) {
+      console.warn("Structured output reply is not valid JSON:", parseError);
+      return undefined;
+    }
+  }
+
+  /**
+   * Adds a "Download JSON" button to a structured output message.
+   * @param {HTMLDivElement} messageDiv - The main message container div.
+   * @param {string} jsonText - The JSON text of the reply.
+   * @private
+   */
+  _addJsonDownloadButton(messageDiv, jsonText) {
+    const downloadButton = this.uiManager.createCopyButton(
+      "Download JSON",
+      "Download the response as a .json file",
+      "download-json-button"
+    );
+    downloadButton.addEventListener("click", () => {
+      const timestamp = new Date().toISOString().replace(/[:.]/g, "-");
+      this._downloadBlob(
+        new Blob([jsonText], { type: "application/json" }),
+        `gemini-response-${timestamp}.json`
+      );
+    });
+    messageDiv.appendChild(downloadButton);
+  }
+
   /**
    * Adds a general "Copy All" button to a message div.
    * @param {HTMLDivElement} messageDiv - The main message container div.
@@ -299,6 +926,159 @@ export class ChatInterface {
     messageDiv.appendChild(retryButton);
   }
 
+  /**
+   * Adds an "Edit" button to a user message div, which opens an inline editor for the message text.
+   * @param {HTMLDivElement} messageDiv - The main message container div.
+   * @param {number} messageId - The database ID of this user message.
+   * @param {string} originalText - The current text of the message, used to prefill the editor.
+   * @private
+   */
+  _addEditButton(messageDiv, messageId, originalText) {
+    if (!this.onEditCallback) return;
+
+    const editButton = this.uiManager.createEditButton(messageId);
+    editButton.addEventListener("click", (event) => {
+      event.stopPropagation();
+      this._openInlineEditor(messageDiv, messageId, originalText);
+    });
+    messageDiv.appendChild(editButton);
+  }
+
+  /**
+   * Replaces a user message's content with an editor. Saving invokes the edit callback,
+   * cancelling restores the original content.
+   * @param {HTMLDivElement} messageDiv - The message container div.
+   * @param {number} messageId - The database ID of the message.
+   * @param {string} originalText - Text to prefill the editor with.
+   * @private
+   */
+  _openInlineEditor(messageDiv, messageId, originalText) {
+    if (messageDiv.querySelector(".inline-editor")) return; // Already editing
+
+    const hiddenChildren = Array.from(messageDiv.children);
+    hiddenChildren.forEach((child) => (child.style.display = "none"));
+
+    const editor = this.uiManager.createInlineEditor(originalText);
+    const closeEditor = () => {
+      messageDiv.removeChild(editor.container);
+      hiddenChildren.forEach((child) => (child.style.display = ""));
+    };
+
+    editor.cancelButton.addEventListener("click", (event) => {
+      event.stopPropagation();
+      closeEditor();
+    });
+    editor.saveButton.addEventListener("click", (event) => {
+      event.stopPropagation();
+      const newText = editor.textarea.value;
+      if (!newText.trim() && !originalText) return;
+      closeEditor();
+      console.log(`Edit saved for message ID: ${messageId}`);
+      this.onEditCallback(messageId, newText);
+    });
+
+    messageDiv.appendChild(editor.container);
+    editor.textarea.focus();
+  }
+
+  /**
+   * Adds "< 2/3 >" navigation between a message and its alternate versions (siblings in the conversation tree).
+   * @param {HTMLDivElement} messageDiv - The main message container div.
+   * @param {number} messageId - The database ID of this message.
+   * @param {Array<number>} siblingIds - IDs of all versions, oldest first, including this one.
+   * @private
+   */
+  _addSiblingNavigation(messageDiv, messageId, siblingIds) {
+    if (!this.onSelectBranchCallback) return;
+
+    const currentIndex = siblingIds.indexOf(messageId);
+    const navigation = this.uiManager.createSiblingNavigation(
+      currentIndex + 1,
+      siblingIds.length
+    );
+    const selectSibling = (index) => {
+      if (index < 0 || index >= siblingIds.length) return;
+      console.log(`Branch navigation to message ID: ${siblingIds[index]}`);
+      this.onSelectBranchCallback(siblingIds[index]);
+    };
+    navigation.previousButton.addEventListener("click", (event) => {
+      event.stopPropagation();
+      selectSibling(currentIndex - 1);
+    });
+    navigation.nextButton.addEventListener("click", (event) => {
+      event.stopPropagation();
+      selectSibling(currentIndex + 1);
+    });
+    messageDiv.appendChild(navigation.container);
+  }
+
+  /**
+   * Registers the callback function to be invoked when another branch is chosen in the sibling navigation.
+   * @param {Function} callback - The function to call, receives the ID of the sibling message to show.
+   */
+  setOnSelectBranchCallback(callback) {
+    if (typeof callback === "function") {
+      this.onSelectBranchCallback = callback;
+      console.log("Select branch callback registered in ChatInterface.");
+    } else {
+      console.error("Invalid callback provided for setOnSelectBranchCallback.");
+    }
+  }
+
+  /**
+   * Registers the callback function to be invoked when a candidate is picked in a side-by-side comparison.
+   * @param {Function} callback - The function to call, receives the ID of the chosen candidate message.
+   */
+  setOnPickCandidateCallback(callback) {
+    if (typeof callback === "function") {
+      this.onPickCandidateCallback = callback;
+      console.log("Pick candidate callback registered in ChatInterface.");
+    } else {
+      console.error(
+        "Invalid callback provided for setOnPickCandidateCallback."
+      );
+    }
+  }
+
+  /**
+   * Registers the callback function to be invoked when a generated image is used as input.
+   * @param {Function} callback - The function to call, receives the image as a Blob.
+   */
+  setOnUseImageCallback(callback) {
+    if (typeof callback === "function") {
+      this.onUseImageCallback = callback;
+      console.log("Use image callback registered in ChatInterface.");
+    } else {
+      console.error("Invalid callback provided for setOnUseImageCallback.");
+    }
+  }
+
+  /**
+   * Registers the function loading stored attachments for display.
+   * @param {function(string): Promise<Blob | undefined>} loader - Receives the hash of a `blobRef` part.
+   */
+  setBlobLoader(loader) {
+    if (typeof loader === "function") {
+      this.blobLoader = loader;
+      console.log("Blob loader registered in ChatInterface.");
+    } else {
+      console.error("Invalid loader provided for setBlobLoader.");
+    }
+  }
+
+  /**
+   * Registers the callback function to be invoked when an edited user message is saved.
+   * @param {Function} callback - The function to call, receives (messageId, newText).
+   */
+  setOnEditCallback(callback) {
+    if (typeof callback === "function") {
+      this.onEditCallback = callback;
+      console.log("Edit callback registered in ChatInterface.");
+    } else {
+      console.error("Invalid callback provided for setOnEditCallback.");
+    }
+  }
+
   /**
    * Registers the callback function to be invoked when a retry button is clicked.
    * @param {Function} callback - The function to call, receives messageId as argument.
@@ -320,6 +1100,7 @@ export class ChatInterface {
    * @param {object | null} [usageMetadata=null] - Optional token usage info for model messages.
    * @param {number | null} [messageId=null] - Optional database ID of the message.
    * @param {Node | null} [referenceNode=null] - The node before which to insert the new message.
+   * @param {object} [options={}] - Optional display flags (see `addMessage`).
    * @returns {HTMLElement | null} The newly created message element, or null if creation failed.
    */
   addMessageBefore(
@@ -327,79 +1108,18 @@ export class ChatInterface {
     contentParts,
     usageMetadata = null,
     messageId = null,
-    referenceNode = null
+    referenceNode = null,
+    options = {}
   ) {
     if (!this.chatHistoryElement) return null;
 
-    // --- Create the message element (similar to addMessage) ---
-    const messageDiv = this.uiManager.createMessageDiv(messageId, sender);
-
-    const contentDiv = this.uiManager.createContentDiv();
-
-    let hasTextContent = false;
-    let fullTextMessage = "";
-
-    contentParts.forEach((part) => {
-      if (part.text) {
-        hasTextContent = true;
-        fullTextMessage += part.text + "\n";
-        const markdownHtml = window.marked
-          ? marked.parse(part.text, { breaks: true })
-          : this._escapeHtml(part.text);
-        const tempDiv = this.uiManager.createTempDiv();
-        tempDiv.innerHTML = markdownHtml;
-        try {
-          if (window.renderMathInElement) {
-            renderMathInElement(tempDiv, {
-              /* ... KaTeX options ... */
-            });
-          }
-        } catch (katexError) {
-          console.error("KaTeX rendering error:", katexError);
-        }
-        tempDiv
-          .querySelectorAll("pre")
-          .forEach((pre) => this._addCodeCopyButton(pre));
-        while (tempDiv.firstChild) {
-          contentDiv.appendChild(tempDiv.firstChild);
-        }
-      } else if (part.inlineData) {
-        const mimeType = part.inlineData.mimeType;
-        const data = part.inlineData.data;
-        let mediaElement;
-        if (mimeType.startsWith("image/")) {
-          mediaElement = this.uiManager.createImageElement(
-            `data:${mimeType};base64,${data}`,
-            "User image"
-          );
-        } else if (mimeType.startsWith("video/")) {
-          mediaElement = this.uiManager.createVideoElement(
-            `data:${mimeType};base64,${data}`
-          );
-        }
-        if (mediaElement) {
-          contentDiv.appendChild(mediaElement);
-        }
-      } else if (part.fileData) {
-        const textNode = this.uiManager.createFileReferenceSpan(
-          `[File Reference: ${part.fileData.mimeType}]`
-        );
-        contentDiv.appendChild(textNode);
-      }
-    });
-
-    messageDiv.appendChild(contentDiv);
-
-    if (hasTextContent) {
-      this._addGeneralCopyButton(messageDiv, fullTextMessage.trim());
-    }
-    if (sender === "model" && usageMetadata) {
-      this._addTokenUsageInfo(messageDiv, usageMetadata);
-    }
-    if (sender === "model" && messageId) {
-      this._addRetryButton(messageDiv, messageId);
-    }
-    // --- End of message element creation ---
+    const messageDiv = this._createMessageElement(
+      sender,
+      contentParts,
+      usageMetadata,
+      messageId,
+      options
+    );
 
     // --- Insert the message ---
     this.chatHistoryElement.insertBefore(messageDiv, referenceNode); // Use insertBefore
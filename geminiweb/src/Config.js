@@ -2,15 +2,94 @@
 
 // IndexedDB
 export const DB_NAME = "geminiChatDB";
-export const DB_VERSION = 3; // Increment if schema changes
+export const DB_VERSION = 10; // Increment if schema changes
 export const MSG_STORE_NAME = "chatMessages";
 export const SESSION_STORE_NAME = "sessions";
 export const MODEL_STORE_NAME = "customModels";
+export const SEARCH_INDEX_STORE_NAME = "searchIndex";
+export const PERSONA_STORE_NAME = "personas";
+export const SCHEMA_STORE_NAME = "responseSchemas";
+export const BLOB_STORE_NAME = "blobs"; // Attachments, content-addressed by SHA-256
+// Base64 of recently used attachments kept in memory, so retries and history rebuilds don't re-read them
+export const BLOB_CACHE_BYTES = 64 * 1024 * 1024;
+
+// Session archive (JSON export/import)
+export const ARCHIVE_FORMAT = "geminiweb-session-archive";
+export const ARCHIVE_VERSION = 1; // Increment if the archive layout changes
+
+// Rendering
+// Math delimiters recognised by KaTeX auto-render (chat view and exported transcripts)
+export const KATEX_DELIMITERS = [
+    { left: "$$", right: "$$", display: true },
+    { left: "$", right: "$", display: false },
+    { left: "\\(", right: "\\)", display: false },
+    { left: "\\[", right: "\\]", display: true },
+];
+// Stylesheets linked from exported HTML transcripts (content is pre-rendered, only styling is external)
+export const TRANSCRIPT_STYLESHEETS = [
+    "https://cdn.jsdelivr.net/npm/katex@0.16.10/dist/katex.min.css",
+    "https://cdnjs.cloudflare.com/ajax/libs/highlight.js/11.9.0/styles/github.min.css",
+];
+
+// Gemini File API: attachments larger than this are uploaded instead of sent inline as base64
+// (requests are limited to 20 MB). Uploaded files expire after 48 hours.
+export const MAX_INLINE_FILE_BYTES = 10 * 1024 * 1024;
+export const FILE_API_BASE_URL = "https://generativelanguage.googleapis.com";
+export const FILE_UPLOAD_CHUNK_BYTES = 8 * 1024 * 1024; // Must be a multiple of 256 KiB
+export const FILE_PROCESSING_POLL_MS = 2000;
+
+// Preprocessing of attached images (downscaling, re-encoding); the user's choices are kept in localStorage.
+// format is an output MIME type or "original".
+export const DEFAULT_IMAGE_PREPROCESSING = {
+    enabled: true,
+    maxDimension: 2048,
+    format: "original",
+    quality: 0.85,
+};
+
+// Pasted text longer than this is attached as a text file instead of going into the message input
+export const PASTE_ATTACHMENT_MIN_CHARS = 2000;
+// Screen recordings are stopped after this long
+export const MAX_SCREEN_CLIP_SECONDS = 30;
+
+// pdf.js (loaded on demand) for the first-page thumbnails of PDF attachments
+export const PDFJS_MODULE_URL =
+    "https://cdn.jsdelivr.net/npm/pdfjs-dist@4.4.168/build/pdf.min.mjs";
+export const PDFJS_WORKER_URL =
+    "https://cdn.jsdelivr.net/npm/pdfjs-dist@4.4.168/build/pdf.worker.min.mjs";
 
 // localStorage Keys
 export const API_KEY_STORAGE_KEY = "geminiApiKey";
 export const LAST_SESSION_KEY = "lastActiveSessionId";
 export const LAST_MODEL_KEY = "lastSelectedModel";
+export const AUTO_TITLE_STORAGE_KEY = "autoTitleSessions";
+export const IMAGE_PREPROCESSING_STORAGE_KEY = "imagePreprocessing";
+
+// Persona presets stored in the personas store when it is first created (users can edit/delete them)
+export const DEFAULT_PERSONAS = [
+    {
+        name: "Code reviewer",
+        systemInstruction:
+            "You are a senior software engineer reviewing code. Point out bugs, security issues and unclear code first, then style. Be concise and suggest concrete fixes with code.",
+    },
+    {
+        name: "Translator",
+        systemInstruction:
+            "You are a professional translator. Translate the user's text between Chinese and English (into the other language of the input), preserving meaning, tone and formatting. Reply with the translation only.",
+    },
+    {
+        name: "Math tutor",
+        systemInstruction:
+            "You are a patient math tutor. Explain step by step, write formulas in LaTeX ($...$ inline, $$...$$ for display), and check the student's understanding instead of just giving answers.",
+    },
+];
+
+// Automatic session titles
+export const TITLE_MODEL = "gemini-1.5-flash-latest"; // Cheap model used to title sessions
+export const MAX_TITLE_LENGTH = 60;
+
+// Function calling: maximum functionCall -> functionResponse rounds for one user turn
+export const MAX_TOOL_ROUNDS = 5;
 
 // Default Models (Consider making this configurable or fetching dynamically if possible)
 export const DEFAULT_MODELS = [
@@ -32,7 +111,7 @@ export const DEFAULT_MODELS = [
 //     attachButton: "attach-button",
 //     fileInput: "file-input",
 //     previewArea: "preview-area",
-//     sessionSelector: "session-selector",
+//     sessionList: "session-list",
 //     newSessionButton: "new-session-button",
 //     deleteSessionButton: "delete-session-button",
 //     modelSelector: "model-selector",
@@ -1,5 +1,35 @@
+import { PdfRenderer } from "./PdfRenderer.js";
+import { MediaPreprocessor } from "./MediaPreprocessor.js";
+import {
+    MAX_INLINE_FILE_BYTES,
+    IMAGE_PREPROCESSING_STORAGE_KEY,
+    DEFAULT_IMAGE_PREPROCESSING,
+    PASTE_ATTACHMENT_MIN_CHARS,
+} from "./Config.js";
+
+// Text and source file extensions. Browsers report many of these as "" or even as media types
+// (.ts is "video/mp2t"), so the extension takes precedence. They are sent as text/plain, except:
+const TEXT_FILE_EXTENSIONS = [
+    "txt", "md", "log", "csv", "tsv", "json", "xml", "yaml", "yml", "toml", "ini", "html", "htm",
+    "css", "js", "mjs", "ts", "tsx", "jsx", "py", "java", "kt", "c", "h", "cc", "cpp", "hpp", "cs",
+    "go", "rs", "rb", "php", "swift", "sh", "sql", "tex",
+];
+const TEXT_MIME_TYPES = { csv: "text/csv", html: "text/html", htm: "text/html" };
+const TEXT_PREVIEW_LENGTH = 200; // Characters shown in the preview of a text attachment
+// Pasted HTML with any of these is attached as an HTML file, since the structure would be lost as plain text
+const RICH_HTML_SELECTOR = "table, ul, ol, pre, h1, h2, h3, h4, h5, h6, blockquote";
+// Name browsers give to pasted bitmaps (e.g. screenshots), replaced so that pastes don't collide
+const PASTED_IMAGE_NAME = /^image\.\w+$/;
+
 /**
  * Manages file attachments, UI previews, and conversion for the API.
+ * Accepted attachments: images, videos, audio, PDFs, and text/source files (sent as text/plain,
+ * text/csv or text/html). Files above MAX_INLINE_FILE_BYTES are uploaded to the File API as soon as
+ * they are attached and sent as `fileData` references; the preview shows the upload state.
+ * Images are downscaled and re-encoded when attached (see MediaPreprocessor), and a clip can be cut
+ * out of an attached video; the preview shows the size before and after.
+ * Pasting into the message input attaches images, rich HTML (as text/html) and long text (as text/plain);
+ * screenshots and screen clips (see ScreenCapture) arrive through `attachBlob`.
  */
 export class FileManager {
     /**
@@ -7,62 +37,322 @@ export class FileManager {
      */
     constructor(uiManager) {
         this.uiManager = uiManager;
-        this.attachedFiles = []; // Stores { name, type, dataUrl, file }
+        // Stores { name, type, dataUrl, file, sourceFile } (type is the MIME type sent to the API; sourceFile is
+        // the file as attached, when `file` is a processed version). Uploaded files have no dataUrl; they carry
+        // { previewUrl, upload: { state, promise, resource, controller } } instead.
+        this.attachedFiles = [];
+        this.processingFiles = new Set(); // Names of attachments being resized or trimmed
+        this.fileUploader = null; // FileUploader for files too large to send inline
 
         this.attachButton = this.uiManager.getElement('attachButton');
         this.fileInput = this.uiManager.getElement('fileInput');
         this.previewArea = this.uiManager.getElement('previewArea');
-        this.messageInput = this.uiManager.getElement('messageInput'); // For drag/drop
+        this.messageInput = this.uiManager.getElement('messageInput'); // For drag/drop and paste
+        this.imagePreprocessingCheckbox = this.uiManager.getElement('imagePreprocessingCheckbox');
+        this.maxImageDimensionInput = this.uiManager.getElement('maxImageDimensionInput');
+        this.imageFormatSelector = this.uiManager.getElement('imageFormatSelector');
+        this.imageQualityInput = this.uiManager.getElement('imageQualityInput');
 
+        this._loadImagePreprocessingSettings();
         this._setupEventListeners();
     }
 
     /**
-     * Handles files selected via input or drag/drop.
+     * Reads the image preprocessing settings from the controls.
+     * @returns {{enabled: boolean, maxDimension: number, format: string, quality: number}}
+     */
+    getImagePreprocessingOptions() {
+        const defaults = DEFAULT_IMAGE_PREPROCESSING;
+        const maxDimension = parseInt(this.maxImageDimensionInput?.value, 10);
+        const quality = parseFloat(this.imageQualityInput?.value);
+        return {
+            enabled: this.imagePreprocessingCheckbox ? this.imagePreprocessingCheckbox.checked : defaults.enabled,
+            maxDimension: maxDimension > 0 ? maxDimension : defaults.maxDimension,
+            format: this.imageFormatSelector?.value || defaults.format,
+            quality: quality > 0 && quality <= 1 ? quality : defaults.quality,
+        };
+    }
+
+    /**
+     * Fills the image preprocessing controls from localStorage (or the defaults).
+     * @private
+     */
+    _loadImagePreprocessingSettings() {
+        let settings = DEFAULT_IMAGE_PREPROCESSING;
+        try {
+            settings = {
+                ...settings,
+                ...JSON.parse(localStorage.getItem(IMAGE_PREPROCESSING_STORAGE_KEY) || "{}"),
+            };
+        } catch (parseError) {
+            console.warn("Ignoring invalid image preprocessing settings:", parseError);
+        }
+        if (this.imagePreprocessingCheckbox) this.imagePreprocessingCheckbox.checked = settings.enabled;
+        if (this.maxImageDimensionInput) this.maxImageDimensionInput.value = settings.maxDimension;
+        if (this.imageFormatSelector) this.imageFormatSelector.value = settings.format;
+        if (this.imageQualityInput) this.imageQualityInput.value = settings.quality;
+    }
+
+    /**
+     * @returns {boolean} Whether an attachment is still being resized or trimmed (it cannot be sent yet).
+     */
+    isProcessing() {
+        return this.processingFiles.size > 0;
+    }
+
+    /**
+     * Sets the File API uploader used for attachments too large to send inline.
+     * @param {FileUploader} fileUploader - The uploader.
+     */
+    setFileUploader(fileUploader) {
+        this.fileUploader = fileUploader;
+    }
+
+    /**
+     * Determines the MIME type to send for a file.
+     * @param {File} file - The file.
+     * @returns {string | null} The MIME type, or null if the file type is not supported.
+     */
+    static resolveMimeType(file) {
+        const extension = file.name.includes(".") ? file.name.split(".").pop().toLowerCase() : "";
+        if (TEXT_FILE_EXTENSIONS.includes(extension)) {
+            return TEXT_MIME_TYPES[extension] || "text/plain";
+        }
+        const type = file.type;
+        if (type.startsWith("image/") || type.startsWith("video/") || type.startsWith("audio/")) {
+            return type;
+        }
+        if (type === "application/pdf") return type;
+        if (type.startsWith("text/")) return type === "text/csv" ? type : "text/plain";
+        return null;
+    }
+
+    /**
+     * Handles files selected via input, drag/drop, paste or capture.
      * @param {FileList} files - The files to process.
      */
     handleFiles(files) {
         if (!files) return;
         for (const file of files) {
-            // Basic validation (allow images and videos)
-            if (!file.type.startsWith("image/") && !file.type.startsWith("video/")) {
-                alert(`File type not supported: ${file.name} (${file.type})`);
+            const mimeType = FileManager.resolveMimeType(file);
+            if (!mimeType) {
+                alert(`File type not supported: ${file.name} (${file.type || "unknown type"})`);
                 continue;
             }
 
             // Prevent duplicates by name
-            if (this.attachedFiles.some(f => f.name === file.name)) {
+            if (this.attachedFiles.some(f => f.name === file.name) || this.processingFiles.has(file.name)) {
                 console.warn(`File already attached: ${file.name}`);
                 continue;
             }
 
-            const reader = new FileReader();
-            reader.onload = (e) => {
-                const dataUrl = e.target.result;
-                this.attachedFiles.push({
-                    name: file.name,
-                    type: file.type,
-                    dataUrl: dataUrl,
-                    file: file, // Keep the original File object
-                });
-                this._displayPreview(file.name, file.type, dataUrl);
-            };
-            reader.onerror = (e) => {
-                console.error(`Error reading file ${file.name}:`, reader.error);
-                alert(`Error reading file: ${file.name}`);
-            };
-            reader.readAsDataURL(file);
+            const preprocessing = this.getImagePreprocessingOptions();
+            if (mimeType.startsWith("image/") && preprocessing.enabled) {
+                this._attachProcessedImage(file, preprocessing);
+                continue;
+            }
+            this._attachFile(file.name, file, mimeType);
         }
     }
 
     /**
-     * Displays a preview for an attached file.
+     * Attaches data that was not selected as a file (pasted or captured), under a timestamped name.
+     * @param {Blob} blob - The data.
+     * @param {string} prefix - Start of the file name, e.g. "screenshot".
+     * @param {string} extension - File name extension; it also decides the MIME type of text attachments.
+     */
+    attachBlob(blob, prefix, extension) {
+        const timestamp = new Date().toISOString().replace(/[:.]/g, "-");
+        this.handleFiles([new File([blob], `${prefix}-${timestamp}.${extension}`, { type: blob.type })]);
+    }
+
+    /**
+     * Turns a paste into the message input into attachments: pasted files and images, HTML with
+     * structure (tables, lists, code blocks...), and text longer than PASTE_ATTACHMENT_MIN_CHARS.
+     * Other text is pasted into the input as usual.
+     * @param {ClipboardEvent} event - The paste event.
+     * @private
+     */
+    _handlePaste(event) {
+        const clipboard = event.clipboardData;
+        if (!clipboard) return;
+
+        const files = [...clipboard.files];
+        if (files.length > 0) {
+            event.preventDefault();
+            files.forEach((file, index) => {
+                if (PASTED_IMAGE_NAME.test(file.name)) {
+                    this.attachBlob(file, `pasted-image-${index + 1}`, file.name.split(".").pop());
+                } else {
+                    this.handleFiles([file]);
+                }
+            });
+            return;
+        }
+
+        // Ctrl+Shift+V ("paste as plain text") leaves out the HTML, so it always pastes into the input
+        const html = FileManager._extractRichHtml(clipboard.getData("text/html"));
+        const text = clipboard.getData("text/plain");
+        if (html) {
+            event.preventDefault();
+            this.attachBlob(new Blob([html], { type: "text/html" }), "pasted", "html");
+            this.uiManager.updateStatus("Pasted content attached as HTML (Ctrl+Shift+V pastes plain text).", "info");
+        } else if (text.length > PASTE_ATTACHMENT_MIN_CHARS) {
+            event.preventDefault();
+            this.attachBlob(new Blob([text], { type: "text/plain" }), "pasted-text", "txt");
+            this.uiManager.updateStatus(`Pasted text (${text.length} characters) attached as a file.`, "info");
+        }
+    }
+
+    /**
+     * @param {string} html - HTML from the clipboard.
+     * @returns {string | null} The HTML without scripts and styles, or null if it has no structure worth keeping.
+     * @private
+     */
+    static _extractRichHtml(html) {
+        if (!html) return null;
+        const doc = new DOMParser().parseFromString(html, "text/html");
+        if (!doc.body.querySelector(RICH_HTML_SELECTOR)) return null;
+        doc.body.querySelectorAll("script, style, link, meta").forEach((element) => element.remove());
+        return doc.body.innerHTML.trim();
+    }
+
+    /**
+     * Downscales and re-encodes an image, then attaches the result. If the browser cannot process the
+     * image, it is attached unchanged.
+     * @param {File} file - The image as selected.
+     * @param {{maxDimension: number, format: string, quality: number}} options - Preprocessing settings.
+     * @private
+     */
+    async _attachProcessedImage(file, options) {
+        this.processingFiles.add(file.name);
+        let processed = file;
+        try {
+            processed = await MediaPreprocessor.processImage(file, options);
+            console.log(`Preprocessed ${file.name}: ${file.size} -> ${processed.size} bytes.`);
+        } catch (error) {
+            console.warn(`Could not preprocess ${file.name}; attaching it unchanged:`, error);
+        }
+        if (!this.processingFiles.delete(file.name)) return; // Attachments were cleared meanwhile
+        this._attachFile(file.name, processed, processed.type || file.type, file);
+    }
+
+    /**
+     * Attaches a file: read into a data URL, or uploaded to the File API when it is too large to send inline.
+     * @param {string} name - Name of the attachment (the name of the file as selected).
+     * @param {File} file - The file to send.
+     * @param {string} mimeType - The MIME type to send.
+     * @param {File} [sourceFile=file] - The file as selected, when `file` is a processed version of it.
+     * @private
+     */
+    _attachFile(name, file, mimeType, sourceFile = file) {
+        if (file.size > MAX_INLINE_FILE_BYTES) {
+            if (!this.fileUploader) {
+                alert(`File too large to send inline: ${name}`);
+                return;
+            }
+            this._attachForUpload(name, file, mimeType, sourceFile);
+            return;
+        }
+
+        const reader = new FileReader();
+        reader.onload = (e) => {
+            const dataUrl = e.target.result;
+            this.attachedFiles.push({
+                name: name,
+                type: mimeType,
+                dataUrl: dataUrl,
+                file: file, // Keep the File object
+                sourceFile: sourceFile,
+            });
+            this._displayPreview(name, mimeType, dataUrl, file, sourceFile);
+        };
+        reader.onerror = (e) => {
+            console.error(`Error reading file ${name}:`, reader.error);
+            alert(`Error reading file: ${name}`);
+        };
+        reader.readAsDataURL(file);
+    }
+
+    /**
+     * Attaches a large file and starts uploading it to the File API. The preview uses an object URL
+     * instead of reading the whole file into a data URL.
+     * @param {string} name - Name of the attachment.
+     * @param {File} file - The file.
+     * @param {string} mimeType - The MIME type to send.
+     * @param {File} sourceFile - The file as selected (see `_attachFile`).
+     * @private
+     */
+    _attachForUpload(name, file, mimeType, sourceFile) {
+        const controller = new AbortController();
+        const entry = {
+            name: name,
+            type: mimeType,
+            dataUrl: null,
+            previewUrl: URL.createObjectURL(file),
+            file: file,
+            sourceFile: sourceFile,
+            upload: { state: "uploading", promise: null, resource: null, controller },
+        };
+        this.attachedFiles.push(entry);
+        this._displayPreview(name, mimeType, entry.previewUrl, file, sourceFile);
+        this._showUploadStatus(name, "Uploading...", "uploading");
+
+        entry.upload.promise = this.fileUploader.upload(file, mimeType, name, ({ state, progress }) => {
+            entry.upload.state = state;
+            this._showUploadStatus(
+                name,
+                state === "uploading" ? `Uploading ${Math.round(progress * 100)}%` : "Processing...",
+                state
+            );
+        }, controller.signal).then((resource) => {
+            entry.upload.state = "ready";
+            entry.upload.resource = resource;
+            this._showUploadStatus(name, "Uploaded", "ready");
+            return resource;
+        }).catch((error) => {
+            entry.upload.state = "failed";
+            if (error.name !== "AbortError") {
+                console.error(`Error uploading file ${name}:`, error);
+                this._showUploadStatus(name, "Upload failed", "failed");
+            }
+            throw error;
+        });
+        // Failures are shown in the preview now and reported again when sending
+        entry.upload.promise.catch(() => {});
+    }
+
+    /**
+     * Shows the upload (or trimming) state of an attachment on its preview.
+     * @param {string} name - File name.
+     * @param {string} text - Status text.
+     * @param {'uploading' | 'processing' | 'ready' | 'failed'} state - Upload state (used as a class).
+     * @private
+     */
+    _showUploadStatus(name, text, state) {
+        const previewItem = this.previewArea?.querySelector(
+            `.preview-item[data-file-name="${CSS.escape(name)}"]`
+        );
+        if (!previewItem) return;
+        let status = previewItem.querySelector(".upload-status");
+        if (!status) {
+            status = document.createElement("div");
+            previewItem.appendChild(status);
+        }
+        status.className = `upload-status ${state}`;
+        status.textContent = text;
+    }
+
+    /**
+     * Displays a preview for an attached file, with its size (before and after preprocessing).
      * @param {string} name - File name.
      * @param {string} type - MIME type.
-     * @param {string} dataUrl - Data URL for preview.
+     * @param {string} dataUrl - Data URL (or object URL, for uploaded files) for preview.
+     * @param {File} file - The file (read again for PDF and text previews).
+     * @param {File} [sourceFile=file] - The file as selected, if `file` was resized or trimmed.
      * @private
      */
-    _displayPreview(name, type, dataUrl) {
+    _displayPreview(name, type, dataUrl, file, sourceFile = file) {
         if (!this.previewArea) return;
 
         const previewItem = document.createElement("div");
@@ -79,15 +369,42 @@ export class FileManager {
             mediaElement.src = dataUrl;
             mediaElement.muted = true; // Mute previews by default
             mediaElement.playsInline = true;
-            mediaElement.addEventListener('loadedmetadata', () => { // Autoplay short videos on hover maybe?
-                 // Example: mediaElement.play(); on mouseenter
-            });
             // video.controls = true; // Controls might be too large for small previews
+            previewItem.classList.add("video-preview-item");
+        } else if (type.startsWith("audio/")) {
+            mediaElement = document.createElement("audio");
+            mediaElement.src = dataUrl;
+            mediaElement.controls = true;
+            mediaElement.title = name;
+        } else if (type === "application/pdf") {
+            mediaElement = this._createDocumentPreview(name, "PDF");
+            file.arrayBuffer()
+                .then((data) => PdfRenderer.renderFirstPage(data, 80))
+                .then((canvas) => mediaElement.prepend(canvas))
+                .catch((error) => console.warn(`Could not render preview of ${name}:`, error));
         } else {
-            return; // Should not happen based on handleFiles validation
+            mediaElement = this._createDocumentPreview(name, "Text");
+            file.slice(0, TEXT_PREVIEW_LENGTH * 4).text()
+                .then((text) => {
+                    const snippet = document.createElement("pre");
+                    snippet.textContent = text.slice(0, TEXT_PREVIEW_LENGTH);
+                    mediaElement.appendChild(snippet);
+                })
+                .catch((error) => console.warn(`Could not read preview of ${name}:`, error));
         }
         previewItem.appendChild(mediaElement);
 
+        const sizeInfo = document.createElement("div");
+        sizeInfo.classList.add("preview-size");
+        sizeInfo.textContent = sourceFile !== file
+            ? `${FileManager._formatSize(sourceFile.size)} → ${FileManager._formatSize(file.size)}`
+            : FileManager._formatSize(file.size);
+        previewItem.appendChild(sizeInfo);
+
+        if (type.startsWith("video/")) {
+            previewItem.appendChild(this._createClipControls(name, mediaElement, file, sourceFile));
+        }
+
         const removeButton = document.createElement("button");
         removeButton.classList.add("remove-preview");
         removeButton.textContent = "x";
@@ -101,12 +418,130 @@ export class FileManager {
         this.previewArea.appendChild(previewItem);
     }
 
+    /**
+     * Creates the clip start/end inputs of a video preview. Trimming always starts from the video as selected.
+     * @param {string} name - Name of the attachment.
+     * @param {HTMLVideoElement} videoElement - The preview video.
+     * @param {File} file - The attached file.
+     * @param {File} sourceFile - The video as selected (differs from `file` once trimmed).
+     * @returns {HTMLDivElement} The controls.
+     * @private
+     */
+    _createClipControls(name, videoElement, file, sourceFile) {
+        const controls = document.createElement("div");
+        controls.classList.add("clip-controls");
+        const createInput = (title) => {
+            const input = document.createElement("input");
+            input.type = "number";
+            input.min = "0";
+            input.step = "0.1";
+            input.title = title;
+            return input;
+        };
+        const startInput = createInput("Clip start (seconds)");
+        const endInput = createInput("Clip end (seconds)");
+        startInput.value = "0";
+
+        // The range refers to the video as selected; once trimmed, the preview shows the clip instead
+        let probe = videoElement;
+        let probeUrl = null;
+        if (sourceFile !== file) {
+            probe = document.createElement("video");
+            probeUrl = URL.createObjectURL(sourceFile);
+            probe.src = probeUrl;
+        }
+        probe.addEventListener("loadedmetadata", () => {
+            if (Number.isFinite(probe.duration)) {
+                endInput.value = probe.duration.toFixed(1);
+                startInput.max = endInput.max = endInput.value;
+            }
+            if (probeUrl) URL.revokeObjectURL(probeUrl);
+        }, { once: true });
+
+        const trimButton = document.createElement("button");
+        trimButton.textContent = "Trim";
+        trimButton.title = "Keep only this part of the video (recorded in real time)";
+        trimButton.onclick = (e) => {
+            e.stopPropagation();
+            this._trimVideo(name, parseFloat(startInput.value), parseFloat(endInput.value));
+        };
+        controls.append(startInput, "–", endInput, "s", trimButton);
+        return controls;
+    }
+
+    /**
+     * Replaces an attached video with a clip of it.
+     * @param {string} name - Name of the attachment.
+     * @param {number} start - Clip start in seconds.
+     * @param {number} end - Clip end in seconds.
+     * @private
+     */
+    async _trimVideo(name, start, end) {
+        const entry = this.attachedFiles.find((f) => f.name === name);
+        if (!entry || this.processingFiles.has(name)) return;
+        const sourceFile = entry.sourceFile || entry.file;
+
+        this.processingFiles.add(name);
+        this._showUploadStatus(name, "Trimming...", "processing");
+        let clip;
+        try {
+            clip = await MediaPreprocessor.trimVideo(sourceFile, start, end, (progress) =>
+                this._showUploadStatus(name, `Trimming ${Math.round(progress * 100)}%`, "processing")
+            );
+        } catch (error) {
+            console.error(`Error trimming ${name}:`, error);
+            if (this.processingFiles.delete(name)) {
+                this._showUploadStatus(name, "Trim failed", "failed");
+                alert(`Could not trim ${name}: ${error.message}`);
+            }
+            return;
+        }
+        if (!this.processingFiles.delete(name)) return; // Removed while trimming
+
+        console.log(`Trimmed ${name} to ${start}-${end} s: ${sourceFile.size} -> ${clip.size} bytes.`);
+        this._removePreview(name);
+        this._attachFile(name, clip, clip.type, sourceFile);
+    }
+
+    /**
+     * @param {number} bytes
+     * @returns {string} A short size, e.g. "850 KB" or "2.4 MB".
+     * @private
+     */
+    static _formatSize(bytes) {
+        return bytes < 1024 * 1024
+            ? `${Math.max(1, Math.round(bytes / 1024))} KB`
+            : `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+    }
+
+    /**
+     * Creates the preview box of a document attachment (PDF or text) with its name; the page
+     * thumbnail or text snippet is filled in once the file is read.
+     * @param {string} name - File name.
+     * @param {string} label - Kind of document shown until then.
+     * @returns {HTMLDivElement} The preview box.
+     * @private
+     */
+    _createDocumentPreview(name, label) {
+        const box = document.createElement("div");
+        box.classList.add("document-preview");
+        box.title = name;
+        const caption = document.createElement("div");
+        caption.classList.add("document-preview-name");
+        caption.textContent = `${label}: ${name}`;
+        box.appendChild(caption);
+        return box;
+    }
+
     /**
      * Removes a file preview and the corresponding file data.
      * @param {string} name - The name of the file to remove.
      * @private
      */
     _removePreview(name) {
+        const removed = this.attachedFiles.find((f) => f.name === name);
+        if (removed) this._releaseAttachment(removed);
+        this.processingFiles.delete(name);
         this.attachedFiles = this.attachedFiles.filter((f) => f.name !== name);
         const previewItem = this.previewArea?.querySelector(
             `.preview-item[data-file-name="${name}"]`
@@ -121,7 +556,9 @@ export class FileManager {
      * Clears all attached files and their previews.
      */
     clearAttachments() {
+        this.attachedFiles.forEach((f) => this._releaseAttachment(f));
         this.attachedFiles = [];
+        this.processingFiles.clear();
         if (this.previewArea) {
             this.previewArea.innerHTML = '';
         }
@@ -132,21 +569,70 @@ export class FileManager {
         console.log("Cleared all attachments.");
     }
 
+    /**
+     * Cancels an unfinished upload of an attachment and frees its object URL.
+     * @param {object} fileInfo - An entry of `attachedFiles`.
+     * @private
+     */
+    _releaseAttachment(fileInfo) {
+        if (fileInfo.upload && !["ready", "failed"].includes(fileInfo.upload.state)) {
+            fileInfo.upload.controller.abort();
+        }
+        if (fileInfo.previewUrl) {
+            URL.revokeObjectURL(fileInfo.previewUrl);
+        }
+    }
+
     /**
      * Gets the currently attached files.
-     * @returns {Array<{name: string, type: string, dataUrl: string, file: File}>}
+     * @returns {Array<{name: string, type: string, dataUrl: string | null, file: File}>} `dataUrl` is null
+     *   for files sent through the File API.
      */
     getAttachedFiles() {
         return [...this.attachedFiles]; // Return a copy
     }
 
+    /**
+     * @returns {boolean} Whether an attachment is still being uploaded or processed.
+     */
+    hasPendingUploads() {
+        return this.attachedFiles.some(
+            (f) => f.upload && ["uploading", "processing"].includes(f.upload.state)
+        );
+    }
+
+    /**
+     * Describes the attachments sent through the File API, for storing with the message so that
+     * reloaded sessions know when the references expire.
+     * @returns {Array<{fileUri: string, name: string, displayName: string, mimeType: string,
+     *   sizeBytes: string, expirationTime: string}>} One record per uploaded file.
+     */
+    getUploadedFiles() {
+        return this.attachedFiles
+            .filter((f) => f.upload?.resource)
+            .map(({ name, upload: { resource } }) => ({
+                fileUri: resource.uri,
+                name: resource.name,
+                displayName: name,
+                mimeType: resource.mimeType,
+                sizeBytes: resource.sizeBytes,
+                expirationTime: resource.expirationTime,
+            }));
+    }
+
     /**
      * Converts the currently attached files into the GenerativePart format for the API.
-     * @returns {Promise<Array<{inlineData: {data: string, mimeType: string}}>>}
+     * Waits for pending uploads; uploaded files become `fileData` references.
+     * @returns {Promise<Array<{inlineData: {data: string, mimeType: string}} |
+     *   {fileData: {fileUri: string, mimeType: string}}>>}
      */
     async getFilesAsGenerativeParts() {
         const filePromises = this.attachedFiles.map(fileInfo =>
-            this._fileToGenerativePart(fileInfo.file)
+            fileInfo.upload
+                ? fileInfo.upload.promise.then((resource) => ({
+                    fileData: { mimeType: resource.mimeType, fileUri: resource.uri },
+                }))
+                : this._fileToGenerativePart(fileInfo.file, fileInfo.type)
         );
         return Promise.all(filePromises);
     }
@@ -154,10 +640,11 @@ export class FileManager {
     /**
      * Helper to convert a single File object to a GenerativePart.
      * @param {File} file - The file object.
+     * @param {string} [mimeType=file.type] - The MIME type to send (see `resolveMimeType`).
      * @returns {Promise<{inlineData: {data: string, mimeType: string}}>}
      * @private
      */
-    async _fileToGenerativePart(file) {
+    async _fileToGenerativePart(file, mimeType = file.type) {
         const base64EncodedDataPromise = new Promise((resolve, reject) => {
             const reader = new FileReader();
             reader.onloadend = () => {
@@ -173,7 +660,7 @@ export class FileManager {
         try {
             const base64Data = await base64EncodedDataPromise;
             return {
-                inlineData: { data: base64Data, mimeType: file.type },
+                inlineData: { data: base64Data, mimeType },
             };
         } catch (error) {
              console.error(`Error converting file ${file.name} to base64:`, error);
@@ -187,6 +674,19 @@ export class FileManager {
      * @private
      */
     _setupEventListeners() {
+        // Image preprocessing settings are kept across visits
+        [
+            this.imagePreprocessingCheckbox,
+            this.maxImageDimensionInput,
+            this.imageFormatSelector,
+            this.imageQualityInput,
+        ].forEach((control) => control?.addEventListener("change", () => {
+            localStorage.setItem(
+                IMAGE_PREPROCESSING_STORAGE_KEY,
+                JSON.stringify(this.getImagePreprocessingOptions())
+            );
+        }));
+
         if (this.attachButton && this.fileInput) {
             this.attachButton.addEventListener("click", () => {
                 this.fileInput.click(); // Trigger hidden file input
@@ -201,7 +701,7 @@ export class FileManager {
             });
         }
 
-        // Drag and Drop listeners
+        // Drag and Drop and paste listeners
         if (this.messageInput) {
             this.messageInput.addEventListener("dragover", (event) => {
                 event.preventDefault();
@@ -221,6 +721,7 @@ export class FileManager {
                     this.handleFiles(event.dataTransfer.files);
                 }
             });
+            this.messageInput.addEventListener("paste", (event) => this._handlePaste(event));
         } else {
             console.warn("Message input element not found for drag/drop setup.");
         }
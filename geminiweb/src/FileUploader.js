@@ -0,0 +1,188 @@
+import {
+  FILE_API_BASE_URL,
+  FILE_UPLOAD_CHUNK_BYTES,
+  FILE_PROCESSING_POLL_MS,
+} from "./Config.js";
+
+/**
+ * Uploads attachments to the Gemini File API with the resumable upload protocol, so large media can
+ * be sent as `fileData` URIs instead of inline base64.
+ *
+ * The SDK's file manager only runs in Node, so the REST endpoints are called directly:
+ *   1. POST /upload/v1beta/files starts the upload and returns an upload URL,
+ *   2. the bytes are sent to that URL in chunks (the last one with "finalize"),
+ *   3. GET /v1beta/files/{id} is polled until the file leaves the PROCESSING state (videos).
+ * Uploaded files expire after 48 hours (`expirationTime`).
+ */
+export class FileUploader {
+  /**
+   * @param {ApiKeyManager} apiKeyManager - Instance providing the API key.
+   */
+  constructor(apiKeyManager) {
+    this.apiKeyManager = apiKeyManager;
+  }
+
+  /**
+   * Uploads a file and waits until it can be used in requests.
+   * @param {File | Blob} file - The file to upload.
+   * @param {string} mimeType - The MIME type to register for the file.
+   * @param {string} displayName - Name shown for the file.
+   * @param {function({state: 'uploading' | 'processing', progress?: number}): void} [onProgress] -
+   *   Called as chunks are sent (`progress` from 0 to 1) and while the file is processed.
+   * @param {AbortSignal} [signal] - Cancels the upload.
+   * @returns {Promise<{name: string, uri: string, mimeType: string, sizeBytes: string,
+   *   expirationTime: string, state: string}>} The ACTIVE file resource.
+   * @throws {Error} If the upload or processing fails, or the signal aborts.
+   */
+  async upload(file, mimeType, displayName, onProgress, signal) {
+    const uploadUrl = await this._startUpload(
+      file.size,
+      mimeType,
+      displayName,
+      signal
+    );
+    let resource = await this._sendChunks(uploadUrl, file, onProgress, signal);
+    console.log(
+      `[FileUploader] Uploaded ${displayName} as ${resource.name} (${resource.state}).`
+    );
+
+    while (resource.state === "PROCESSING") {
+      onProgress?.({ state: "processing" });
+      await new Promise((resolve) =>
+        setTimeout(resolve, FILE_PROCESSING_POLL_MS)
+      );
+      signal?.throwIfAborted();
+      resource = await this.getFile(resource.name, signal);
+    }
+    if (resource.state !== "ACTIVE") {
+      throw new Error(
+        `File processing failed for ${displayName}: ${
+          resource.error?.message || resource.state
+        }`
+      );
+    }
+    return resource;
+  }
+
+  /**
+   * Gets the current metadata of an uploaded file.
+   * @param {string} name - The file resource name ("files/...").
+   * @param {AbortSignal} [signal] - Cancels the request.
+   * @returns {Promise<object>} The file resource.
+   */
+  async getFile(name, signal) {
+    const response = await fetch(
+      `${FILE_API_BASE_URL}/v1beta/${name}?key=${this._getKey()}`,
+      { signal }
+    );
+    return this._readJson(response, `Could not get ${name}`);
+  }
+
+  /**
+   * @param {string | undefined} expirationTime - ISO timestamp of an uploaded file's expiry.
+   * @returns {boolean} Whether the file has expired (or will within a minute).
+   */
+  static isExpired(expirationTime) {
+    return (
+      !!expirationTime &&
+      new Date(expirationTime).getTime() - 60000 <= Date.now()
+    );
+  }
+
+  /**
+   * Starts a resumable upload.
+   * @param {number} size - File size in bytes.
+   * @param {string} mimeType - The MIME type.
+   * @param {string} displayName - Name shown for the file.
+   * @param {AbortSignal} [signal] - Cancels the request.
+   * @returns {Promise<string>} The URL to send the bytes to.
+   * @private
+   */
+  async _startUpload(size, mimeType, displayName, signal) {
+    const response = await fetch(
+      `${FILE_API_BASE_URL}/upload/v1beta/files?key=${this._getKey()}`,
+      {
+        method: "POST",
+        headers: {
+          "X-Goog-Upload-Protocol": "resumable",
+          "X-Goog-Upload-Command": "start",
+          "X-Goog-Upload-Header-Content-Length": String(size),
+          "X-Goog-Upload-Header-Content-Type": mimeType,
+          "Content-Type": "application/json",
+        },
+        body: JSON.stringify({ file: { display_name: displayName } }),
+        signal,
+      }
+    );
+    const uploadUrl = response.headers.get("X-Goog-Upload-URL");
+    if (!response.ok || !uploadUrl) {
+      throw new Error(
+        `Could not start upload of ${displayName} (HTTP ${response.status}).`
+      );
+    }
+    return uploadUrl;
+  }
+
+  /**
+   * Sends the file in chunks, finalizing with the last one.
+   * @param {string} uploadUrl - URL from `_startUpload`.
+   * @param {File | Blob} file - The file.
+   * @param {function(object): void} [onProgress] - Progress callback (see `upload`).
+   * @param {AbortSignal} [signal] - Cancels the upload.
+   * @returns {Promise<object>} The file resource returned by the final chunk.
+   * @private
+   */
+  async _sendChunks(uploadUrl, file, onProgress, signal) {
+    let offset = 0;
+    do {
+      const end = Math.min(offset + FILE_UPLOAD_CHUNK_BYTES, file.size);
+      const isLast = end === file.size;
+      onProgress?.({ state: "uploading", progress: offset / (file.size || 1) });
+      const response = await fetch(uploadUrl, {
+        method: "POST",
+        headers: {
+          "X-Goog-Upload-Command": isLast ? "upload, finalize" : "upload",
+          "X-Goog-Upload-Offset": String(offset),
+        },
+        body: file.slice(offset, end),
+        signal,
+      });
+      if (isLast) {
+        onProgress?.({ state: "uploading", progress: 1 });
+        return (await this._readJson(response, "Upload failed")).file;
+      }
+      if (!response.ok) {
+        throw new Error(`Upload failed (HTTP ${response.status}).`);
+      }
+      offset = end;
+    } while (offset < file.size);
+  }
+
+  /**
+   * @param {Response} response - A File API response.
+   * @param {string} failureMessage - Prefix of the error message.
+   * @returns {Promise<object>} The parsed JSON body.
+   * @throws {Error} If the response is not OK.
+   * @private
+   */
+  async _readJson(response, failureMessage) {
+    const body = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      throw new Error(
+        `${failureMessage}: ${body.error?.message || `HTTP ${response.status}`}`
+      );
+    }
+    return body;
+  }
+
+  /**
+   * @returns {string} The URL-encoded API key.
+   * @throws {Error} If no API key is set.
+   * @private
+   */
+  _getKey() {
+    const apiKey = this.apiKeyManager.getKey();
+    if (!apiKey) throw new Error("API key not set.");
+    return encodeURIComponent(apiKey);
+  }
+}
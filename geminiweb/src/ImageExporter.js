@@ -1,3 +1,10 @@
+import { ZipWriter } from "./ZipWriter.js";
+
+// Target height (CSS px) of one page in paged exports. Pages break at message boundaries.
+const PAGE_HEIGHT = 2000;
+// Largest canvas side we ask html2canvas for; browsers fail (or return blank canvases) beyond their limits.
+const MAX_CANVAS_DIMENSION = 16000;
+
 /**
  * Handles exporting content, like chat history, to image formats.
  */
@@ -74,4 +81,206 @@ export class ImageExporter {
         updateStatusCallback("Cleanup complete.", "info"); // Optional status update
     }
   }
+
+  /**
+   * Captures a chat history element page by page, splitting at message boundaries, and triggers
+   * a download of either a zip of PNG pages or a multi-page PDF.
+   * Unlike `exportElementToPng`, this works for sessions too long to fit in a single canvas.
+   * @param {HTMLElement} elementToCapture - The chat history element; its children are the messages.
+   * @param {string | number | null} sessionId - The current session ID for the filename.
+   * @param {'png' | 'pdf'} format - Output format: "png" for a zip of PNG pages, "pdf" for a PDF.
+   * @param {function(string, 'info' | 'success' | 'warning' | 'error'): void} updateStatusCallback - Callback to update UI status.
+   */
+  static async exportElementToPages(
+    elementToCapture,
+    sessionId,
+    format,
+    updateStatusCallback
+  ) {
+    if (!elementToCapture) {
+      console.error("Element to capture not provided for paged export.");
+      updateStatusCallback?.(
+        "Error: Could not find content to capture.",
+        "error"
+      );
+      return;
+    }
+    if (typeof html2canvas === "undefined") {
+      console.error("html2canvas library is not loaded.");
+      updateStatusCallback?.(
+        "Error: Image capture library not loaded.",
+        "error"
+      );
+      return;
+    }
+    if (format === "pdf" && !window.jspdf) {
+      console.error("jsPDF library is not loaded.");
+      updateStatusCallback?.("Error: PDF library not loaded.", "error");
+      return;
+    }
+
+    const originalOverflow = elementToCapture.style.overflow;
+    const originalHeight = elementToCapture.style.height;
+
+    try {
+      elementToCapture.style.overflow = "visible";
+      elementToCapture.style.height = "auto";
+
+      const pages = ImageExporter._splitIntoPages(elementToCapture);
+      if (pages.length === 0) {
+        updateStatusCallback?.("Nothing to export.", "warning");
+        return;
+      }
+
+      const timestamp = new Date().toISOString().replace(/[:.]/g, "-");
+      const baseName = `gemini-chat-session-${
+        sessionId || "current"
+      }-${timestamp}`;
+      const zip = format === "png" ? new ZipWriter() : null;
+      let pdf = null;
+
+      for (const [index, pageMessages] of pages.entries()) {
+        updateStatusCallback?.(
+          `Rendering page ${index + 1} of ${pages.length}...`,
+          "info"
+        );
+        const canvas = await ImageExporter._capturePage(
+          elementToCapture,
+          pageMessages
+        );
+
+        if (zip) {
+          const blob = await new Promise((resolve) =>
+            canvas.toBlob(resolve, "image/png")
+          );
+          const pageNumber = String(index + 1).padStart(3, "0");
+          zip.addFile(
+            `${baseName}-page-${pageNumber}.png`,
+            new Uint8Array(await blob.arrayBuffer())
+          );
+        } else {
+          pdf = ImageExporter._addPdfPage(pdf, canvas);
+        }
+      }
+
+      updateStatusCallback?.("Assembling download...", "info");
+      const blob = zip ? zip.toBlob() : pdf.output("blob");
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement("a");
+      link.href = url;
+      link.download = `${baseName}.${zip ? "zip" : "pdf"}`;
+      document.body.appendChild(link); // Required for Firefox
+      link.click();
+      document.body.removeChild(link);
+      URL.revokeObjectURL(url);
+
+      updateStatusCallback?.(
+        `${format.toUpperCase()} export of ${pages.length} page(s) initiated.`,
+        "success"
+      );
+    } catch (error) {
+      console.error("Error during paged export:", error);
+      updateStatusCallback?.(
+        `Error generating ${format.toUpperCase()}: ${error.message}`,
+        "error"
+      );
+    } finally {
+      elementToCapture.style.overflow = originalOverflow;
+      elementToCapture.style.height = originalHeight;
+    }
+  }
+
+  /**
+   * Groups the message elements of a container into pages of about `PAGE_HEIGHT` pixels.
+   * A message taller than a page gets a page of its own.
+   * @param {HTMLElement} container - The chat history element.
+   * @returns {Array<Array<HTMLElement>>} The message elements of each page.
+   * @private
+   */
+  static _splitIntoPages(container) {
+    const messages = Array.from(container.children);
+    const pages = [];
+    let currentPage = [];
+    let currentHeight = 0;
+
+    messages.forEach((message, index) => {
+      // Measure from this message to the next so margins between messages are included
+      const next = messages[index + 1];
+      const height = next
+        ? next.offsetTop - message.offsetTop
+        : message.offsetHeight;
+
+      if (currentPage.length > 0 && currentHeight + height > PAGE_HEIGHT) {
+        pages.push(currentPage);
+        currentPage = [];
+        currentHeight = 0;
+      }
+      currentPage.push(message);
+      currentHeight += height;
+    });
+    if (currentPage.length > 0) {
+      pages.push(currentPage);
+    }
+    return pages;
+  }
+
+  /**
+   * Renders the container with only the given messages (all others are left out of the clone).
+   * The scale is lowered if needed to keep the canvas within `MAX_CANVAS_DIMENSION`.
+   * @param {HTMLElement} container - The chat history element.
+   * @param {Array<HTMLElement>} pageMessages - The messages to include.
+   * @returns {Promise<HTMLCanvasElement>} The rendered page.
+   * @private
+   */
+  static async _capturePage(container, pageMessages) {
+    const included = new Set(pageMessages);
+    const pageHeight = pageMessages.reduce(
+      (height, message) => height + message.offsetHeight,
+      0
+    );
+    const scale = Math.min(
+      window.devicePixelRatio || 1,
+      MAX_CANVAS_DIMENSION / Math.max(pageHeight, container.offsetWidth, 1)
+    );
+
+    return html2canvas(container, {
+      useCORS: true,
+      logging: false,
+      scale,
+      ignoreElements: (element) =>
+        element.parentElement === container && !included.has(element),
+    });
+  }
+
+  /**
+   * Appends a canvas as a page of a PDF, creating the document for the first page.
+   * Each PDF page has the size of its canvas.
+   * @param {object | null} pdf - The jsPDF document, or null before the first page.
+   * @param {HTMLCanvasElement} canvas - The rendered page.
+   * @returns {object} The jsPDF document.
+   * @private
+   */
+  static _addPdfPage(pdf, canvas) {
+    const size = [canvas.width, canvas.height];
+    const orientation = canvas.width > canvas.height ? "landscape" : "portrait";
+    if (!pdf) {
+      pdf = new window.jspdf.jsPDF({
+        orientation,
+        unit: "px",
+        format: size,
+        hotfixes: ["px_scaling"],
+      });
+    } else {
+      pdf.addPage(size, orientation);
+    }
+    pdf.addImage(
+      canvas.toDataURL("image/png"),
+      "PNG",
+      0,
+      0,
+      canvas.width,
+      canvas.height
+    );
+    return pdf;
+  }
 }
@@ -0,0 +1,329 @@
+import { SearchIndexer } from "./SearchIndexer.js";
+
+const MAX_FETCH_CHARACTERS = 20000; // Text returned to the model from a fetched page
+const FETCH_TIMEOUT_MS = 15000;
+const MAX_SESSION_MESSAGES = 50;
+
+const CALCULATOR_CONSTANTS = { pi: Math.PI, e: Math.E };
+const CALCULATOR_FUNCTIONS = {
+  sqrt: Math.sqrt,
+  cbrt: Math.cbrt,
+  abs: Math.abs,
+  sin: Math.sin,
+  cos: Math.cos,
+  tan: Math.tan,
+  asin: Math.asin,
+  acos: Math.acos,
+  atan: Math.atan,
+  ln: Math.log,
+  log: Math.log10,
+  log2: Math.log2,
+  exp: Math.exp,
+  floor: Math.floor,
+  ceil: Math.ceil,
+  round: Math.round,
+  min: Math.min,
+  max: Math.max,
+  pow: Math.pow,
+  hypot: Math.hypot,
+};
+
+/**
+ * The built-in local tools: a calculator, lookups in the other chat sessions and fetching a URL
+ * after the user approves it.
+ */
+export class LocalTools {
+  /**
+   * Registers all built-in tools.
+   * @param {ToolRegistry} registry - The registry to add the tools to.
+   * @param {StorageManager} storageManager - Instance for the session lookups.
+   */
+  static registerAll(registry, storageManager) {
+    registry.register(LocalTools.calculatorTool());
+    registry.register(LocalTools.listSessionsTool(storageManager));
+    registry.register(LocalTools.searchSessionsTool(storageManager));
+    registry.register(LocalTools.readSessionTool(storageManager));
+    registry.register(LocalTools.fetchUrlTool());
+  }
+
+  /**
+   * @returns {object} Tool evaluating arithmetic expressions (without `eval`).
+   */
+  static calculatorTool() {
+    return {
+      name: "calculate",
+      description:
+        "Evaluates an arithmetic expression exactly. Supports + - * / % ^ (power), parentheses, " +
+        `the constants pi and e, and the functions ${Object.keys(
+          CALCULATOR_FUNCTIONS
+        ).join(", ")} (log is base 10, ln is natural).`,
+      parameters: {
+        type: "object",
+        properties: {
+          expression: {
+            type: "string",
+            description: "The expression, e.g. (2 + 3) * sqrt(16) / 7",
+          },
+        },
+        required: ["expression"],
+      },
+      execute: ({ expression }) => ({
+        expression,
+        result: LocalTools.evaluateExpression(String(expression ?? "")),
+      }),
+    };
+  }
+
+  /**
+   * @param {StorageManager} storageManager
+   * @returns {object} Tool listing the user's chat sessions.
+   */
+  static listSessionsTool(storageManager) {
+    return {
+      name: "list_chat_sessions",
+      description:
+        "Lists the user's saved chat sessions (most recently active first) with their IDs, names and folders.",
+      parameters: {
+        type: "object",
+        properties: {
+          limit: {
+            type: "integer",
+            description: "Maximum number of sessions (default 20).",
+          },
+        },
+      },
+      execute: async ({ limit = 20 }) => {
+        const sessions = await storageManager.getAllSessions();
+        return {
+          sessions: sessions.slice(0, Math.max(1, limit)).map((session) => ({
+            sessionId: session.id,
+            name: session.name,
+            folder: session.folder || null,
+            updatedAt: session.updatedAt || session.createdAt,
+          })),
+        };
+      },
+    };
+  }
+
+  /**
+   * @param {StorageManager} storageManager
+   * @returns {object} Tool running the full-text search over all sessions.
+   */
+  static searchSessionsTool(storageManager) {
+    return {
+      name: "search_chat_history",
+      description:
+        "Full-text search over the messages of all the user's chat sessions. Returns matching snippets " +
+        "with their session IDs; use read_chat_session to read a whole session.",
+      parameters: {
+        type: "object",
+        properties: {
+          query: { type: "string", description: "Words to search for." },
+          limit: {
+            type: "integer",
+            description: "Maximum number of results (default 10).",
+          },
+        },
+        required: ["query"],
+      },
+      execute: async ({ query, limit = 10 }) => ({
+        results: await storageManager.searchMessages(
+          String(query ?? ""),
+          Math.max(1, limit)
+        ),
+      }),
+    };
+  }
+
+  /**
+   * @param {StorageManager} storageManager
+   * @returns {object} Tool reading the text of another session.
+   */
+  static readSessionTool(storageManager) {
+    return {
+      name: "read_chat_session",
+      description:
+        "Reads the text of a saved chat session (its currently selected branch) by session ID.",
+      parameters: {
+        type: "object",
+        properties: {
+          sessionId: { type: "integer", description: "The session ID." },
+        },
+        required: ["sessionId"],
+      },
+      execute: async ({ sessionId }) => {
+        const session = await storageManager.getSession(Number(sessionId));
+        if (!session) {
+          return { error: `Session ${sessionId} not found.` };
+        }
+        const messages = await storageManager.getRawMessagesForSession(
+          session.id
+        );
+        return {
+          name: session.name,
+          messageCount: messages.length,
+          messages: messages
+            .slice(-MAX_SESSION_MESSAGES)
+            .map((msg) => ({
+              sender: msg.sender,
+              text: SearchIndexer.extractText(msg.contentParts),
+            }))
+            .filter((msg) => msg.text),
+        };
+      },
+    };
+  }
+
+  /**
+   * @returns {object} Tool fetching a URL, only after the user confirms it.
+   */
+  static fetchUrlTool() {
+    return {
+      name: "fetch_url",
+      description:
+        "Fetches a web page or file over HTTP(S) and returns its text. The user must approve each URL, and " +
+        "sites that do not allow cross-origin requests cannot be read.",
+      parameters: {
+        type: "object",
+        properties: {
+          url: { type: "string", description: "The absolute http(s) URL." },
+        },
+        required: ["url"],
+      },
+      execute: async ({ url }) => {
+        let parsedUrl;
+        try {
+          parsedUrl = new URL(String(url ?? ""));
+        } catch (urlError) {
+          return { error: `Invalid URL: ${url}` };
+        }
+        if (!["http:", "https:"].includes(parsedUrl.protocol)) {
+          return { error: "Only http and https URLs can be fetched." };
+        }
+        if (
+          !confirm(`The model wants to fetch:\n${parsedUrl.href}\n\nAllow?`)
+        ) {
+          return { error: "The user declined to fetch this URL." };
+        }
+
+        const response = await fetch(parsedUrl.href, {
+          signal: AbortSignal.timeout(FETCH_TIMEOUT_MS),
+        });
+        const contentType = response.headers.get("content-type") || "";
+        let text = await response.text();
+        if (contentType.includes("html")) {
+          const doc = new DOMParser().parseFromString(text, "text/html");
+          doc
+            .querySelectorAll("script, style, noscript")
+            .forEach((el) => el.remove());
+          text = (doc.body?.textContent || "").replace(/\s+/g, " ").trim();
+        }
+        return {
+          url: response.url,
+          status: response.status,
+          contentType,
+          content: text.slice(0, MAX_FETCH_CHARACTERS),
+          truncated: text.length > MAX_FETCH_CHARACTERS,
+        };
+      },
+    };
+  }
+
+  /**
+   * Evaluates an arithmetic expression with a small recursive-descent parser.
+   * @param {string} expression - The expression.
+   * @returns {number} The result.
+   * @throws {Error} If the expression is malformed.
+   */
+  static evaluateExpression(expression) {
+    const tokens =
+      expression.match(
+        /\d+(?:\.\d+)?(?:e[+-]?\d+)?|\.\d+|[a-z_][a-z0-9_]*|\*\*|[-+*/%^(),]|\S/gi
+      ) || [];
+    let position = 0;
+    const peek = () => tokens[position];
+    const next = () => tokens[position++];
+    const expect = (token) => {
+      if (next() !== token) throw new Error(`Expected "${token}".`);
+    };
+
+    // expression := term (("+" | "-") term)*
+    const parseExpression = () => {
+      let value = parseTerm();
+      while (peek() === "+" || peek() === "-") {
+        const operator = next();
+        const right = parseTerm();
+        value = operator === "+" ? value + right : value - right;
+      }
+      return value;
+    };
+    // term := unary (("*" | "/" | "%") unary)*
+    const parseTerm = () => {
+      let value = parseUnary();
+      while (["*", "/", "%"].includes(peek())) {
+        const operator = next();
+        const right = parseUnary();
+        if (operator === "*") value *= right;
+        else if (operator === "/") value /= right;
+        else value %= right;
+      }
+      return value;
+    };
+    // unary := ("-" | "+") unary | power
+    const parseUnary = () => {
+      if (peek() === "-") {
+        next();
+        return -parseUnary();
+      }
+      if (peek() === "+") {
+        next();
+        return parseUnary();
+      }
+      return parsePower();
+    };
+    // power := primary (("^" | "**") unary)?   (right-associative)
+    const parsePower = () => {
+      const base = parsePrimary();
+      if (peek() === "^" || peek() === "**") {
+        next();
+        return Math.pow(base, parseUnary());
+      }
+      return base;
+    };
+    // primary := number | constant | function "(" args ")" | "(" expression ")"
+    const parsePrimary = () => {
+      const token = next();
+      if (token === undefined) throw new Error("Unexpected end of expression.");
+      if (token === "(") {
+        const value = parseExpression();
+        expect(")");
+        return value;
+      }
+      if (/^[\d.]/.test(token)) return Number(token);
+
+      const name = token.toLowerCase();
+      // Own properties only: "constructor" or "toString" must not resolve to Object.prototype members
+      if (Object.hasOwn(CALCULATOR_CONSTANTS, name)) {
+        return CALCULATOR_CONSTANTS[name];
+      }
+      if (Object.hasOwn(CALCULATOR_FUNCTIONS, name)) {
+        expect("(");
+        const args = [parseExpression()];
+        while (peek() === ",") {
+          next();
+          args.push(parseExpression());
+        }
+        expect(")");
+        return CALCULATOR_FUNCTIONS[name](...args);
+      }
+      throw new Error(`Unknown token "${token}".`);
+    };
+
+    const result = parseExpression();
+    if (position < tokens.length) {
+      throw new Error(`Unexpected "${peek()}".`);
+    }
+    return result;
+  }
+}
@@ -0,0 +1,198 @@
+// Image types drawn to a canvas and re-encoded; others are sent unchanged (GIF would lose its animation)
+const PROCESSED_IMAGE_TYPES = [
+  "image/jpeg",
+  "image/png",
+  "image/webp",
+  "image/bmp",
+  "image/avif",
+];
+// Types a canvas can encode; "original" format falls back to JPEG for the others
+const ENCODABLE_IMAGE_TYPES = ["image/jpeg", "image/png", "image/webp"];
+// Recording formats for clips, in order of preference (Safari only records MP4)
+const CLIP_MIME_TYPES = [
+  "video/webm;codecs=vp9,opus",
+  "video/webm",
+  "video/mp4",
+];
+const FILE_EXTENSIONS = {
+  "image/jpeg": "jpg",
+  "image/png": "png",
+  "image/webp": "webp",
+  "video/webm": "webm",
+  "video/mp4": "mp4",
+};
+
+/**
+ * Waits for an event of a media element or recorder.
+ * @param {EventTarget} target - The element or recorder.
+ * @param {string} type - The event type.
+ * @returns {Promise<Event>} Rejects if the target reports an error first.
+ */
+const waitForEvent = (target, type) =>
+  new Promise((resolve, reject) => {
+    target.addEventListener(type, resolve, { once: true });
+    target.addEventListener(
+      "error",
+      () => reject(target.error || new Error(`Media error before ${type}.`)),
+      { once: true }
+    );
+  });
+
+/**
+ * Prepares attachments before they are sent: images are downscaled and re-encoded, video clips are cut out.
+ */
+export class MediaPreprocessor {
+  /**
+   * Downscales and re-encodes an image. The EXIF orientation is applied to the pixels, and re-encoding
+   * drops all metadata (camera, location).
+   * @param {File} file - The image.
+   * @param {{maxDimension: number, format: string, quality: number}} options - Longest side in pixels,
+   *   output MIME type ("original" keeps the type where possible) and JPEG/WebP quality (0-1).
+   * @returns {Promise<File>} The processed image, or the file itself for types that are not processed.
+   * @throws {Error} If the browser cannot decode or encode the image.
+   */
+  static async processImage(file, { maxDimension, format, quality }) {
+    if (!PROCESSED_IMAGE_TYPES.includes(file.type)) return file;
+
+    const bitmap = await createImageBitmap(file, {
+      imageOrientation: "from-image",
+    });
+    const scale = Math.min(
+      1,
+      maxDimension / Math.max(bitmap.width, bitmap.height)
+    );
+    const canvas = document.createElement("canvas");
+    canvas.width = Math.max(1, Math.round(bitmap.width * scale));
+    canvas.height = Math.max(1, Math.round(bitmap.height * scale));
+
+    let outputType = format;
+    if (format === "original") {
+      outputType = ENCODABLE_IMAGE_TYPES.includes(file.type)
+        ? file.type
+        : "image/jpeg";
+    }
+    const context = canvas.getContext("2d");
+    if (outputType === "image/jpeg") {
+      // JPEG has no transparency; transparent pixels would turn black
+      context.fillStyle = "#fff";
+      context.fillRect(0, 0, canvas.width, canvas.height);
+    }
+    context.drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+    bitmap.close();
+
+    const blob = await new Promise((resolve) =>
+      canvas.toBlob(resolve, outputType, quality)
+    );
+    if (!blob) {
+      throw new Error(`Could not encode ${file.name} as ${outputType}.`);
+    }
+    // toBlob silently falls back to PNG for types the browser cannot encode
+    return new File([blob], MediaPreprocessor._rename(file.name, blob.type), {
+      type: blob.type,
+    });
+  }
+
+  /**
+   * Cuts a clip out of a video by playing that part and recording it. This takes as long as the clip;
+   * the sound is recorded without being played aloud.
+   * @param {File} file - The video.
+   * @param {number} start - Clip start in seconds.
+   * @param {number} end - Clip end in seconds (capped at the video's duration).
+   * @param {function(number): void} [onProgress] - Receives the recorded fraction (0-1).
+   * @returns {Promise<File>} The clip, as WebM (or MP4 where WebM cannot be recorded).
+   * @throws {Error} If the range is invalid or the browser cannot record the video.
+   */
+  static async trimVideo(file, start, end, onProgress) {
+    const recordingType = MediaPreprocessor.getRecordingType();
+    if (!recordingType) {
+      throw new Error("This browser cannot record video clips.");
+    }
+
+    const url = URL.createObjectURL(file);
+    const video = document.createElement("video");
+    video.playsInline = true;
+    video.src = url;
+    let audioContext = null;
+    try {
+      await waitForEvent(video, "loadedmetadata");
+      const clipEnd = Math.min(end, video.duration);
+      if (!(start >= 0 && clipEnd > start)) {
+        throw new Error("The clip end must be after its start.");
+      }
+      video.currentTime = start;
+      await waitForEvent(video, "seeked");
+
+      // Video from the element, sound through Web Audio (not connected to the speakers)
+      audioContext = new AudioContext();
+      const audioDestination = audioContext.createMediaStreamDestination();
+      audioContext.createMediaElementSource(video).connect(audioDestination);
+      const videoStream = video.captureStream
+        ? video.captureStream()
+        : video.mozCaptureStream();
+      const recorder = new MediaRecorder(
+        new MediaStream([
+          ...videoStream.getVideoTracks(),
+          ...audioDestination.stream.getAudioTracks(),
+        ]),
+        { mimeType: recordingType }
+      );
+      const chunks = [];
+      recorder.ondataavailable = (event) => {
+        if (event.data.size > 0) chunks.push(event.data);
+      };
+
+      const stopped = waitForEvent(recorder, "stop");
+      recorder.start(1000);
+      await video.play();
+      await new Promise((resolve) => {
+        const onTimeUpdate = () => {
+          onProgress?.(
+            Math.min(1, (video.currentTime - start) / (clipEnd - start))
+          );
+          if (video.currentTime >= clipEnd || video.ended) {
+            video.removeEventListener("timeupdate", onTimeUpdate);
+            resolve();
+          }
+        };
+        video.addEventListener("timeupdate", onTimeUpdate);
+      });
+      video.pause();
+      recorder.stop();
+      await stopped;
+
+      const type = recordingType.split(";")[0];
+      return new File(chunks, MediaPreprocessor._rename(file.name, type), {
+        type,
+      });
+    } finally {
+      audioContext?.close();
+      video.removeAttribute("src");
+      URL.revokeObjectURL(url);
+    }
+  }
+
+  /**
+   * @returns {string | undefined} The MediaRecorder type used for clips, or undefined if the browser
+   *   cannot record video.
+   */
+  static getRecordingType() {
+    return CLIP_MIME_TYPES.find((type) =>
+      globalThis.MediaRecorder?.isTypeSupported(type)
+    );
+  }
+
+  /**
+   * @param {string} name - Original file name.
+   * @param {string} mimeType - The new content type.
+   * @returns {string} The name with the extension of the new type.
+   * @private
+   */
+  static _rename(name, mimeType) {
+    const extension = FILE_EXTENSIONS[mimeType];
+    if (!extension) return name;
+    const baseName = name.includes(".")
+      ? name.slice(0, name.lastIndexOf("."))
+      : name;
+    return `${baseName}.${extension}`;
+  }
+}
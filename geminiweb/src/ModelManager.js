@@ -103,6 +103,14 @@ export class ModelManager {
     return this.currentModelName;
   }
 
+  /**
+   * Gets all selectable model names (default, custom and online), sorted.
+   * @returns {Array<string>}
+   */
+  getAvailableModels() {
+    return [...this.availableModels];
+  }
+
   /**
    * Handles the selection of a different model from the dropdown.
    * @param {string} selectedModel - The newly selected model name.
@@ -0,0 +1,61 @@
+import { PDFJS_MODULE_URL, PDFJS_WORKER_URL } from "./Config.js";
+
+const THUMBNAIL_WIDTH = 160; // CSS pixels
+
+let pdfjsPromise = null; // pdf.js module, imported on first use
+
+/**
+ * Renders first-page thumbnails of PDF attachments with pdf.js, which is only loaded when the
+ * first PDF is shown.
+ */
+export class PdfRenderer {
+  /**
+   * Renders the first page of a PDF into a canvas.
+   * @param {ArrayBuffer | Uint8Array} data - The PDF file contents (not modified).
+   * @param {number} [width=THUMBNAIL_WIDTH] - Display width of the thumbnail in CSS pixels.
+   * @returns {Promise<HTMLCanvasElement>} The rendered page.
+   * @throws {Error} If pdf.js cannot be loaded or the PDF cannot be read.
+   */
+  static async renderFirstPage(data, width = THUMBNAIL_WIDTH) {
+    const pdfjs = await PdfRenderer._loadPdfjs();
+    // pdf.js transfers the buffer to its worker, so give it a copy
+    const pdf = await pdfjs.getDocument({ data: new Uint8Array(data).slice() })
+      .promise;
+    try {
+      const page = await pdf.getPage(1);
+      const baseViewport = page.getViewport({ scale: 1 });
+      const scale =
+        (width / baseViewport.width) * (window.devicePixelRatio || 1);
+      const viewport = page.getViewport({ scale });
+
+      const canvas = document.createElement("canvas");
+      canvas.width = Math.ceil(viewport.width);
+      canvas.height = Math.ceil(viewport.height);
+      canvas.style.width = `${width}px`;
+      await page.render({ canvasContext: canvas.getContext("2d"), viewport })
+        .promise;
+      return canvas;
+    } finally {
+      pdf.destroy();
+    }
+  }
+
+  /**
+   * @returns {Promise<object>} The pdf.js module, loaded once.
+   * @private
+   */
+  static _loadPdfjs() {
+    if (!pdfjsPromise) {
+      pdfjsPromise = import(PDFJS_MODULE_URL)
+        .then((pdfjs) => {
+          pdfjs.GlobalWorkerOptions.workerSrc = PDFJS_WORKER_URL;
+          return pdfjs;
+        })
+        .catch((error) => {
+          pdfjsPromise = null; // Allow a retry later
+          throw error;
+        });
+    }
+    return pdfjsPromise;
+  }
+}
@@ -0,0 +1,151 @@
+const JSON_MIME_TYPE = "application/json";
+
+// Schema types accepted by `responseSchema` (OpenAPI subset; the API also accepts lowercase names)
+const SCHEMA_TYPES = [
+  "STRING",
+  "NUMBER",
+  "INTEGER",
+  "BOOLEAN",
+  "ARRAY",
+  "OBJECT",
+];
+// Keywords the API understands; anything else (e.g. $ref, oneOf, additionalProperties) is rejected
+const SCHEMA_KEYWORDS = [
+  "type",
+  "format",
+  "description",
+  "nullable",
+  "enum",
+  "properties",
+  "required",
+  "propertyOrdering",
+  "items",
+  "minItems",
+  "maxItems",
+  "minimum",
+  "maximum",
+];
+
+/**
+ * Helpers for structured output: validating the `responseSchema` edited in the session settings and
+ * recognizing generation configs that request JSON responses.
+ */
+export class ResponseSchema {
+  /**
+   * Parses and validates schema text from the editor.
+   * @param {string} text - The schema as JSON text.
+   * @returns {object} The schema.
+   * @throws {Error} If the text is not JSON or not a supported schema (all problems are listed).
+   */
+  static parse(text) {
+    let schema;
+    try {
+      schema = JSON.parse(text);
+    } catch (parseError) {
+      throw new Error(`Schema is not valid JSON: ${parseError.message}`);
+    }
+    const errors = ResponseSchema.validate(schema);
+    if (errors.length > 0) {
+      throw new Error(`Invalid schema: ${errors.join("; ")}`);
+    }
+    return schema;
+  }
+
+  /**
+   * Checks a schema against the subset of OpenAPI supported by `responseSchema`.
+   * @param {any} schema - The parsed schema.
+   * @param {string} [path="schema"] - Location of the schema, for error messages.
+   * @returns {Array<string>} The problems found (empty if the schema is valid).
+   */
+  static validate(schema, path = "schema") {
+    if (
+      schema === null ||
+      typeof schema !== "object" ||
+      Array.isArray(schema)
+    ) {
+      return [`${path} must be an object`];
+    }
+
+    const errors = [];
+    Object.keys(schema)
+      .filter((key) => !SCHEMA_KEYWORDS.includes(key))
+      .forEach((key) => errors.push(`${path}.${key} is not supported`));
+
+    const type = String(schema.type ?? "").toUpperCase();
+    if (!SCHEMA_TYPES.includes(type)) {
+      errors.push(
+        `${path}.type must be one of ${SCHEMA_TYPES.join(", ")} (got ${
+          schema.type === undefined ? "nothing" : JSON.stringify(schema.type)
+        })`
+      );
+      return errors;
+    }
+
+    if (schema.enum !== undefined) {
+      if (
+        type !== "STRING" ||
+        !Array.isArray(schema.enum) ||
+        !schema.enum.every((value) => typeof value === "string")
+      ) {
+        errors.push(`${path}.enum must be a list of strings on a STRING`);
+      }
+    }
+
+    if (type === "OBJECT") {
+      const properties = schema.properties ?? {};
+      if (typeof properties !== "object" || Array.isArray(properties)) {
+        errors.push(`${path}.properties must be an object`);
+      } else {
+        Object.entries(properties).forEach(([name, propertySchema]) =>
+          errors.push(
+            ...ResponseSchema.validate(propertySchema, `${path}.${name}`)
+          )
+        );
+        ["required", "propertyOrdering"].forEach((key) => {
+          if (schema[key] === undefined) return;
+          if (!Array.isArray(schema[key])) {
+            errors.push(`${path}.${key} must be a list of property names`);
+            return;
+          }
+          schema[key]
+            .filter((name) => !(name in properties))
+            .forEach((name) =>
+              errors.push(`${path}.${key} names unknown property "${name}"`)
+            );
+        });
+      }
+    } else if (schema.properties !== undefined) {
+      errors.push(`${path}.properties is only allowed on an OBJECT`);
+    }
+
+    if (type === "ARRAY") {
+      if (schema.items === undefined) {
+        errors.push(`${path}.items is required on an ARRAY`);
+      } else {
+        errors.push(...ResponseSchema.validate(schema.items, `${path}[]`));
+      }
+    } else if (schema.items !== undefined) {
+      errors.push(`${path}.items is only allowed on an ARRAY`);
+    }
+
+    return errors;
+  }
+
+  /**
+   * Adds structured output to a generation config.
+   * @param {object} config - The generation config being built.
+   * @param {object | null} schema - The response schema, or null for free-form JSON.
+   */
+  static applyTo(config, schema) {
+    config.responseMimeType = JSON_MIME_TYPE;
+    if (schema) config.responseSchema = schema;
+  }
+
+  /**
+   * @param {object | null | undefined} generationConfig - A session's generation config.
+   * @returns {boolean} Whether the config requests JSON responses.
+   */
+  static isStructuredOutput(generationConfig) {
+    return generationConfig?.responseMimeType === JSON_MIME_TYPE;
+  }
+}
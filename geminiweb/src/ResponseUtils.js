@@ -0,0 +1,292 @@
+// Finish reasons for which the candidate's content must not be shown or stored as an answer
+const BLOCKING_FINISH_REASONS = [
+  "SAFETY",
+  "RECITATION",
+  "BLOCKLIST",
+  "PROHIBITED_CONTENT",
+  "SPII",
+  "OTHER",
+];
+
+const FINISH_REASON_DESCRIPTIONS = {
+  SAFETY: "Response blocked by safety filters",
+  RECITATION: "Response blocked for reciting copyrighted material",
+  BLOCKLIST: "Response blocked: contains blocklisted terms",
+  PROHIBITED_CONTENT: "Response blocked: prohibited content",
+  SPII: "Response blocked: sensitive personal information",
+  OTHER: "Response stopped for an unspecified reason",
+  MAX_TOKENS: "Response truncated: output token limit reached",
+};
+
+const CODE_OUTCOME_LABELS = {
+  OUTCOME_OK: "Output",
+  OUTCOME_FAILED: "Output (failed)",
+  OUTCOME_DEADLINE_EXCEEDED: "Output (timed out)",
+};
+
+/**
+ * Helpers for interpreting Gemini API responses: extracting the answer and detecting
+ * blocked or incomplete responses instead of relying on `response.text()` throwing.
+ */
+export class ResponseUtils {
+  /**
+   * Inspects a response.
+   * @param {object} response - The `EnhancedGenerateContentResponse` from the SDK.
+   * @returns {{parts: Array<object>, blocked: boolean, truncated: boolean, reason: string | null,
+   *   safetyRatings: Array<{category: string, probability: string, blocked?: boolean}>,
+   *   groundingMetadata: object | null}}
+   *   `parts` holds the answer to save (empty when blocked). `reason` is the block reason or finish
+   *   reason when the response is blocked or truncated. `groundingMetadata` is set when the answer
+   *   was grounded with Google Search.
+   */
+  static analyze(response) {
+    return ResponseUtils.analyzeCandidates(response)[0];
+  }
+
+  /**
+   * Inspects every candidate of a response (for `candidateCount > 1`).
+   * @param {object} response - The `EnhancedGenerateContentResponse` from the SDK.
+   * @returns {Array<object>} One result per candidate, in candidate order (see `analyze`). A blocked
+   *   prompt or a response without candidates gives a single blocked result.
+   */
+  static analyzeCandidates(response) {
+    const promptFeedback = response?.promptFeedback;
+    const candidates = response?.candidates || [];
+    const result = {
+      parts: [],
+      blocked: false,
+      truncated: false,
+      reason: null,
+      safetyRatings: promptFeedback?.safetyRatings || [],
+      groundingMetadata: null,
+    };
+
+    if (promptFeedback?.blockReason) {
+      return [{ ...result, blocked: true, reason: promptFeedback.blockReason }];
+    }
+    if (candidates.length === 0) {
+      return [{ ...result, blocked: true, reason: "NO_CANDIDATES" }];
+    }
+    return candidates.map((candidate) =>
+      ResponseUtils._analyzeCandidate(candidate, {
+        ...result,
+        safetyRatings: candidate.safetyRatings || result.safetyRatings,
+      })
+    );
+  }
+
+  /**
+   * Inspects a single candidate.
+   * @param {object} candidate - A response candidate.
+   * @param {object} result - The initial (not blocked) result, with the safety ratings to report.
+   * @returns {object} The result (see `analyze`).
+   * @private
+   */
+  static _analyzeCandidate(candidate, result) {
+    const finishReason = candidate.finishReason;
+    if (BLOCKING_FINISH_REASONS.includes(finishReason)) {
+      return { ...result, blocked: true, reason: finishReason };
+    }
+
+    const parts = ResponseUtils._collectAnswerParts(candidate);
+    if (parts.length === 0) {
+      return { ...result, blocked: true, reason: finishReason || "EMPTY" };
+    }
+
+    result.parts = parts;
+    result.groundingMetadata = candidate.groundingMetadata || null;
+    if (finishReason === "MAX_TOKENS") {
+      result.truncated = true;
+      result.reason = finishReason;
+    }
+    return result;
+  }
+
+  /**
+   * Collects the answer parts of a candidate in order: text (consecutive text parts joined), the
+   * `executableCode` / `codeExecutionResult` parts of the code execution tool and `inlineData` parts
+   * (images from image generation models).
+   * @param {object} candidate - A response candidate.
+   * @returns {Array<object>} The parts (a single text part for a plain answer).
+   * @private
+   */
+  static _collectAnswerParts(candidate) {
+    const parts = [];
+    (candidate?.content?.parts || []).forEach((part) => {
+      if (part.executableCode) {
+        parts.push({ executableCode: part.executableCode });
+      } else if (part.codeExecutionResult) {
+        parts.push({ codeExecutionResult: part.codeExecutionResult });
+      } else if (part.inlineData) {
+        parts.push({ inlineData: part.inlineData });
+      } else if (typeof part.text === "string" && part.text) {
+        const previous = parts[parts.length - 1];
+        if (typeof previous?.text === "string") {
+          previous.text += part.text;
+        } else {
+          parts.push({ text: part.text });
+        }
+      }
+    });
+    return parts;
+  }
+
+  /**
+   * Lists the web sources of a grounded answer, numbered like the citation markers.
+   * @param {object | null} groundingMetadata - The stored grounding metadata.
+   * @returns {Array<{number: number, uri: string, title: string}>} The sources, in grounding chunk order.
+   */
+  static getGroundingSources(groundingMetadata) {
+    return (groundingMetadata?.groundingChunks || [])
+      .map((chunk, index) => ({
+        number: index + 1,
+        uri: chunk.web?.uri || chunk.retrievedContext?.uri || "",
+        title: chunk.web?.title || chunk.retrievedContext?.title || "",
+      }))
+      .filter((source) => source.uri);
+  }
+
+  /**
+   * Inserts citation markers (superscript links to the sources) after the answer segments that the
+   * grounding supports cover. Segment offsets are UTF-8 byte offsets into the answer text.
+   * @param {string} text - The answer text (Markdown).
+   * @param {object | null} groundingMetadata - The stored grounding metadata.
+   * @returns {string} The text with HTML citation markers.
+   */
+  static addCitationMarkers(text, groundingMetadata) {
+    const sources = ResponseUtils.getGroundingSources(groundingMetadata);
+    const supports = groundingMetadata?.groundingSupports || [];
+    if (sources.length === 0 || supports.length === 0) return text;
+
+    const sourcesByNumber = new Map(sources.map((s) => [s.number, s]));
+    const bytes = new TextEncoder().encode(text);
+    const decoder = new TextDecoder();
+    const markersByOffset = new Map(); // character offset -> marker HTML
+
+    supports.forEach((support) => {
+      const endByte = support.segment?.endIndex;
+      if (typeof endByte !== "number" || endByte > bytes.length) return;
+      const links = (support.groundingChunkIndices || [])
+        .map((index) => sourcesByNumber.get(index + 1))
+        .filter(Boolean)
+        .map(
+          (source) =>
+            `<a href="${ResponseUtils._escapeAttribute(
+              source.uri
+            )}" target="_blank" rel="noopener noreferrer">${source.number}</a>`
+        );
+      if (links.length === 0) return;
+      const offset = decoder.decode(bytes.subarray(0, endByte)).length;
+      markersByOffset.set(
+        offset,
+        (markersByOffset.get(offset) || "") +
+          `<sup class="citation-marker">[${links.join(",")}]</sup>`
+      );
+    });
+
+    // Insert from the end so earlier offsets stay valid
+    let marked = text;
+    [...markersByOffset.keys()]
+      .sort((a, b) => b - a)
+      .forEach((offset) => {
+        marked =
+          marked.slice(0, offset) +
+          markersByOffset.get(offset) +
+          marked.slice(offset);
+      });
+    return marked;
+  }
+
+  /**
+   * @param {string} value
+   * @returns {string} The value escaped for a double-quoted HTML attribute.
+   * @private
+   */
+  static _escapeAttribute(value) {
+    return value
+      .replace(/&/g, "&amp;")
+      .replace(/"/g, "&quot;")
+      .replace(/</g, "&lt;");
+  }
+
+  /**
+   * Gets the function calls requested in the first candidate of a response.
+   * @param {object} response - The `EnhancedGenerateContentResponse` from the SDK.
+   * @returns {Array<{name: string, args: object}>} The calls, in order (empty if there are none).
+   */
+  static getFunctionCalls(response) {
+    return ResponseUtils.getContentParts(response)
+      .filter((part) => part.functionCall)
+      .map((part) => part.functionCall);
+  }
+
+  /**
+   * Gets the parts of the first candidate of a response as they should be stored, e.g. a model
+   * turn with function calls (and any text before them).
+   * @param {object} response - The `EnhancedGenerateContentResponse` from the SDK.
+   * @returns {Array<object>} The text, functionCall and code execution parts.
+   */
+  static getContentParts(response) {
+    return (response?.candidates?.[0]?.content?.parts || []).filter(
+      (part) =>
+        part.functionCall ||
+        part.executableCode ||
+        part.codeExecutionResult ||
+        typeof part.text === "string"
+    );
+  }
+
+  /**
+   * Joins the text parts of a candidate.
+   * @param {object} candidate - A response candidate.
+   * @returns {string} The text (empty if there is none).
+   */
+  static extractText(candidate) {
+    return (candidate?.content?.parts || [])
+      .filter((part) => typeof part.text === "string")
+      .map((part) => part.text)
+      .join("");
+  }
+
+  /**
+   * Labels the output of a code execution run.
+   * @param {string} outcome - The `codeExecutionResult.outcome`.
+   * @returns {string}
+   */
+  static describeCodeOutcome(outcome) {
+    return CODE_OUTCOME_LABELS[outcome] || `Output (${outcome})`;
+  }
+
+  /**
+   * Describes a block/finish reason for display.
+   * @param {string} reason - A block reason or finish reason.
+   * @returns {string}
+   */
+  static describeReason(reason) {
+    if (FINISH_REASON_DESCRIPTIONS[reason]) {
+      return `${FINISH_REASON_DESCRIPTIONS[reason]} (${reason}).`;
+    }
+    if (reason === "NO_CANDIDATES" || reason === "EMPTY") {
+      return "The model returned no content.";
+    }
+    return `Prompt blocked (${reason}).`; // promptFeedback.blockReason values
+  }
+
+  /**
+   * Formats safety ratings for display, e.g. "Dangerous content: MEDIUM (blocked)".
+   * @param {Array<{category: string, probability: string, blocked?: boolean}>} safetyRatings
+   * @returns {Array<string>} One line per rating.
+   */
+  static formatSafetyRatings(safetyRatings) {
+    return (safetyRatings || []).map((rating) => {
+      const category = rating.category
+        .replace(/^HARM_CATEGORY_/, "")
+        .toLowerCase()
+        .replace(/_/g, " ");
+      const label = category.charAt(0).toUpperCase() + category.slice(1);
+      return `${label}: ${rating.probability}${
+        rating.blocked ? " (blocked)" : ""
+      }`;
+    });
+  }
+}
@@ -0,0 +1,179 @@
+import { MAX_SCREEN_CLIP_SECONDS } from "./Config.js";
+import { MediaPreprocessor } from "./MediaPreprocessor.js";
+
+/**
+ * Screen capture attachments: the capture button shares a screen, window or tab (getDisplayMedia) and
+ * shows it in the capture panel, where screenshots can be taken or a short clip recorded while sharing
+ * continues. Captures are handed to the capture callback (App attaches them through FileManager).
+ */
+export class ScreenCapture {
+  /**
+   * @param {UIManager} uiManager - Instance for DOM interactions.
+   */
+  constructor(uiManager) {
+    this.uiManager = uiManager;
+    this.captureButton = this.uiManager.getElement("captureButton");
+    this.capturePanel = this.uiManager.getElement("capturePanel");
+    this.captureVideo = this.uiManager.getElement("captureVideo");
+    this.screenshotButton = this.uiManager.getElement("screenshotButton");
+    this.recordClipButton = this.uiManager.getElement("recordClipButton");
+    this.stopSharingButton = this.uiManager.getElement("stopSharingButton");
+    this.stream = null; // The shared display, while the panel is open
+    this.recorder = null; // MediaRecorder of the clip being recorded
+    this.recordingTimeout = null;
+    this.onCaptureCallback = null;
+
+    this._setupEventListeners();
+  }
+
+  /**
+   * Registers a callback invoked with each screenshot or clip.
+   * @param {function(Blob, string, string): void} callback - Receives the data, a file name prefix and
+   *   the file extension.
+   */
+  setOnCaptureCallback(callback) {
+    this.onCaptureCallback = callback;
+  }
+
+  /**
+   * Asks the user which screen, window or tab to share and opens the capture panel.
+   */
+  async start() {
+    if (this.stream) return;
+    if (!navigator.mediaDevices?.getDisplayMedia) {
+      this.uiManager.updateStatus(
+        "Screen capture is not supported by this browser.",
+        "error"
+      );
+      return;
+    }
+
+    try {
+      // Tab audio is offered by some browsers; it is only used by clips
+      this.stream = await navigator.mediaDevices.getDisplayMedia({
+        video: true,
+        audio: true,
+      });
+    } catch (error) {
+      if (error.name !== "NotAllowedError") {
+        console.error("[ScreenCapture] Could not start screen capture:", error);
+        this.uiManager.updateStatus(
+          `Could not start screen capture: ${error.message || error}`,
+          "error"
+        );
+      }
+      return; // NotAllowedError: the user cancelled the picker
+    }
+
+    // Sharing can also be ended from the browser's own controls
+    this.stream
+      .getVideoTracks()[0]
+      ?.addEventListener("ended", () => this.stop());
+    this.captureVideo.srcObject = this.stream;
+    this.captureVideo.play().catch(() => {}); // Muted, so autoplay is allowed
+    this.recordClipButton.disabled = !MediaPreprocessor.getRecordingType();
+    this.capturePanel.style.display = "";
+    console.log("[ScreenCapture] Screen sharing started.");
+  }
+
+  /**
+   * Takes a screenshot of the shared display at its full resolution, as PNG.
+   */
+  takeScreenshot() {
+    const { videoWidth, videoHeight } = this.captureVideo;
+    if (!this.stream || !videoWidth) return; // No frame received yet
+
+    const canvas = document.createElement("canvas");
+    canvas.width = videoWidth;
+    canvas.height = videoHeight;
+    canvas.getContext("2d").drawImage(this.captureVideo, 0, 0);
+    canvas.toBlob((blob) => {
+      if (blob) this.onCaptureCallback?.(blob, "screenshot", "png");
+    }, "image/png");
+  }
+
+  /**
+   * Starts recording a clip of the shared display, or stops the recording in progress.
+   */
+  toggleRecording() {
+    if (this.recorder) {
+      this._stopRecording();
+    } else {
+      this._startRecording();
+    }
+  }
+
+  /**
+   * Stops sharing and closes the capture panel. A clip being recorded is still attached.
+   */
+  stop() {
+    if (!this.stream) return;
+    this._stopRecording();
+    this.stream.getTracks().forEach((track) => track.stop());
+    this.stream = null;
+    this.captureVideo.srcObject = null;
+    this.capturePanel.style.display = "none";
+    console.log("[ScreenCapture] Screen sharing stopped.");
+  }
+
+  /**
+   * Records the shared display until stopped, for at most MAX_SCREEN_CLIP_SECONDS.
+   * @private
+   */
+  _startRecording() {
+    const recordingType = MediaPreprocessor.getRecordingType();
+    if (!this.stream || !recordingType) return;
+
+    const chunks = [];
+    const recorder = new MediaRecorder(this.stream, {
+      mimeType: recordingType,
+    });
+    recorder.ondataavailable = (event) => {
+      if (event.data.size > 0) chunks.push(event.data);
+    };
+    recorder.onstop = () => {
+      this.recorder = null;
+      this.recordClipButton.textContent = "Record Clip";
+      this.screenshotButton.disabled = false;
+      const type = recordingType.split(";")[0];
+      this.onCaptureCallback?.(
+        new Blob(chunks, { type }),
+        "screen-clip",
+        type.split("/")[1]
+      );
+    };
+    recorder.start(1000);
+    this.recorder = recorder;
+    this.recordClipButton.textContent = "Stop Recording";
+    this.screenshotButton.disabled = true;
+    this.recordingTimeout = setTimeout(
+      () => this._stopRecording(),
+      MAX_SCREEN_CLIP_SECONDS * 1000
+    );
+  }
+
+  /**
+   * Ends the clip being recorded, if any; the recorder's stop handler delivers it.
+   * @private
+   */
+  _stopRecording() {
+    clearTimeout(this.recordingTimeout);
+    this.recordingTimeout = null;
+    if (this.recorder?.state === "recording") this.recorder.stop();
+  }
+
+  /**
+   * Sets up the capture button and panel listeners.
+   * @private
+   */
+  _setupEventListeners() {
+    this.captureButton?.addEventListener("click", () => this.start());
+    this.screenshotButton?.addEventListener("click", () =>
+      this.takeScreenshot()
+    );
+    this.recordClipButton?.addEventListener("click", () =>
+      this.toggleRecording()
+    );
+    this.stopSharingButton?.addEventListener("click", () => this.stop());
+  }
+}
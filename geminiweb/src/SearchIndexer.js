@@ -0,0 +1,81 @@
+// Scripts written without spaces between words; runs of these are indexed as character bigrams.
+const CJK_RUN =
+  /([\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Hangul}]+)/u;
+const MIN_TERM_LENGTH = 2; // Shorter words (outside CJK runs) are not indexed
+const MAX_TERM_LENGTH = 40; // Longer words are truncated (prefix search still finds them)
+const SNIPPET_CONTEXT = 60; // Characters of context on each side of a snippet match
+
+/**
+ * Text processing for the full-text search index: turning message content into index terms
+ * and building result snippets.
+ */
+export class SearchIndexer {
+  /**
+   * Collects the searchable text of a message.
+   * @param {Array<object>} contentParts - The message parts.
+   * @returns {string} The text parts joined by newlines.
+   */
+  static extractText(contentParts) {
+    return (contentParts || [])
+      .filter((part) => typeof part.text === "string")
+      .map((part) => part.text)
+      .join("\n");
+  }
+
+  /**
+   * Splits text into unique, normalized index terms. Words are lowercased; CJK runs are split
+   * into overlapping bigrams so that queries match without word boundaries.
+   * The same function is used for indexing and for queries.
+   * @param {string} text - The text to tokenize.
+   * @returns {Array<string>} The unique terms.
+   */
+  static tokenize(text) {
+    const terms = new Set();
+    const words = text
+      .normalize("NFKC")
+      .toLowerCase()
+      .match(/[\p{L}\p{N}_]+/gu);
+
+    (words || []).forEach((word) => {
+      // With a capturing group, odd indices of the split are the CJK runs
+      word.split(CJK_RUN).forEach((segment, index) => {
+        if (!segment) return;
+        if (index % 2 === 1) {
+          if (segment.length === 1) {
+            terms.add(segment);
+          }
+          for (let i = 0; i < segment.length - 1; i++) {
+            terms.add(segment.slice(i, i + 2));
+          }
+        } else if (segment.length >= MIN_TERM_LENGTH) {
+          terms.add(segment.slice(0, MAX_TERM_LENGTH));
+        }
+      });
+    });
+    return [...terms];
+  }
+
+  /**
+   * Builds a short excerpt of the text around the first occurrence of any query term.
+   * @param {string} text - The full message text.
+   * @param {Array<string>} terms - Query terms (from `tokenize`).
+   * @returns {string} The snippet, with ellipses where text was cut.
+   */
+  static makeSnippet(text, terms) {
+    const flatText = text.replace(/\s+/g, " ").trim();
+    const lowerText = flatText.toLowerCase();
+    const matchIndex = terms
+      .map((term) => lowerText.indexOf(term))
+      .filter((index) => index >= 0)
+      .reduce((first, index) => Math.min(first, index), Infinity);
+
+    const center = matchIndex === Infinity ? 0 : matchIndex;
+    const start = Math.max(0, center - SNIPPET_CONTEXT);
+    const end = Math.min(flatText.length, center + SNIPPET_CONTEXT * 2);
+    return (
+      (start > 0 ? "…" : "") +
+      flatText.slice(start, end) +
+      (end < flatText.length ? "…" : "")
+    );
+  }
+}
@@ -0,0 +1,121 @@
+const SEARCH_DEBOUNCE_MS = 250;
+
+/**
+ * Search box and result list for full-text search across all sessions.
+ */
+export class SearchPanel {
+  /**
+   * @param {StorageManager} storageManager - Instance for DB operations.
+   * @param {UIManager} uiManager - Instance for DOM interactions.
+   */
+  constructor(storageManager, uiManager) {
+    this.storageManager = storageManager;
+    this.uiManager = uiManager;
+    this.searchInput = this.uiManager.getElement("searchInput");
+    this.searchResults = this.uiManager.getElement("searchResults");
+    this.onResultSelectedCallback = null;
+    this.debounceTimer = null;
+    this.latestQuery = ""; // Results of older queries are discarded when they arrive late
+
+    this._setupEventListeners();
+  }
+
+  /**
+   * Runs a search and displays the results.
+   * @param {string} query - The search text.
+   */
+  async search(query) {
+    this.latestQuery = query;
+    if (!query.trim()) {
+      this.clearResults();
+      return;
+    }
+
+    try {
+      const results = await this.storageManager.searchMessages(query);
+      if (query !== this.latestQuery) return;
+      this._renderResults(results, query);
+    } catch (error) {
+      console.error("[SearchPanel] Search failed:", error);
+      this.uiManager.updateStatus(
+        `Search failed: ${error.message || error}`,
+        "error"
+      );
+    }
+  }
+
+  /**
+   * Empties and hides the result list.
+   */
+  clearResults() {
+    if (!this.searchResults) return;
+    this.searchResults.innerHTML = "";
+    this.searchResults.style.display = "none";
+  }
+
+  /**
+   * Registers a callback invoked when the user picks a result.
+   * @param {function(number, number): void} callback - Receives the session ID and message ID.
+   */
+  setOnResultSelectedCallback(callback) {
+    this.onResultSelectedCallback = callback;
+  }
+
+  /**
+   * Displays search results.
+   * @param {Array<object>} results - Results from `StorageManager.searchMessages`.
+   * @param {string} query - The query the results belong to.
+   * @private
+   */
+  _renderResults(results, query) {
+    if (!this.searchResults) return;
+    this.searchResults.innerHTML = "";
+    this.searchResults.style.display = "";
+
+    if (results.length === 0) {
+      this.searchResults.appendChild(
+        this.uiManager.createStatusNote(
+          `No messages match "${query}".`,
+          "search-empty"
+        )
+      );
+      return;
+    }
+
+    results.forEach((result) => {
+      const item = this.uiManager.createSearchResultItem(
+        result.sessionName,
+        `${result.sender === "user" ? "User" : "Model"} · ${new Date(
+          result.timestamp
+        ).toLocaleString()}`,
+        result.snippet
+      );
+      item.addEventListener("click", () => {
+        this.clearResults();
+        this.onResultSelectedCallback?.(result.sessionId, result.messageId);
+      });
+      this.searchResults.appendChild(item);
+    });
+  }
+
+  /**
+   * Sets up the search input listeners.
+   * @private
+   */
+  _setupEventListeners() {
+    if (!this.searchInput) return;
+    this.searchInput.addEventListener("input", () => {
+      clearTimeout(this.debounceTimer);
+      this.debounceTimer = setTimeout(
+        () => this.search(this.searchInput.value),
+        SEARCH_DEBOUNCE_MS
+      );
+    });
+    this.searchInput.addEventListener("keydown", (event) => {
+      if (event.key === "Escape") {
+        this.searchInput.value = "";
+        this.clearResults();
+      }
+    });
+  }
+}
@@ -0,0 +1,278 @@
+import { ARCHIVE_FORMAT, ARCHIVE_VERSION } from "./Config.js";
+
+const VALID_SENDERS = ["user", "model", "function"];
+
+/**
+ * Exports sessions to a versioned JSON archive and imports such archives back into the database.
+ *
+ * Archive layout (version 1):
+ * {
+ *   format: "geminiweb-session-archive", version: 1, exportedAt: ISO string,
+ *   sessions: [{ id, name, createdAt, activeRootId, ..., messages: [{ id, parentId, activeChildId,
+ *     sender, contentParts, timestamp, modelName?, ... }] }]
+ * }
+ * IDs inside an archive are only meaningful within that archive; they are remapped on import.
+ */
+export class SessionArchive {
+  /**
+   * @param {StorageManager} storageManager - Instance for DB operations.
+   */
+  constructor(storageManager) {
+    this.storageManager = storageManager;
+  }
+
+  /**
+   * Builds an archive object containing the given sessions with all their messages and branches.
+   * @param {Array<number>} sessionIds - IDs of the sessions to export.
+   * @returns {Promise<object>} The archive object.
+   */
+  async exportSessions(sessionIds) {
+    const sessions = [];
+    for (const sessionId of sessionIds) {
+      const session = await this.storageManager.getSession(sessionId);
+      if (!session) {
+        console.warn(
+          `[SessionArchive] Session ${sessionId} not found, skipped.`
+        );
+        continue;
+      }
+      const messages = await this.storageManager.getAllMessagesForSession(
+        sessionId
+      );
+      // Archives are self-contained: attachments are stored inline, not as blob references
+      sessions.push({
+        ...session,
+        messages: await Promise.all(
+          messages.map(async ({ sessionId: _owner, ...message }) => ({
+            ...message,
+            contentParts: await this.storageManager.resolveBlobParts(
+              message.contentParts || []
+            ),
+          }))
+        ),
+      });
+    }
+
+    return {
+      format: ARCHIVE_FORMAT,
+      version: ARCHIVE_VERSION,
+      exportedAt: new Date().toISOString(),
+      sessions,
+    };
+  }
+
+  /**
+   * Exports sessions and triggers a download of the archive as a .json file.
+   * @param {Array<number>} sessionIds - IDs of the sessions to export.
+   * @param {string} filenameLabel - Label used in the file name (e.g. a session ID or "all").
+   * @param {function(string, 'info' | 'success' | 'warning' | 'error'): void} updateStatusCallback - Callback to update UI status.
+   */
+  async downloadArchive(sessionIds, filenameLabel, updateStatusCallback) {
+    try {
+      updateStatusCallback?.("Exporting sessions...", "info");
+      const archive = await this.exportSessions(sessionIds);
+      const blob = new Blob([JSON.stringify(archive, null, 2)], {
+        type: "application/json",
+      });
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement("a");
+      link.href = url;
+      const timestamp = new Date().toISOString().replace(/[:.]/g, "-");
+      link.download = `gemini-chat-sessions-${filenameLabel}-${timestamp}.json`;
+      document.body.appendChild(link); // Required for Firefox
+      link.click();
+      document.body.removeChild(link);
+      URL.revokeObjectURL(url);
+      updateStatusCallback?.(
+        `Exported ${archive.sessions.length} session(s).`,
+        "success"
+      );
+    } catch (error) {
+      console.error("[SessionArchive] Error exporting sessions:", error);
+      updateStatusCallback?.(
+        `Error exporting sessions: ${error.message || error}`,
+        "error"
+      );
+    }
+  }
+
+  /**
+   * Imports an archive into the database. Sessions that fail validation or already exist are skipped.
+   * @param {object} archive - The parsed archive object.
+   * @returns {Promise<{imported: Array<{name: string, sessionId: number}>, skipped: Array<{name: string, reason: string}>}>}
+   *   A report of what was imported and what was skipped (with reasons).
+   * @throws {Error} If the archive itself is not a supported archive.
+   */
+  async importArchive(archive) {
+    SessionArchive.validateArchiveHeader(archive);
+
+    const report = { imported: [], skipped: [] };
+    const existingSessions = await this.storageManager.getAllSessions();
+
+    for (const [index, sessionData] of archive.sessions.entries()) {
+      const name =
+        typeof sessionData?.name === "string" && sessionData.name
+          ? sessionData.name
+          : `Session #${index + 1}`;
+
+      const problem = SessionArchive.validateSession(sessionData);
+      if (problem) {
+        report.skipped.push({ name, reason: problem });
+        continue;
+      }
+      if (await this._isDuplicate(sessionData, existingSessions)) {
+        report.skipped.push({ name, reason: "already exists" });
+        continue;
+      }
+
+      const { messages, ...sessionFields } = sessionData;
+      try {
+        const sessionId = await this.storageManager.importSession(
+          sessionFields,
+          messages
+        );
+        report.imported.push({ name, sessionId });
+      } catch (error) {
+        console.error(`[SessionArchive] Failed to import "${name}":`, error);
+        report.skipped.push({
+          name,
+          reason: `database error (${error.message || error})`,
+        });
+      }
+    }
+
+    console.log("[SessionArchive] Import report:", report);
+    return report;
+  }
+
+  /**
+   * Checks the top-level structure of an archive.
+   * @param {object} archive - The parsed archive object.
+   * @throws {Error} If the object is not a supported archive.
+   */
+  static validateArchiveHeader(archive) {
+    if (!archive || typeof archive !== "object") {
+      throw new Error("File is not a JSON object.");
+    }
+    if (archive.format !== ARCHIVE_FORMAT) {
+      throw new Error("File is not a Gemini chat session archive.");
+    }
+    if (!Number.isInteger(archive.version) || archive.version < 1) {
+      throw new Error("Archive has an invalid version.");
+    }
+    if (archive.version > ARCHIVE_VERSION) {
+      throw new Error(
+        `Archive version ${archive.version} is newer than supported (${ARCHIVE_VERSION}).`
+      );
+    }
+    if (!Array.isArray(archive.sessions)) {
+      throw new Error("Archive has no sessions list.");
+    }
+  }
+
+  /**
+   * Validates one archived session and its message tree.
+   * @param {object} sessionData - The archived session.
+   * @returns {string | null} A description of the first problem found, or null if valid.
+   */
+  static validateSession(sessionData) {
+    if (!sessionData || typeof sessionData !== "object") {
+      return "not an object";
+    }
+    if (isNaN(new Date(sessionData.createdAt).getTime())) {
+      return "missing or invalid createdAt";
+    }
+    if (!Array.isArray(sessionData.messages)) {
+      return "missing messages list";
+    }
+
+    const messageIds = new Set();
+    for (const msg of sessionData.messages) {
+      if (!msg || msg.id == null || messageIds.has(msg.id)) {
+        return "message with missing or duplicate id";
+      }
+      messageIds.add(msg.id);
+    }
+
+    for (const msg of sessionData.messages) {
+      if (!VALID_SENDERS.includes(msg.sender)) {
+        return `message ${msg.id} has invalid sender "${msg.sender}"`;
+      }
+      if (isNaN(new Date(msg.timestamp).getTime())) {
+        return `message ${msg.id} has an invalid timestamp`;
+      }
+      if (msg.parentId != null && !messageIds.has(msg.parentId)) {
+        return `message ${msg.id} refers to unknown parent ${msg.parentId}`;
+      }
+      const partProblem = SessionArchive._validateParts(msg.contentParts);
+      if (partProblem) {
+        return `message ${msg.id}: ${partProblem}`;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Validates the contentParts of an archived message.
+   * @param {Array<object>} parts - The parts to check.
+   * @returns {string | null} A description of the problem, or null if valid.
+   * @private
+   */
+  static _validateParts(parts) {
+    if (!Array.isArray(parts) || parts.length === 0) {
+      return "no content parts";
+    }
+    for (const part of parts) {
+      if (typeof part?.text === "string") continue;
+      if (
+        typeof part?.inlineData?.mimeType === "string" &&
+        typeof part.inlineData.data === "string"
+      ) {
+        continue;
+      }
+      if (
+        typeof part?.functionCall?.name === "string" ||
+        typeof part?.functionResponse?.name === "string" ||
+        typeof part?.fileData?.fileUri === "string" ||
+        typeof part?.executableCode?.code === "string" ||
+        typeof part?.codeExecutionResult?.outcome === "string"
+      ) {
+        continue;
+      }
+      return "unsupported content part";
+    }
+    return null;
+  }
+
+  /**
+   * Checks whether an archived session is already in the database: a stored session with the same
+   * creation time and the same set of message timestamps is considered the same session.
+   * @param {object} sessionData - The archived session.
+   * @param {Array<object>} existingSessions - Sessions currently in the database.
+   * @returns {Promise<boolean>}
+   * @private
+   */
+  async _isDuplicate(sessionData, existingSessions) {
+    const candidates = existingSessions.filter(
+      (s) => s.createdAt === sessionData.createdAt
+    );
+    const archivedTimestamps = sessionData.messages
+      .map((msg) => msg.timestamp)
+      .sort()
+      .join("|");
+
+    for (const candidate of candidates) {
+      const messages = await this.storageManager.getAllMessagesForSession(
+        candidate.id
+      );
+      const storedTimestamps = messages
+        .map((msg) => msg.timestamp)
+        .sort()
+        .join("|");
+      if (storedTimestamps === archivedTimestamps) {
+        return true;
+      }
+    }
+    return false;
+  }
+}
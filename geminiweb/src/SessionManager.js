@@ -1,8 +1,13 @@
 import { LAST_SESSION_KEY } from "./Config.js";
 
+// Built-in sidebar groups. Their keys (for the collapsed state) can't clash with folders, which are
+// keyed "folder:<name>", so a folder may be called "Pinned" or "Chats".
+const PINNED_GROUP = { key: "__pinned", title: "Pinned" };
+const UNFILED_GROUP = { key: "__ungrouped", title: "Chats" };
+
 /**
- * Manages chat sessions: loading, creating, switching, deleting,
- * and updating the UI selector.
+ * Manages chat sessions: loading, creating, switching, deleting, renaming,
+ * pinning and filing into folders, and rendering the session sidebar.
  */
 export class SessionManager {
   /**
@@ -13,32 +18,29 @@ export class SessionManager {
     this.storageManager = storageManager;
     this.uiManager = uiManager;
     this.currentSessionId = null;
-    this.sessions = []; // Cache of loaded sessions {id, name, createdAt}
+    this.sessions = []; // Cache of loaded sessions {id, name, createdAt, updatedAt, pinned, folder}
+    this.collapsedGroups = new Set(); // Keys of sidebar groups the user has collapsed
+    this.newSessionOptionsProvider = null; // Supplies settings (e.g. persona) for new sessions
 
-    this.sessionSelector = this.uiManager.getElement("sessionSelector");
+    this.sessionList = this.uiManager.getElement("sessionList");
     this.newSessionButton = this.uiManager.getElement("newSessionButton");
     this.deleteSessionButton = this.uiManager.getElement("deleteSessionButton");
   }
 
   /**
-   * Loads existing sessions from storage, populates the dropdown,
-   * and selects the last active or newest session. Creates an initial
+   * Loads existing sessions from storage, renders the sidebar,
+   * and selects the last active or most recently used session. Creates an initial
    * session if none exist.
    * @returns {Promise<number | null>} The ID of the initially active session.
    */
   async initialize() {
     try {
       this.sessions = await this.storageManager.getAllSessions();
-      this.uiManager.clearDropdown(this.sessionSelector);
 
       if (this.sessions.length === 0) {
         console.log("No existing sessions found, creating initial session.");
         this.currentSessionId = await this.createNewSession(true); // Create and select
       } else {
-        this.sessions.forEach((session) => {
-          this.populateSessionOption(session);
-        });
-
         const lastSessionIdStr = localStorage.getItem(LAST_SESSION_KEY);
         let sessionToLoad = null;
 
@@ -49,17 +51,13 @@ export class SessionManager {
           }
         }
 
-        // If last active invalid or not set, default to the first (newest)
+        // If last active invalid or not set, default to the most recently active
         if (!sessionToLoad && this.sessions.length > 0) {
-          sessionToLoad = this.sessions[0].id; // sessions are sorted newest first
+          sessionToLoad = this.sessions[0].id; // sessions are sorted by last activity
         }
 
         if (sessionToLoad) {
           this.currentSessionId = sessionToLoad;
-          this.uiManager.selectDropdownValue(
-            this.sessionSelector,
-            this.currentSessionId
-          );
           localStorage.setItem(LAST_SESSION_KEY, this.currentSessionId);
           console.log(
             "Sessions loaded. Initial session:",
@@ -71,6 +69,7 @@ export class SessionManager {
           );
           this.currentSessionId = null;
         }
+        this.renderSessionList();
       }
     } catch (error) {
       console.error("Error initializing sessions:", error);
@@ -97,25 +96,21 @@ export class SessionManager {
    */
   async createNewSession(isInitial = false) {
     try {
-      const newSessionId = await this.storageManager.createNewSession();
-      // Fetch the full session details to add to our cache and UI
-      // This is slightly inefficient but ensures consistency
-      const allSessions = await this.storageManager.getAllSessions();
-      const newSession = allSessions.find((s) => s.id === newSessionId);
+      const options = this.newSessionOptionsProvider?.() || {};
+      const newSessionId = await this.storageManager.createNewSession(
+        undefined,
+        options
+      );
+      const newSession = await this.storageManager.getSession(newSessionId);
 
       if (!newSession) {
         throw new Error("Failed to retrieve newly created session details.");
       }
 
-      this.sessions.unshift(newSession); // Add to start of cache (newest)
-      this.populateSessionOption(newSession, true); // Add to top of dropdown
-
+      this.sessions.unshift(newSession); // Add to start of cache (most recent)
       this.currentSessionId = newSessionId;
       localStorage.setItem(LAST_SESSION_KEY, this.currentSessionId);
-      this.uiManager.selectDropdownValue(
-        this.sessionSelector,
-        this.currentSessionId
-      );
+      this.renderSessionList();
 
       console.log("New session created and selected:", this.currentSessionId);
 
@@ -157,10 +152,7 @@ export class SessionManager {
     console.log("Switching to session:", newSessionId);
     this.currentSessionId = newSessionId;
     localStorage.setItem(LAST_SESSION_KEY, this.currentSessionId);
-    this.uiManager.selectDropdownValue(
-      this.sessionSelector,
-      this.currentSessionId
-    );
+    this.renderSessionList();
 
     // Trigger session switch logic (load history etc.) via callback
     if (this.onSessionChangeCallback) {
@@ -178,9 +170,7 @@ export class SessionManager {
       return;
     }
 
-    const sessionName =
-      this.uiManager.getSelectedDropdownText(this.sessionSelector) ||
-      `Session ${sessionIdToDelete}`;
+    const sessionName = this.getSessionName(sessionIdToDelete);
     if (
       !confirm(
         `Are you sure you want to delete "${sessionName}" and all its messages? This cannot be undone.`
@@ -193,21 +183,15 @@ export class SessionManager {
       await this.storageManager.deleteSession(sessionIdToDelete);
       console.log("Session deleted from storage:", sessionIdToDelete);
 
-      // Remove from UI and cache
-      this.uiManager.removeDropdownOption(
-        this.sessionSelector,
-        sessionIdToDelete
-      );
+      // Remove from cache and UI
       this.sessions = this.sessions.filter((s) => s.id !== sessionIdToDelete);
+      this.renderSessionList();
 
       // Determine the next session to load
       let nextSessionId = null;
-      if (this.uiManager.getDropdownLength(this.sessionSelector) > 0) {
-        // Select the first remaining option (newest)
-        nextSessionId = parseInt(
-          this.uiManager.getFirstDropdownValue(this.sessionSelector),
-          10
-        );
+      if (this.sessions.length > 0) {
+        // Select the most recently active remaining session
+        nextSessionId = this.sessions[0].id;
       } else {
         // No sessions left, create a new one
         console.log("No sessions left after deletion, creating a new one.");
@@ -246,31 +230,196 @@ export class SessionManager {
   }
 
   /**
-   * Adds or updates a session option in the dropdown.
-   * @param {object} session - The session object {id, name, createdAt}.
-   * @param {boolean} [prepend=false] - Add to the beginning of the list.
+   * Prompts for a new name and renames a session.
+   * @param {number} sessionId - The ID of the session to rename.
+   */
+  async renameSession(sessionId) {
+    const newName = prompt("Rename session:", this.getSessionName(sessionId));
+    if (newName === null || !newName.trim()) {
+      return; // User cancelled or entered nothing
+    }
+    // A user-chosen name is never replaced by automatic titling
+    await this._updateSession(sessionId, {
+      name: newName.trim(),
+      titleSource: "user",
+    });
+  }
+
+  /**
+   * Pins or unpins a session. Pinned sessions are listed first.
+   * @param {number} sessionId - The ID of the session.
+   */
+  async togglePinned(sessionId) {
+    const session = this.sessions.find((s) => s.id === sessionId);
+    if (!session) return;
+    await this._updateSession(sessionId, { pinned: !session.pinned });
+  }
+
+  /**
+   * Prompts for a folder and moves a session into it (an empty answer removes it from its folder).
+   * @param {number} sessionId - The ID of the session.
    */
-  populateSessionOption(session, prepend = false) {
-    const sessionName =
-      session.name || `Session ${new Date(session.createdAt).toLocaleString()}`;
-    this.uiManager.addDropdownOption(
-      this.sessionSelector,
-      sessionName,
-      session.id,
-      prepend
+  async moveToFolder(sessionId) {
+    const session = this.sessions.find((s) => s.id === sessionId);
+    if (!session) return;
+    const existingFolders = this.getFolders();
+    const folder = prompt(
+      `Folder for "${this.getSessionName(sessionId)}" (leave empty for none)${
+        existingFolders.length
+          ? `\nExisting: ${existingFolders.join(", ")}`
+          : ""
+      }`,
+      session.folder || ""
     );
+    if (folder === null) return; // User cancelled
+    await this._updateSession(sessionId, { folder: folder.trim() || null });
   }
 
   /**
-   * Sets up internal event listeners for session UI elements.
+   * Gets the display name of a session.
+   * @param {number} sessionId - The ID of the session.
+   * @returns {string}
+   */
+  getSessionName(sessionId) {
+    const session = this.sessions.find((s) => s.id === sessionId);
+    if (!session) return `Session ${sessionId}`;
+    return (
+      session.name || `Session ${new Date(session.createdAt).toLocaleString()}`
+    );
+  }
+
+  /**
+   * Gets the names of all folders in use, sorted alphabetically.
+   * @returns {Array<string>}
+   */
+  getFolders() {
+    const folders = new Set(
+      this.sessions.map((s) => s.folder).filter((folder) => folder)
+    );
+    return [...folders].sort((a, b) => a.localeCompare(b));
+  }
+
+  /**
+   * Reloads the session list from storage (e.g. after an import or when a session's
+   * last activity changed) and re-renders the sidebar, keeping the current session selected.
+   */
+  async reloadSessions() {
+    try {
+      this.sessions = await this.storageManager.getAllSessions();
+      this.renderSessionList();
+    } catch (error) {
+      console.error("Error reloading sessions:", error);
+      this.uiManager.updateStatus("Error reloading sessions.", "error");
+    }
+  }
+
+  /**
+   * Renders the session sidebar: pinned sessions first, then one group per folder,
+   * then sessions without a folder. Each group is sorted by last activity.
+   */
+  renderSessionList() {
+    if (!this.sessionList) return;
+    this.sessionList.innerHTML = "";
+
+    const lastActivity = (session) =>
+      new Date(session.updatedAt || session.createdAt);
+    const sorted = [...this.sessions].sort(
+      (a, b) => lastActivity(b) - lastActivity(a)
+    );
+
+    const groups = [
+      { ...PINNED_GROUP, sessions: sorted.filter((s) => s.pinned) },
+      ...this.getFolders().map((folder) => ({
+        key: `folder:${folder}`,
+        title: `📁 ${folder}`,
+        sessions: sorted.filter((s) => !s.pinned && s.folder === folder),
+      })),
+      {
+        ...UNFILED_GROUP,
+        sessions: sorted.filter((s) => !s.pinned && !s.folder),
+      },
+    ];
+
+    groups
+      .filter((group) => group.sessions.length > 0)
+      .forEach((group) => {
+        const { container, list } = this.uiManager.createSessionGroup(
+          group.title,
+          group.sessions.length,
+          !this.collapsedGroups.has(group.key)
+        );
+        container.addEventListener("toggle", () => {
+          if (container.open) {
+            this.collapsedGroups.delete(group.key);
+          } else {
+            this.collapsedGroups.add(group.key);
+          }
+        });
+        group.sessions.forEach((session) => {
+          list.appendChild(this._createSessionItem(session));
+        });
+        this.sessionList.appendChild(container);
+      });
+  }
+
+  /**
+   * Creates the sidebar entry for a session and wires its actions.
+   * @param {object} session - The session record.
+   * @returns {HTMLElement} The list item.
    * @private
    */
-  _setupEventListeners() {
-    if (this.sessionSelector) {
-      this.sessionSelector.addEventListener("change", (event) => {
-        this.switchSession(event.target.value);
+  _createSessionItem(session) {
+    const { item, pinButton, renameButton, folderButton } =
+      this.uiManager.createSessionListItem(
+        this.getSessionName(session.id),
+        new Date(session.updatedAt || session.createdAt).toLocaleString(),
+        !!session.pinned,
+        session.id === this.currentSessionId
+      );
+
+    item.addEventListener("click", () => this.switchSession(session.id));
+    const onAction = (button, action) => {
+      button.addEventListener("click", (event) => {
+        event.stopPropagation(); // Don't also switch sessions
+        action();
       });
+    };
+    onAction(pinButton, () => this.togglePinned(session.id));
+    onAction(renameButton, () => this.renameSession(session.id));
+    onAction(folderButton, () => this.moveToFolder(session.id));
+    return item;
+  }
+
+  /**
+   * Saves session property changes and refreshes the cache and sidebar.
+   * @param {number} sessionId - The ID of the session.
+   * @param {object} changes - Properties to change (see `StorageManager.updateSession`).
+   * @private
+   */
+  async _updateSession(sessionId, changes) {
+    try {
+      const updated = await this.storageManager.updateSession(
+        sessionId,
+        changes
+      );
+      this.sessions = this.sessions.map((s) =>
+        s.id === sessionId ? updated : s
+      );
+      this.renderSessionList();
+    } catch (error) {
+      console.error(`Error updating session ${sessionId}:`, error);
+      this.uiManager.updateStatus(
+        `Error updating session: ${error.message || error}`,
+        "error"
+      );
     }
+  }
+
+  /**
+   * Sets up internal event listeners for session UI elements.
+   * @private
+   */
+  _setupEventListeners() {
     if (this.newSessionButton) {
       this.newSessionButton.addEventListener("click", () => {
         this.createNewSession(); // Don't mark as initial here
@@ -283,6 +432,14 @@ export class SessionManager {
     }
   }
 
+  /**
+   * Registers a function that supplies the settings for newly created sessions.
+   * @param {function(): {systemInstruction?: string, personaId?: number}} provider
+   */
+  setNewSessionOptionsProvider(provider) {
+    this.newSessionOptionsProvider = provider;
+  }
+
   /**
    * Registers a callback function to be invoked when the active session changes
    * (either by switching, creating, or after deletion).
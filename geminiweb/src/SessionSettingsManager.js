@@ -0,0 +1,619 @@
+import { ResponseSchema } from "./ResponseSchema.js";
+
+// Numeric generation config fields: config key, UIManager element key and accepted range.
+// An empty input means "server default" and is left out of the config.
+const NUMERIC_GENERATION_FIELDS = [
+  { key: "temperature", element: "temperatureInput", min: 0, max: 2 },
+  { key: "topP", element: "topPInput", min: 0, max: 1 },
+  { key: "topK", element: "topKInput", min: 1, integer: true },
+  {
+    key: "maxOutputTokens",
+    element: "maxOutputTokensInput",
+    min: 1,
+    integer: true,
+  },
+  {
+    key: "candidateCount",
+    element: "candidateCountInput",
+    min: 1,
+    max: 8,
+    integer: true,
+  },
+];
+const MAX_STOP_SEQUENCES = 5; // API limit
+const THINKING_BUDGET_RANGE = { min: -1, max: 32768 }; // -1 lets the model decide
+// Image generation models answer with text and images; they reject IMAGE alone
+const IMAGE_RESPONSE_MODALITIES = ["TEXT", "IMAGE"];
+
+// Harm categories with a threshold select (UIManager element key). An empty selection keeps the model default.
+const SAFETY_CATEGORIES = [
+  { category: "HARM_CATEGORY_HARASSMENT", element: "safetyHarassmentSelect" },
+  { category: "HARM_CATEGORY_HATE_SPEECH", element: "safetyHateSpeechSelect" },
+  {
+    category: "HARM_CATEGORY_SEXUALLY_EXPLICIT",
+    element: "safetySexuallyExplicitSelect",
+  },
+  {
+    category: "HARM_CATEGORY_DANGEROUS_CONTENT",
+    element: "safetyDangerousContentSelect",
+  },
+];
+
+/**
+ * Manages per-session settings (system instruction, generation config including structured output, and safety
+ * settings) and the libraries of persona presets and response schemas:
+ * editing the current session's settings, choosing a persona for new sessions,
+ * and saving/deleting presets and schemas.
+ */
+export class SessionSettingsManager {
+  /**
+   * @param {StorageManager} storageManager - Instance for DB operations.
+   * @param {UIManager} uiManager - Instance for DOM interactions.
+   */
+  constructor(storageManager, uiManager) {
+    this.storageManager = storageManager;
+    this.uiManager = uiManager;
+    this.currentSessionId = null;
+    this.personas = []; // Cache of persona presets {id, name, systemInstruction}
+    this.schemas = []; // Cache of saved response schemas {id, name, schema}
+    this.onSettingsSavedCallback = null;
+
+    this.systemInstructionInput = this.uiManager.getElement(
+      "systemInstructionInput"
+    );
+    this.personaSelector = this.uiManager.getElement("personaSelector");
+    this.newSessionPersonaSelector = this.uiManager.getElement(
+      "newSessionPersonaSelector"
+    );
+    this.applyPersonaButton = this.uiManager.getElement("applyPersonaButton");
+    this.savePersonaButton = this.uiManager.getElement("savePersonaButton");
+    this.deletePersonaButton = this.uiManager.getElement("deletePersonaButton");
+    this.saveSessionSettingsButton = this.uiManager.getElement(
+      "saveSessionSettingsButton"
+    );
+    this.stopSequencesInput = this.uiManager.getElement("stopSequencesInput");
+    this.thinkingBudgetInput = this.uiManager.getElement("thinkingBudgetInput");
+    this.imageOutputCheckbox = this.uiManager.getElement("imageOutputCheckbox");
+    this.structuredOutputCheckbox = this.uiManager.getElement(
+      "structuredOutputCheckbox"
+    );
+    this.responseSchemaInput = this.uiManager.getElement("responseSchemaInput");
+    this.schemaValidationStatus = this.uiManager.getElement(
+      "schemaValidationStatus"
+    );
+    this.schemaSelector = this.uiManager.getElement("schemaSelector");
+    this.loadSchemaButton = this.uiManager.getElement("loadSchemaButton");
+    this.saveSchemaButton = this.uiManager.getElement("saveSchemaButton");
+    this.deleteSchemaButton = this.uiManager.getElement("deleteSchemaButton");
+  }
+
+  /**
+   * Loads the persona presets and saved schemas and sets up the settings controls.
+   */
+  async initialize() {
+    await this.loadPersonas();
+    await this.loadSchemas();
+    this._setupEventListeners();
+  }
+
+  /**
+   * Loads persona presets from storage and fills the persona dropdowns.
+   */
+  async loadPersonas() {
+    try {
+      this.personas = await this.storageManager.getAllPersonas();
+    } catch (error) {
+      console.error("Error loading personas:", error);
+      this.uiManager.updateStatus("Error loading personas.", "warning");
+      this.personas = [];
+    }
+
+    const newSessionChoice = this.newSessionPersonaSelector?.value;
+    this.uiManager.clearDropdown(this.personaSelector);
+    this.uiManager.clearDropdown(this.newSessionPersonaSelector);
+    this.uiManager.addDropdownOption(
+      this.newSessionPersonaSelector,
+      "No persona",
+      ""
+    );
+    this.personas.forEach((persona) => {
+      this.uiManager.addDropdownOption(
+        this.personaSelector,
+        persona.name,
+        persona.id
+      );
+      this.uiManager.addDropdownOption(
+        this.newSessionPersonaSelector,
+        persona.name,
+        persona.id
+      );
+    });
+    if (newSessionChoice) {
+      this.uiManager.selectDropdownValue(
+        this.newSessionPersonaSelector,
+        newSessionChoice
+      );
+    }
+  }
+
+  /**
+   * Loads the saved response schemas and fills the schema dropdown.
+   */
+  async loadSchemas() {
+    try {
+      this.schemas = await this.storageManager.getAllSchemas();
+    } catch (error) {
+      console.error("Error loading schemas:", error);
+      this.uiManager.updateStatus("Error loading saved schemas.", "warning");
+      this.schemas = [];
+    }
+
+    this.uiManager.clearDropdown(this.schemaSelector);
+    this.schemas.forEach((saved) => {
+      this.uiManager.addDropdownOption(
+        this.schemaSelector,
+        saved.name,
+        saved.id
+      );
+    });
+  }
+
+  /**
+   * Shows the settings of a session in the settings panel.
+   * @param {number | null} sessionId - The session to show, or null to clear the panel.
+   */
+  async loadSession(sessionId) {
+    this.currentSessionId = sessionId;
+    let session = null;
+    if (sessionId) {
+      try {
+        session = await this.storageManager.getSession(sessionId);
+      } catch (error) {
+        console.error(`Error loading settings of session ${sessionId}:`, error);
+      }
+    }
+    if (this.systemInstructionInput) {
+      this.systemInstructionInput.value = session?.systemInstruction || "";
+    }
+    this._showGenerationConfig(session?.generationConfig || {});
+    this._showSafetySettings(session?.safetySettings || []);
+    if (session?.personaId) {
+      this.uiManager.selectDropdownValue(
+        this.personaSelector,
+        session.personaId
+      );
+    }
+  }
+
+  /**
+   * Gets the settings for a new session from the persona chosen in the sidebar.
+   * @returns {{systemInstruction?: string, personaId?: number}} Options for `StorageManager.createNewSession`.
+   */
+  getNewSessionOptions() {
+    const persona = this._findPersona(this.newSessionPersonaSelector?.value);
+    if (!persona) return {};
+    return {
+      systemInstruction: persona.systemInstruction,
+      personaId: persona.id,
+    };
+  }
+
+  /**
+   * Saves the system instruction, generation config and safety settings in the settings panel to the
+   * current session.
+   */
+  async saveSessionSettings() {
+    if (!this.currentSessionId) {
+      this.uiManager.updateStatus("No session selected.", "warning");
+      return;
+    }
+
+    let generationConfig;
+    try {
+      generationConfig = this.readGenerationConfig();
+    } catch (validationError) {
+      this.uiManager.updateStatus(validationError.message, "warning");
+      return;
+    }
+
+    const systemInstruction = this.systemInstructionInput?.value.trim() || "";
+    // Keep the persona link only while the instruction is still the preset's text
+    const persona = this.personas.find(
+      (p) => p.systemInstruction === systemInstruction
+    );
+
+    try {
+      await this.storageManager.updateSession(this.currentSessionId, {
+        systemInstruction: systemInstruction || null,
+        personaId: persona ? persona.id : null,
+        generationConfig,
+        safetySettings: this.readSafetySettings(),
+      });
+      this.uiManager.updateStatus("Session settings saved.", "success");
+      if (this.onSettingsSavedCallback) {
+        await this.onSettingsSavedCallback(this.currentSessionId);
+      }
+    } catch (error) {
+      console.error("Error saving session settings:", error);
+      this.uiManager.updateStatus(
+        `Error saving session settings: ${error.message || error}`,
+        "error"
+      );
+    }
+  }
+
+  /**
+   * Reads and validates the generation config inputs of the settings panel.
+   * @returns {object | null} The generation config, or null if every field is left at its default.
+   * @throws {Error} If a value is out of range or not a number.
+   */
+  readGenerationConfig() {
+    const config = {};
+
+    NUMERIC_GENERATION_FIELDS.forEach((field) => {
+      const value = this._readNumber(
+        this.uiManager.getElement(field.element),
+        field.key,
+        field
+      );
+      if (value !== null) config[field.key] = value;
+    });
+
+    const stopSequences = (this.stopSequencesInput?.value || "")
+      .split("\n")
+      .filter((sequence) => sequence.trim());
+    if (stopSequences.length > MAX_STOP_SEQUENCES) {
+      throw new Error(`At most ${MAX_STOP_SEQUENCES} stop sequences allowed.`);
+    }
+    if (stopSequences.length > 0) config.stopSequences = stopSequences;
+
+    const thinkingBudget = this._readNumber(
+      this.thinkingBudgetInput,
+      "thinkingBudget",
+      { ...THINKING_BUDGET_RANGE, integer: true }
+    );
+    if (thinkingBudget !== null) {
+      config.thinkingConfig = { thinkingBudget };
+    }
+
+    if (this.imageOutputCheckbox?.checked) {
+      if (this.structuredOutputCheckbox?.checked) {
+        throw new Error(
+          "Image output cannot be combined with structured output."
+        );
+      }
+      config.responseModalities = IMAGE_RESPONSE_MODALITIES;
+    }
+
+    if (this.structuredOutputCheckbox?.checked) {
+      const schemaText = this.responseSchemaInput?.value.trim() || "";
+      // Without a schema the model still answers in JSON, just free-form
+      ResponseSchema.applyTo(
+        config,
+        schemaText ? ResponseSchema.parse(schemaText) : null
+      );
+    }
+
+    return Object.keys(config).length > 0 ? config : null;
+  }
+
+  /**
+   * Fills the generation config inputs from a stored config.
+   * @param {object} config - The session's generation config (may be empty).
+   * @private
+   */
+  _showGenerationConfig(config) {
+    NUMERIC_GENERATION_FIELDS.forEach((field) => {
+      const input = this.uiManager.getElement(field.element);
+      if (input) input.value = config[field.key] ?? "";
+    });
+    if (this.stopSequencesInput) {
+      this.stopSequencesInput.value = (config.stopSequences || []).join("\n");
+    }
+    if (this.thinkingBudgetInput) {
+      this.thinkingBudgetInput.value =
+        config.thinkingConfig?.thinkingBudget ?? "";
+    }
+    if (this.imageOutputCheckbox) {
+      this.imageOutputCheckbox.checked = (
+        config.responseModalities || []
+      ).includes("IMAGE");
+    }
+    if (this.structuredOutputCheckbox) {
+      this.structuredOutputCheckbox.checked =
+        ResponseSchema.isStructuredOutput(config);
+    }
+    if (this.responseSchemaInput) {
+      this.responseSchemaInput.value = config.responseSchema
+        ? JSON.stringify(config.responseSchema, null, 2)
+        : "";
+    }
+    this.validateSchemaInput();
+  }
+
+  /**
+   * Validates the schema editor and shows the result next to it.
+   * @returns {boolean} True if the editor is empty or holds a valid schema.
+   */
+  validateSchemaInput() {
+    const schemaText = this.responseSchemaInput?.value.trim() || "";
+    let message = "";
+    let valid = true;
+    if (schemaText) {
+      try {
+        ResponseSchema.parse(schemaText);
+        message = "Schema is valid.";
+      } catch (validationError) {
+        message = validationError.message;
+        valid = false;
+      }
+    }
+    if (this.schemaValidationStatus) {
+      this.schemaValidationStatus.textContent = message;
+      this.schemaValidationStatus.classList.toggle("invalid", !valid);
+    }
+    return valid;
+  }
+
+  /**
+   * Copies the selected saved schema into the schema editor (not saved to the session yet).
+   */
+  loadSelectedSchema() {
+    const saved = this._findSchema(this.schemaSelector?.value);
+    if (!saved || !this.responseSchemaInput) return;
+    this.responseSchemaInput.value = JSON.stringify(saved.schema, null, 2);
+    if (this.structuredOutputCheckbox) {
+      this.structuredOutputCheckbox.checked = true;
+    }
+    this.validateSchemaInput();
+  }
+
+  /**
+   * Saves the schema in the editor to the schema library.
+   * Saving under an existing name replaces that schema.
+   */
+  async saveSchemaToLibrary() {
+    const schemaText = this.responseSchemaInput?.value.trim();
+    if (!schemaText) {
+      alert("Enter a response schema first.");
+      return;
+    }
+    let schema;
+    try {
+      schema = ResponseSchema.parse(schemaText);
+    } catch (validationError) {
+      this.uiManager.updateStatus(validationError.message, "warning");
+      return;
+    }
+    const name = prompt("Schema name:")?.trim();
+    if (!name) return; // User cancelled
+
+    const existing = this.schemas.find((s) => s.name === name);
+    if (existing && !confirm(`Replace the existing schema "${name}"?`)) {
+      return;
+    }
+
+    try {
+      const schemaId = await this.storageManager.saveSchema({
+        id: existing?.id,
+        name,
+        schema,
+      });
+      await this.loadSchemas();
+      this.uiManager.selectDropdownValue(this.schemaSelector, schemaId);
+      this.uiManager.updateStatus(`Schema "${name}" saved.`, "success");
+    } catch (error) {
+      console.error("Error saving schema:", error);
+      this.uiManager.updateStatus(
+        `Error saving schema: ${error.message || error}`,
+        "error"
+      );
+    }
+  }
+
+  /**
+   * Deletes the selected saved schema.
+   */
+  async deleteSelectedSchema() {
+    const saved = this._findSchema(this.schemaSelector?.value);
+    if (!saved) return;
+    if (!confirm(`Delete the schema "${saved.name}"?`)) return;
+
+    try {
+      await this.storageManager.deleteSchema(saved.id);
+      await this.loadSchemas();
+      this.uiManager.updateStatus(`Schema "${saved.name}" deleted.`, "success");
+    } catch (error) {
+      console.error("Error deleting schema:", error);
+      this.uiManager.updateStatus(
+        `Error deleting schema: ${error.message || error}`,
+        "error"
+      );
+    }
+  }
+
+  /**
+   * Reads the safety threshold selects of the settings panel.
+   * @returns {Array<{category: string, threshold: string}> | null} The safety settings, or null if every
+   *   category is left at the model default.
+   */
+  readSafetySettings() {
+    const settings = SAFETY_CATEGORIES.map(({ category, element }) => ({
+      category,
+      threshold: this.uiManager.getElement(element)?.value || "",
+    })).filter((setting) => setting.threshold);
+    return settings.length > 0 ? settings : null;
+  }
+
+  /**
+   * Selects the stored threshold of each harm category.
+   * @param {Array<{category: string, threshold: string}>} safetySettings - The session's safety settings.
+   * @private
+   */
+  _showSafetySettings(safetySettings) {
+    SAFETY_CATEGORIES.forEach(({ category, element }) => {
+      const select = this.uiManager.getElement(element);
+      if (!select) return;
+      const setting = safetySettings.find((s) => s.category === category);
+      select.value = setting?.threshold || "";
+    });
+  }
+
+  /**
+   * Parses a numeric input.
+   * @param {HTMLInputElement | null} input - The input element.
+   * @param {string} label - Name of the setting, for error messages.
+   * @param {{min?: number, max?: number, integer?: boolean}} range - Accepted values.
+   * @returns {number | null} The value, or null if the input is empty.
+   * @throws {Error} If the value is not a number or out of range.
+   * @private
+   */
+  _readNumber(input, label, { min, max, integer }) {
+    const text = input?.value.trim();
+    if (!text) return null;
+    const value = Number(text);
+    if (
+      Number.isNaN(value) ||
+      (integer && !Number.isInteger(value)) ||
+      (min !== undefined && value < min) ||
+      (max !== undefined && value > max)
+    ) {
+      const range =
+        max !== undefined ? `between ${min} and ${max}` : `at least ${min}`;
+      throw new Error(
+        `${label} must be ${integer ? "an integer " : "a number "}${range}.`
+      );
+    }
+    return value;
+  }
+
+  /**
+   * Copies the selected persona's system instruction into the settings panel (not saved yet).
+   */
+  applySelectedPersona() {
+    const persona = this._findPersona(this.personaSelector?.value);
+    if (persona && this.systemInstructionInput) {
+      this.systemInstructionInput.value = persona.systemInstruction;
+    }
+  }
+
+  /**
+   * Saves the system instruction in the settings panel as a persona preset.
+   * Saving under an existing name replaces that preset.
+   */
+  async saveAsPersona() {
+    const systemInstruction = this.systemInstructionInput?.value.trim();
+    if (!systemInstruction) {
+      alert("Enter a system instruction first.");
+      return;
+    }
+    const name = prompt("Persona name:")?.trim();
+    if (!name) return; // User cancelled
+
+    const existing = this.personas.find((p) => p.name === name);
+    if (existing && !confirm(`Replace the existing persona "${name}"?`)) {
+      return;
+    }
+
+    try {
+      const personaId = await this.storageManager.savePersona({
+        id: existing?.id,
+        name,
+        systemInstruction,
+      });
+      await this.loadPersonas();
+      this.uiManager.selectDropdownValue(this.personaSelector, personaId);
+      this.uiManager.updateStatus(`Persona "${name}" saved.`, "success");
+    } catch (error) {
+      console.error("Error saving persona:", error);
+      this.uiManager.updateStatus(
+        `Error saving persona: ${error.message || error}`,
+        "error"
+      );
+    }
+  }
+
+  /**
+   * Deletes the selected persona preset.
+   */
+  async deleteSelectedPersona() {
+    const persona = this._findPersona(this.personaSelector?.value);
+    if (!persona) return;
+    if (!confirm(`Delete the persona "${persona.name}"?`)) return;
+
+    try {
+      await this.storageManager.deletePersona(persona.id);
+      await this.loadPersonas();
+      this.uiManager.updateStatus(
+        `Persona "${persona.name}" deleted.`,
+        "success"
+      );
+    } catch (error) {
+      console.error("Error deleting persona:", error);
+      this.uiManager.updateStatus(
+        `Error deleting persona: ${error.message || error}`,
+        "error"
+      );
+    }
+  }
+
+  /**
+   * Registers a callback invoked after the current session's settings were saved,
+   * e.g. to restart the chat with the new system instruction.
+   * @param {function(number): Promise<void>} callback - Receives the session ID.
+   */
+  setOnSettingsSavedCallback(callback) {
+    this.onSettingsSavedCallback = callback;
+  }
+
+  /**
+   * @param {string | number | undefined} personaId - A persona ID (dropdown values are strings).
+   * @returns {object | undefined} The cached persona.
+   * @private
+   */
+  _findPersona(personaId) {
+    const id = parseInt(personaId, 10);
+    return this.personas.find((p) => p.id === id);
+  }
+
+  /**
+   * @param {string | number | undefined} schemaId - A saved schema ID (dropdown values are strings).
+   * @returns {object | undefined} The cached schema.
+   * @private
+   */
+  _findSchema(schemaId) {
+    const id = parseInt(schemaId, 10);
+    return this.schemas.find((s) => s.id === id);
+  }
+
+  /**
+   * Sets up event listeners for the settings controls.
+   * @private
+   */
+  _setupEventListeners() {
+    this.applyPersonaButton?.addEventListener("click", () =>
+      this.applySelectedPersona()
+    );
+    this.savePersonaButton?.addEventListener("click", () =>
+      this.saveAsPersona()
+    );
+    this.deletePersonaButton?.addEventListener("click", () =>
+      this.deleteSelectedPersona()
+    );
+    this.saveSessionSettingsButton?.addEventListener("click", () =>
+      this.saveSessionSettings()
+    );
+    this.responseSchemaInput?.addEventListener("input", () =>
+      this.validateSchemaInput()
+    );
+    this.loadSchemaButton?.addEventListener("click", () =>
+      this.loadSelectedSchema()
+    );
+    this.saveSchemaButton?.addEventListener("click", () =>
+      this.saveSchemaToLibrary()
+    );
+    this.deleteSchemaButton?.addEventListener("click", () =>
+      this.deleteSelectedSchema()
+    );
+  }
+}
@@ -0,0 +1,188 @@
+import {
+  AUTO_TITLE_STORAGE_KEY,
+  TITLE_MODEL,
+  MAX_TITLE_LENGTH,
+} from "./Config.js";
+
+const TITLE_PROMPT =
+  "Write a short title (at most 6 words) for the conversation above. Reply with the title only, without quotes or punctuation at the end.";
+
+/**
+ * Names sessions automatically from their first exchange, using a cheap model when an API key is
+ * available and a heuristic (the start of the first user message) otherwise.
+ * Sessions the user renamed (`titleSource: "user"`) or that were already titled are left alone.
+ */
+export class SessionTitler {
+  /**
+   * @param {ChatClient} chatClient - Instance for API calls.
+   * @param {StorageManager} storageManager - Instance for DB operations.
+   * @param {UIManager} uiManager - Instance for DOM interactions.
+   */
+  constructor(chatClient, storageManager, uiManager) {
+    this.chatClient = chatClient;
+    this.storageManager = storageManager;
+    this.uiManager = uiManager;
+    this.pendingSessions = new Set(); // Sessions currently being titled
+    this.autoTitleCheckbox = this.uiManager.getElement("autoTitleCheckbox");
+
+    if (this.autoTitleCheckbox) {
+      this.autoTitleCheckbox.checked =
+        localStorage.getItem(AUTO_TITLE_STORAGE_KEY) !== "false"; // On by default
+      this.autoTitleCheckbox.addEventListener("change", () => {
+        localStorage.setItem(
+          AUTO_TITLE_STORAGE_KEY,
+          String(this.autoTitleCheckbox.checked)
+        );
+      });
+    }
+  }
+
+  /**
+   * @returns {boolean} Whether automatic titling is enabled.
+   */
+  isEnabled() {
+    return this.autoTitleCheckbox ? this.autoTitleCheckbox.checked : true;
+  }
+
+  /**
+   * Titles a session if it still has its default name and has a first model reply.
+   * Intended to run in the background; errors are logged, never thrown.
+   * @param {number} sessionId - The ID of the session.
+   * @returns {Promise<string | null>} The new title, or null if the session was not titled.
+   */
+  async titleSession(sessionId) {
+    if (!this.isEnabled() || !sessionId || this.pendingSessions.has(sessionId))
+      return null;
+    this.pendingSessions.add(sessionId);
+
+    try {
+      const session = await this.storageManager.getSession(sessionId);
+      if (!session || session.titleSource) {
+        return null; // Already titled automatically or named by the user
+      }
+
+      const messages = await this.storageManager.getRawMessagesForSession(
+        sessionId
+      );
+      const firstUser = messages.find((msg) => msg.sender === "user");
+      // Skip model turns that only call tools
+      const firstModel = messages.find(
+        (msg) =>
+          msg.sender === "model" && msg.contentParts?.some((part) => part.text)
+      );
+      if (!firstUser || !firstModel) {
+        return null; // No complete exchange yet
+      }
+
+      const title =
+        (await this._generateTitle(firstUser, firstModel)) ||
+        SessionTitler.heuristicTitle(firstUser);
+      if (!title) return null;
+
+      // The user may have renamed the session while the title was generated
+      if (!(await this.storageManager.setAutoTitle(sessionId, title))) {
+        return null;
+      }
+      console.log(`[SessionTitler] Session ${sessionId} titled "${title}".`);
+      return title;
+    } catch (error) {
+      console.error(
+        `[SessionTitler] Failed to title session ${sessionId}:`,
+        error
+      );
+      return null;
+    } finally {
+      this.pendingSessions.delete(sessionId);
+    }
+  }
+
+  /**
+   * Derives a title from the first user message without calling the API.
+   * @param {object} userMessage - The first user message.
+   * @returns {string | null} The title, or null if there is nothing to derive it from.
+   */
+  static heuristicTitle(userMessage) {
+    const parts = userMessage.contentParts || [];
+    const text = parts
+      .filter((part) => part.text)
+      .map((part) => part.text)
+      .join(" ");
+    const firstLine = text
+      .split("\n")
+      .map((line) => line.replace(/[#>*_`]/g, "").trim())
+      .find((line) => line);
+    if (firstLine) {
+      return SessionTitler._truncate(firstLine);
+    }
+
+    const attachment = parts.find((part) => part.inlineData || part.blobRef);
+    if (attachment) {
+      const { mimeType } = attachment.inlineData || attachment.blobRef;
+      const kind = mimeType.split("/")[0];
+      return `${kind.charAt(0).toUpperCase()}${kind.slice(1)} chat`;
+    }
+    return null;
+  }
+
+  /**
+   * Asks the title model for a title of the first exchange. Only the text is sent.
+   * @param {object} userMessage - The first user message.
+   * @param {object} modelMessage - The first model reply.
+   * @returns {Promise<string | null>} The title, or null if no client is available or the call failed.
+   * @private
+   */
+  async _generateTitle(userMessage, modelMessage) {
+    if (!this.chatClient.genAI) {
+      return null; // No API key; caller falls back to the heuristic
+    }
+
+    const textOnly = (msg) =>
+      (msg.contentParts || []).filter((part) => part.text);
+    const userParts = textOnly(userMessage);
+    const modelParts = textOnly(modelMessage);
+    if (userParts.length === 0 || modelParts.length === 0) {
+      return null;
+    }
+
+    const result = await this.chatClient.sendMessageWithHistory(
+      TITLE_MODEL,
+      [
+        { role: "user", parts: userParts },
+        { role: "model", parts: modelParts },
+      ],
+      [{ text: TITLE_PROMPT }],
+      false
+    );
+    if (result.error || !result.response) {
+      console.warn("[SessionTitler] Title request failed:", result.error);
+      return null;
+    }
+
+    try {
+      const title = result.response
+        .text()
+        .split("\n")[0]
+        .replace(/^["'*#\s]+|["'*.\s]+$/g, "");
+      return title ? SessionTitler._truncate(title) : null;
+    } catch (textError) {
+      console.warn("[SessionTitler] Title response had no text:", textError);
+      return null;
+    }
+  }
+
+  /**
+   * Shortens a title to `MAX_TITLE_LENGTH`, cutting at a word boundary when possible.
+   * @param {string} text
+   * @returns {string}
+   * @private
+   */
+  static _truncate(text) {
+    if (text.length <= MAX_TITLE_LENGTH) return text;
+    const cut = text.slice(0, MAX_TITLE_LENGTH);
+    const lastSpace = cut.lastIndexOf(" ");
+    return `${(lastSpace > MAX_TITLE_LENGTH / 2
+      ? cut.slice(0, lastSpace)
+      : cut
+    ).trim()}…`;
+  }
+}
@@ -4,14 +4,29 @@ import {
   MSG_STORE_NAME,
   SESSION_STORE_NAME,
   MODEL_STORE_NAME,
+  SEARCH_INDEX_STORE_NAME,
+  PERSONA_STORE_NAME,
+  SCHEMA_STORE_NAME,
+  BLOB_STORE_NAME,
+  BLOB_CACHE_BYTES,
+  DEFAULT_PERSONAS,
 } from "./Config.js";
+import { SearchIndexer } from "./SearchIndexer.js";
+import { FileUploader } from "./FileUploader.js";
+import { BlobUtils } from "./BlobUtils.js";
 
 /**
  * Manages all interactions with the IndexedDB database.
+ *
+ * Attachments are not stored in the message records: they live in the blob store, keyed by the SHA-256
+ * of their content and reference-counted, and messages hold `{blobRef: {hash, mimeType, size}}` parts
+ * in their place. `resolveBlobParts` turns these back into `inlineData` for the API.
  */
 export class StorageManager {
   constructor() {
     this.db = null; // Database connection variable
+    this.blobCache = new Map(); // Hash -> base64 data of recently used blobs, least recent first
+    this.blobCacheBytes = 0;
   }
 
   /**
@@ -79,6 +94,12 @@ export class StorageManager {
           console.log("Index 'sessionId' created on", MSG_STORE_NAME);
         }
 
+        // v4: messages form a tree via parentId. Existing sessions were flat lists,
+        // so chain each session's messages in timestamp order.
+        if (event.oldVersion > 0 && event.oldVersion < 4) {
+          this._migrateToMessageTree(transaction);
+        }
+
         // Create models store
         if (!dbInstance.objectStoreNames.contains(MODEL_STORE_NAME)) {
           const modelStore = dbInstance.createObjectStore(MODEL_STORE_NAME, {
@@ -87,11 +108,247 @@ export class StorageManager {
           console.log("Object store created:", MODEL_STORE_NAME);
         }
 
+        // v5: full-text search index. One record per (term, message); existing messages are indexed now.
+        if (!dbInstance.objectStoreNames.contains(SEARCH_INDEX_STORE_NAME)) {
+          const searchStore = dbInstance.createObjectStore(
+            SEARCH_INDEX_STORE_NAME,
+            { keyPath: ["term", "messageId"] }
+          );
+          searchStore.createIndex("messageId", "messageId", { unique: false });
+          searchStore.createIndex("sessionId", "sessionId", { unique: false });
+          console.log("Object store created:", SEARCH_INDEX_STORE_NAME);
+
+          if (event.oldVersion > 0) {
+            this._buildSearchIndex(transaction);
+          }
+        }
+
+        // v6: sessions track their last activity (updatedAt) for sorting the session list
+        if (event.oldVersion > 0 && event.oldVersion < 6) {
+          this._backfillSessionActivity(transaction);
+        }
+
+        // v7: persona presets (reusable system instructions), seeded with defaults
+        if (!dbInstance.objectStoreNames.contains(PERSONA_STORE_NAME)) {
+          const personaStore = dbInstance.createObjectStore(
+            PERSONA_STORE_NAME,
+            { keyPath: "id", autoIncrement: true }
+          );
+          DEFAULT_PERSONAS.forEach((persona) =>
+            personaStore.add({ ...persona })
+          );
+          console.log("Object store created:", PERSONA_STORE_NAME);
+        }
+
+        // v8: saved response schemas for structured output
+        if (!dbInstance.objectStoreNames.contains(SCHEMA_STORE_NAME)) {
+          dbInstance.createObjectStore(SCHEMA_STORE_NAME, {
+            keyPath: "id",
+            autoIncrement: true,
+          });
+          console.log("Object store created:", SCHEMA_STORE_NAME);
+        }
+
+        // v9: attachments move from the message records to a deduplicated blob store
+        if (!dbInstance.objectStoreNames.contains(BLOB_STORE_NAME)) {
+          dbInstance.createObjectStore(BLOB_STORE_NAME, { keyPath: "hash" });
+          console.log("Object store created:", BLOB_STORE_NAME);
+
+          if (event.oldVersion > 0) {
+            this._migrateToBlobStore(transaction);
+          }
+        }
+
+        // v10: size index on the blob store, so usage totals are read without loading the blobs
+        const blobStore = transaction.objectStore(BLOB_STORE_NAME);
+        if (!blobStore.indexNames.contains("size")) {
+          blobStore.createIndex("size", "size", { unique: false });
+        }
+
         console.log("Database upgrade complete.");
       };
     });
   }
 
+  /**
+   * Converts flat, timestamp-ordered sessions into single-branch message trees.
+   * Runs inside the version change transaction of `openDb`.
+   * @param {IDBTransaction} transaction - The upgrade transaction.
+   * @private
+   */
+  _migrateToMessageTree(transaction) {
+    const msgStore = transaction.objectStore(MSG_STORE_NAME);
+    const sessionStore = transaction.objectStore(SESSION_STORE_NAME);
+
+    msgStore.getAll().onsuccess = (event) => {
+      const messagesBySession = new Map();
+      (event.target.result || []).forEach((msg) => {
+        if (!messagesBySession.has(msg.sessionId)) {
+          messagesBySession.set(msg.sessionId, []);
+        }
+        messagesBySession.get(msg.sessionId).push(msg);
+      });
+
+      messagesBySession.forEach((messages, sessionId) => {
+        messages.sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+        messages.forEach((msg, i) => {
+          msg.parentId = i > 0 ? messages[i - 1].id : null;
+          if (i < messages.length - 1) {
+            msg.activeChildId = messages[i + 1].id;
+          }
+          msgStore.put(msg);
+        });
+
+        sessionStore.get(sessionId).onsuccess = (sessionEvent) => {
+          const session = sessionEvent.target.result;
+          if (session && messages.length > 0) {
+            session.activeRootId = messages[0].id;
+            sessionStore.put(session);
+          }
+        };
+      });
+      console.log(
+        `Migrated ${messagesBySession.size} sessions to the message tree model.`
+      );
+    };
+  }
+
+  /**
+   * Indexes every stored message for full-text search.
+   * Runs inside the version change transaction of `openDb`.
+   * @param {IDBTransaction} transaction - The upgrade transaction.
+   * @private
+   */
+  _buildSearchIndex(transaction) {
+    let indexedCount = 0;
+    transaction.objectStore(MSG_STORE_NAME).openCursor().onsuccess = (
+      event
+    ) => {
+      const cursor = event.target.result;
+      if (cursor) {
+        const msg = cursor.value;
+        this._indexMessage(
+          transaction,
+          msg.id,
+          msg.sessionId,
+          msg.contentParts
+        );
+        indexedCount++;
+        cursor.continue();
+      } else {
+        console.log(`Built search index for ${indexedCount} messages.`);
+      }
+    };
+  }
+
+  /**
+   * Sets `updatedAt` of every session to the timestamp of its newest message (or its creation time).
+   * Runs inside the version change transaction of `openDb`.
+   * @param {IDBTransaction} transaction - The upgrade transaction.
+   * @private
+   */
+  _backfillSessionActivity(transaction) {
+    const sessionStore = transaction.objectStore(SESSION_STORE_NAME);
+    const messageIndex = transaction
+      .objectStore(MSG_STORE_NAME)
+      .index("sessionId");
+
+    sessionStore.getAllKeys().onsuccess = (event) => {
+      (event.target.result || []).forEach((sessionId) => {
+        messageIndex.getAll(IDBKeyRange.only(sessionId)).onsuccess = (
+          messagesEvent
+        ) => {
+          const timestamps = (messagesEvent.target.result || []).map(
+            (msg) => msg.timestamp
+          );
+          // Read the record only now, after earlier migration steps have written it
+          sessionStore.get(sessionId).onsuccess = (sessionEvent) => {
+            const session = sessionEvent.target.result;
+            session.updatedAt = [session.createdAt, ...timestamps].reduce(
+              (latest, timestamp) =>
+                new Date(timestamp) > new Date(latest) ? timestamp : latest
+            );
+            sessionStore.put(session);
+          };
+        };
+      });
+    };
+  }
+
+  /**
+   * Moves the inline attachments of every stored message to the blob store, replacing them with
+   * `blobRef` parts. Runs inside the version change transaction of `openDb`.
+   * @param {IDBTransaction} transaction - The upgrade transaction.
+   * @private
+   */
+  _migrateToBlobStore(transaction) {
+    const msgStore = transaction.objectStore(MSG_STORE_NAME);
+    const blobStore = transaction.objectStore(BLOB_STORE_NAME);
+    const refCounts = new Map(); // Hash -> references found so far
+    let migratedCount = 0;
+
+    const migrateMessage = (msg) => {
+      msg.contentParts = msg.contentParts.map((part) => {
+        if (!part.inlineData) return part;
+        const { mimeType, data } = part.inlineData;
+        let bytes;
+        try {
+          bytes = BlobUtils.base64ToBytes(data);
+        } catch (decodeError) {
+          console.warn(
+            `Message ${msg.id} has an undecodable attachment; it stays inline.`,
+            decodeError
+          );
+          return part;
+        }
+        // Web Crypto is asynchronous and would let the upgrade transaction commit, so hash in place
+        const hash = BlobUtils.sha256Sync(bytes);
+        if (!refCounts.has(hash)) {
+          blobStore.add({
+            hash,
+            mimeType,
+            size: bytes.length,
+            data: new Blob([bytes], { type: mimeType }),
+            refCount: 1,
+            createdAt: msg.timestamp,
+          });
+        }
+        refCounts.set(hash, (refCounts.get(hash) || 0) + 1);
+        return { blobRef: { hash, mimeType, size: bytes.length } };
+      });
+    };
+
+    // Started from a request callback, so the cursor sees the writes of the earlier migration steps
+    msgStore.count().onsuccess = () => {
+      msgStore.openCursor().onsuccess = (event) => {
+        const cursor = event.target.result;
+        if (cursor) {
+          const msg = cursor.value;
+          if (msg.contentParts?.some((part) => part.inlineData)) {
+            migrateMessage(msg);
+            cursor.update(msg);
+            migratedCount++;
+          }
+          cursor.continue();
+          return;
+        }
+
+        // Blobs were added with one reference; correct those shared by several parts
+        refCounts.forEach((refCount, hash) => {
+          if (refCount === 1) return;
+          blobStore.get(hash).onsuccess = (blobEvent) => {
+            const record = blobEvent.target.result;
+            record.refCount = refCount;
+            blobStore.put(record);
+          };
+        });
+        console.log(
+          `Moved the attachments of ${migratedCount} messages to ${refCounts.size} blobs.`
+        );
+      };
+    };
+  }
+
   /**
    * Retrieves all custom models stored in the database.
    * @returns {Promise<Array<{name: string}>>} A promise resolving to an array of model objects.
@@ -138,7 +395,162 @@ export class StorageManager {
   }
 
   /**
-   * Retrieves all chat sessions from the database, sorted by creation date descending.
+   * Retrieves all persona presets, sorted by name.
+   * @returns {Promise<Array<{id: number, name: string, systemInstruction: string}>>}
+   */
+  async getAllPersonas() {
+    if (!this.db) await this.openDb();
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction([PERSONA_STORE_NAME], "readonly");
+      const request = transaction.objectStore(PERSONA_STORE_NAME).getAll();
+
+      request.onsuccess = (event) => {
+        const personas = event.target.result || [];
+        personas.sort((a, b) => a.name.localeCompare(b.name));
+        resolve(personas);
+      };
+      request.onerror = (event) => {
+        console.error("Error getting personas from DB:", event.target.error);
+        reject(event.target.error);
+      };
+    });
+  }
+
+  /**
+   * Adds or updates a persona preset.
+   * @param {{id?: number, name: string, systemInstruction: string}} persona - The persona; with an `id` the
+   *   existing preset is replaced.
+   * @returns {Promise<number>} A promise resolving to the persona's ID.
+   */
+  async savePersona(persona) {
+    if (!this.db) await this.openDb();
+    if (!persona?.name || !persona.systemInstruction)
+      return Promise.reject("Persona needs a name and a system instruction.");
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction(
+        [PERSONA_STORE_NAME],
+        "readwrite"
+      );
+      const record = {
+        name: persona.name,
+        systemInstruction: persona.systemInstruction,
+      };
+      if (persona.id) record.id = persona.id;
+      const request = transaction.objectStore(PERSONA_STORE_NAME).put(record);
+
+      request.onsuccess = (event) => {
+        console.log("Persona saved to DB:", persona.name);
+        resolve(event.target.result);
+      };
+      request.onerror = (event) => {
+        console.error("Error saving persona to DB:", event.target.error);
+        reject(event.target.error);
+      };
+    });
+  }
+
+  /**
+   * Deletes a persona preset. Sessions created from it keep their system instruction.
+   * @param {number} personaId - The ID of the persona.
+   * @returns {Promise<void>}
+   */
+  async deletePersona(personaId) {
+    if (!this.db) await this.openDb();
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction(
+        [PERSONA_STORE_NAME],
+        "readwrite"
+      );
+      const request = transaction
+        .objectStore(PERSONA_STORE_NAME)
+        .delete(personaId);
+
+      request.onsuccess = () => {
+        console.log("Persona deleted from DB:", personaId);
+        resolve();
+      };
+      request.onerror = (event) => {
+        console.error("Error deleting persona from DB:", event.target.error);
+        reject(event.target.error);
+      };
+    });
+  }
+
+  /**
+   * Retrieves all saved response schemas, sorted by name.
+   * @returns {Promise<Array<{id: number, name: string, schema: object}>>}
+   */
+  async getAllSchemas() {
+    if (!this.db) await this.openDb();
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction([SCHEMA_STORE_NAME], "readonly");
+      const request = transaction.objectStore(SCHEMA_STORE_NAME).getAll();
+
+      request.onsuccess = (event) => {
+        const schemas = event.target.result || [];
+        schemas.sort((a, b) => a.name.localeCompare(b.name));
+        resolve(schemas);
+      };
+      request.onerror = (event) => {
+        console.error("Error getting schemas from DB:", event.target.error);
+        reject(event.target.error);
+      };
+    });
+  }
+
+  /**
+   * Adds or updates a saved response schema.
+   * @param {{id?: number, name: string, schema: object}} savedSchema - The schema; with an `id` the
+   *   existing entry is replaced.
+   * @returns {Promise<number>} A promise resolving to the schema's ID.
+   */
+  async saveSchema(savedSchema) {
+    if (!this.db) await this.openDb();
+    if (!savedSchema?.name || !savedSchema.schema)
+      return Promise.reject("Saved schema needs a name and a schema.");
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction([SCHEMA_STORE_NAME], "readwrite");
+      const record = { name: savedSchema.name, schema: savedSchema.schema };
+      if (savedSchema.id) record.id = savedSchema.id;
+      const request = transaction.objectStore(SCHEMA_STORE_NAME).put(record);
+
+      request.onsuccess = (event) => {
+        console.log("Schema saved to DB:", savedSchema.name);
+        resolve(event.target.result);
+      };
+      request.onerror = (event) => {
+        console.error("Error saving schema to DB:", event.target.error);
+        reject(event.target.error);
+      };
+    });
+  }
+
+  /**
+   * Deletes a saved response schema. Sessions using it keep their own copy.
+   * @param {number} schemaId - The ID of the schema.
+   * @returns {Promise<void>}
+   */
+  async deleteSchema(schemaId) {
+    if (!this.db) await this.openDb();
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction([SCHEMA_STORE_NAME], "readwrite");
+      const request = transaction
+        .objectStore(SCHEMA_STORE_NAME)
+        .delete(schemaId);
+
+      request.onsuccess = () => {
+        console.log("Schema deleted from DB:", schemaId);
+        resolve();
+      };
+      request.onerror = (event) => {
+        console.error("Error deleting schema from DB:", event.target.error);
+        reject(event.target.error);
+      };
+    });
+  }
+
+  /**
+   * Retrieves all chat sessions from the database, sorted by last activity (most recent first).
    * @returns {Promise<Array<object>>} A promise resolving to an array of session objects.
    */
   async getAllSessions() {
@@ -150,7 +562,11 @@ export class StorageManager {
 
       request.onsuccess = (event) => {
         const sessions = event.target.result || [];
-        sessions.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt)); // Newest first
+        sessions.sort(
+          (a, b) =>
+            new Date(b.updatedAt || b.createdAt) -
+            new Date(a.updatedAt || a.createdAt)
+        ); // Most recently active first
         resolve(sessions);
       };
       request.onerror = (event) => {
@@ -160,12 +576,137 @@ export class StorageManager {
     });
   }
 
+  /**
+   * Retrieves a single session record.
+   * @param {number} sessionId - The ID of the session.
+   * @returns {Promise<object | undefined>} The session record, or undefined if not found.
+   */
+  async getSession(sessionId) {
+    if (!this.db) await this.openDb();
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction([SESSION_STORE_NAME], "readonly");
+      const request = transaction
+        .objectStore(SESSION_STORE_NAME)
+        .get(sessionId);
+      request.onsuccess = (event) => resolve(event.target.result);
+      request.onerror = (event) => {
+        console.error(
+          `Error getting session ${sessionId}:`,
+          event.target.error
+        );
+        reject(event.target.error);
+      };
+    });
+  }
+
+  /**
+   * Stores a complete session (record and message tree) from an external source, e.g. an archive import.
+   * All IDs are reassigned by the database; `parentId`, `activeChildId` and `activeRootId`
+   * references are remapped to the new IDs.
+   * @param {object} sessionData - Session fields (`id` is ignored; `activeRootId` refers to source message IDs).
+   * @param {Array<object>} messages - Message records with source `id`/`parentId`/`activeChildId`.
+   * @returns {Promise<number>} A promise resolving to the ID of the new session.
+   */
+  async importSession(sessionData, messages) {
+    if (!this.db) await this.openDb();
+    const sessionFields = { ...sessionData };
+    delete sessionFields.id; // A new ID is assigned by the store
+
+    // Archived attachments are inline; move them to the blob store
+    const blobRefChanges = new Map();
+    const storedMessages = await Promise.all(
+      messages.map(async (msg) => ({
+        ...msg,
+        contentParts: (
+          await this._toStoredParts(msg.contentParts || [], blobRefChanges)
+        ).parts,
+      }))
+    );
+
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction(
+        [
+          SESSION_STORE_NAME,
+          MSG_STORE_NAME,
+          SEARCH_INDEX_STORE_NAME,
+          BLOB_STORE_NAME,
+        ],
+        "readwrite"
+      );
+      this._applyBlobRefChanges(transaction, blobRefChanges);
+      const sessionStore = transaction.objectStore(SESSION_STORE_NAME);
+      const messageStore = transaction.objectStore(MSG_STORE_NAME);
+      const newIds = new Map(); // Source message ID -> new message ID
+      let newSessionId = null;
+
+      // 3. Once every message has its new ID, rewrite the tree references
+      const remapReferences = () => {
+        messages.forEach((msg) => {
+          const newId = newIds.get(msg.id);
+          messageStore.get(newId).onsuccess = (event) => {
+            const record = event.target.result;
+            record.parentId =
+              msg.parentId == null ? null : newIds.get(msg.parentId) ?? null;
+            record.activeChildId = newIds.get(msg.activeChildId);
+            messageStore.put(record);
+          };
+        });
+        sessionStore.get(newSessionId).onsuccess = (event) => {
+          const record = event.target.result;
+          record.activeRootId = newIds.get(sessionFields.activeRootId);
+          sessionStore.put(record);
+        };
+      };
+
+      // 1. Add the session record
+      sessionStore.add({
+        ...sessionFields,
+        activeRootId: undefined,
+      }).onsuccess = (event) => {
+        newSessionId = event.target.result;
+        if (messages.length === 0) return;
+
+        // 2. Add the messages, collecting their new IDs
+        storedMessages.forEach((msg) => {
+          const { id, parentId, activeChildId, ...fields } = msg;
+          messageStore.add({ ...fields, sessionId: newSessionId }).onsuccess = (
+            addEvent
+          ) => {
+            newIds.set(id, addEvent.target.result);
+            this._indexMessage(
+              transaction,
+              addEvent.target.result,
+              newSessionId,
+              fields.contentParts
+            );
+            if (newIds.size === messages.length) {
+              remapReferences();
+            }
+          };
+        });
+      };
+
+      transaction.oncomplete = () => {
+        console.log(
+          `[StorageManager] Imported session ${newSessionId} with ${messages.length} messages.`
+        );
+        resolve(newSessionId);
+      };
+      transaction.onerror = (event) => {
+        console.error("Session import transaction failed:", event.target.error);
+        reject(event.target.error);
+      };
+    });
+  }
+
   /**
    * Creates a new chat session in the database.
    * @param {string} [name] - Optional name for the session.
+   * @param {{systemInstruction?: string, personaId?: number}} [options={}] - Optional system instruction
+   *   for the session and the persona it was taken from.
    * @returns {Promise<number>} A promise resolving to the ID of the newly created session.
    */
-  async createNewSession(name) {
+  async createNewSession(name, options = {}) {
     if (!this.db) await this.openDb();
     return new Promise((resolve, reject) => {
       const transaction = this.db.transaction(
@@ -173,9 +714,15 @@ export class StorageManager {
         "readwrite"
       );
       const store = transaction.objectStore(SESSION_STORE_NAME);
+      const now = new Date().toISOString();
       const newSession = {
         name: name || `Chat ${new Date().toLocaleString()}`,
-        createdAt: new Date().toISOString(),
+        createdAt: now,
+        updatedAt: now,
+        pinned: false,
+        folder: null,
+        systemInstruction: options.systemInstruction || null,
+        personaId: options.personaId ?? null,
       };
       const request = store.add(newSession);
 
@@ -191,6 +738,97 @@ export class StorageManager {
     });
   }
 
+  /**
+   * Updates the user-editable properties of a session.
+   * @param {number} sessionId - The ID of the session.
+   * @param {{name?: string, titleSource?: string, pinned?: boolean, folder?: string | null,
+   *   systemInstruction?: string | null, personaId?: number | null, generationConfig?: object | null,
+   *   safetySettings?: Array<{category: string, threshold: string}> | null}} changes -
+   *   The properties to change.
+   * @returns {Promise<object>} A promise resolving to the updated session record.
+   */
+  async updateSession(sessionId, changes) {
+    if (!this.db) await this.openDb();
+    if (!sessionId) return Promise.reject("Invalid session ID for update.");
+
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction(
+        [SESSION_STORE_NAME],
+        "readwrite"
+      );
+      const store = transaction.objectStore(SESSION_STORE_NAME);
+      let updatedSession = null;
+
+      store.get(sessionId).onsuccess = (event) => {
+        const session = event.target.result;
+        if (!session) {
+          transaction.abort();
+          return;
+        }
+        [
+          "name",
+          "titleSource",
+          "pinned",
+          "folder",
+          "systemInstruction",
+          "personaId",
+          "generationConfig",
+          "safetySettings",
+        ].forEach((key) => {
+          if (key in changes) session[key] = changes[key];
+        });
+        updatedSession = session;
+        store.put(session);
+      };
+
+      transaction.oncomplete = () => {
+        console.log(`[StorageManager] Session ${sessionId} updated:`, changes);
+        resolve(updatedSession);
+      };
+      transaction.onabort = () => {
+        reject(`Session ${sessionId} not found.`);
+      };
+    });
+  }
+
+  /**
+   * Sets an automatic title, unless the session was titled meanwhile (e.g. renamed by the user while the
+   * title was generated). The check and the write happen in one transaction.
+   * @param {number} sessionId - The ID of the session.
+   * @param {string} title - The generated title.
+   * @returns {Promise<boolean>} True if the title was set; false if the session is gone or already titled.
+   */
+  async setAutoTitle(sessionId, title) {
+    if (!this.db) await this.openDb();
+
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction(
+        [SESSION_STORE_NAME],
+        "readwrite"
+      );
+      const store = transaction.objectStore(SESSION_STORE_NAME);
+      let titled = false;
+
+      store.get(sessionId).onsuccess = (event) => {
+        const session = event.target.result;
+        if (!session || session.titleSource) return;
+        session.name = title;
+        session.titleSource = "auto";
+        store.put(session);
+        titled = true;
+      };
+
+      transaction.oncomplete = () => resolve(titled);
+      transaction.onerror = (event) => {
+        console.error(
+          `Error setting title of session ${sessionId}:`,
+          event.target.error
+        );
+        reject(event.target.error);
+      };
+    });
+  }
+
   /**
    * Deletes a session and all its associated messages from the database.
    * @param {number} sessionIdToDelete - The ID of the session to delete.
@@ -204,12 +842,19 @@ export class StorageManager {
 
     return new Promise((resolve, reject) => {
       const transaction = this.db.transaction(
-        [SESSION_STORE_NAME, MSG_STORE_NAME],
+        [
+          SESSION_STORE_NAME,
+          MSG_STORE_NAME,
+          SEARCH_INDEX_STORE_NAME,
+          BLOB_STORE_NAME,
+        ],
         "readwrite"
       );
       const sessionStore = transaction.objectStore(SESSION_STORE_NAME);
       const messageStore = transaction.objectStore(MSG_STORE_NAME);
       const messageIndex = messageStore.index("sessionId");
+      const blobRefChanges = new Map();
+      const searchStore = transaction.objectStore(SEARCH_INDEX_STORE_NAME);
 
       // 1. Delete session entry
       const deleteSessionRequest = sessionStore.delete(sessionIdToDelete);
@@ -221,7 +866,7 @@ export class StorageManager {
         console.log("Session entry deleted:", sessionIdToDelete);
       };
 
-      // 2. Delete associated messages
+      // 2. Delete associated messages, releasing their attachments
       const deleteMessagesRequest = messageIndex.openCursor(
         IDBKeyRange.only(sessionIdToDelete)
       );
@@ -230,10 +875,12 @@ export class StorageManager {
       deleteMessagesRequest.onsuccess = (event) => {
         const cursor = event.target.result;
         if (cursor) {
+          this._countBlobRefs(cursor.value.contentParts, blobRefChanges, -1);
           cursor.delete();
           deletedMessagesCount++;
           cursor.continue();
         } else {
+          this._applyBlobRefChanges(transaction, blobRefChanges);
           console.log(
             `Deleted ${deletedMessagesCount} messages for session ${sessionIdToDelete}.`
           );
@@ -243,7 +890,16 @@ export class StorageManager {
         console.error("Error iterating/deleting messages:", event.target.error);
       };
 
-      // 3. Handle transaction completion
+      // 3. Delete the session's search index entries
+      searchStore
+        .index("sessionId")
+        .getAllKeys(IDBKeyRange.only(sessionIdToDelete)).onsuccess = (
+        event
+      ) => {
+        event.target.result.forEach((key) => searchStore.delete(key));
+      };
+
+      // 4. Handle transaction completion
       transaction.oncomplete = () => {
         console.log("Session deletion transaction completed.");
         resolve();
@@ -260,82 +916,242 @@ export class StorageManager {
   }
 
   /**
-   * Retrieves all messages for a specific session, formatted for the Gemini API history.
+   * Retrieves the messages on the currently selected branch of a session, formatted for the Gemini API history.
    * @param {number} sessionId - The ID of the session.
    * @returns {Promise<Array<{role: string, parts: Array<object>}>>} Formatted history array.
    */
   async getFormattedHistoryForSession(sessionId) {
-    if (!this.db) await this.openDb();
     if (!sessionId) return Promise.resolve([]);
+    const activePath = await this.getRawMessagesForSession(sessionId);
+    return this._resolveHistoryBlobs(this._formatHistory(activePath));
+  }
+
+  /**
+   * Retrieves the raw message objects on the currently selected branch of a session, from the root to the leaf.
+   * Each returned message is annotated with a transient `siblingIds` array (IDs of all messages sharing its
+   * parent, oldest first, including itself) for branch navigation; it is not persisted.
+   * A model message from a multi-candidate response that is still awaiting the user's pick (`candidatePending`)
+   * is also annotated with `candidates`: the messages of its candidate group, oldest first.
+   * @param {number} sessionId - The ID of the session.
+   * @returns {Promise<Array<object>>} Array of raw message objects along the active path.
+   */
+  async getRawMessagesForSession(sessionId) {
+    if (!sessionId) return Promise.resolve([]);
+    const { session, messages } = await this._loadSessionTree(sessionId);
+    const activePath = this._resolveActivePath(session, messages);
+    console.log(
+      `[StorageManager] Loaded ${activePath.length} of ${messages.length} messages on the active path of session ${sessionId}.`
+    );
+    return activePath;
+  }
+
+  /**
+   * Retrieves every message of a session, across all branches, sorted by timestamp.
+   * @param {number} sessionId - The ID of the session.
+   * @returns {Promise<Array<object>>} Array of raw message objects.
+   */
+  async getAllMessagesForSession(sessionId) {
+    if (!sessionId) return Promise.resolve([]);
+    const { messages } = await this._loadSessionTree(sessionId);
+    return messages;
+  }
+
+  /**
+   * Searches the text of all messages in all sessions (including inactive branches).
+   * Every query term must match (as a prefix of an indexed term).
+   * @param {string} query - The search text.
+   * @param {number} [limit=50] - Maximum number of results.
+   * @returns {Promise<Array<{messageId: number, sessionId: number, sessionName: string, sender: string,
+   *   timestamp: string, snippet: string}>>} Matching messages, newest first.
+   */
+  async searchMessages(query, limit = 50) {
+    if (!this.db) await this.openDb();
+    const terms = SearchIndexer.tokenize(query || "");
+    if (terms.length === 0) return [];
 
     return new Promise((resolve, reject) => {
-      const transaction = this.db.transaction([MSG_STORE_NAME], "readonly");
-      const store = transaction.objectStore(MSG_STORE_NAME);
-      const index = store.index("sessionId");
-      const request = index.getAll(IDBKeyRange.only(sessionId));
+      const transaction = this.db.transaction(
+        [SEARCH_INDEX_STORE_NAME, MSG_STORE_NAME, SESSION_STORE_NAME],
+        "readonly"
+      );
+      const searchStore = transaction.objectStore(SEARCH_INDEX_STORE_NAME);
+      const matchesPerTerm = [];
+      const results = [];
+
+      // 2. Load the messages matching every term (newest IDs first) and their sessions
+      const loadMatches = () => {
+        matchesPerTerm.sort((a, b) => a.size - b.size);
+        const [smallest, ...others] = matchesPerTerm;
+        const messageIds = [...smallest]
+          .filter((id) => others.every((matches) => matches.has(id)))
+          .sort((a, b) => b - a)
+          .slice(0, limit);
+
+        const sessionNames = new Map();
+        messageIds.forEach((messageId) => {
+          transaction.objectStore(MSG_STORE_NAME).get(messageId).onsuccess = (
+            event
+          ) => {
+            const msg = event.target.result;
+            if (!msg) return;
+            const result = {
+              messageId,
+              sessionId: msg.sessionId,
+              sessionName: null,
+              sender: msg.sender,
+              timestamp: msg.timestamp,
+              snippet: SearchIndexer.makeSnippet(
+                SearchIndexer.extractText(msg.contentParts),
+                terms
+              ),
+            };
+            results.push(result);
+            if (!sessionNames.has(msg.sessionId)) {
+              sessionNames.set(msg.sessionId, null);
+              transaction
+                .objectStore(SESSION_STORE_NAME)
+                .get(msg.sessionId).onsuccess = (sessionEvent) => {
+                const session = sessionEvent.target.result;
+                sessionNames.set(
+                  msg.sessionId,
+                  session?.name ||
+                    `Session ${new Date(session?.createdAt).toLocaleString()}`
+                );
+              };
+            }
+          };
+        });
 
-      request.onsuccess = (event) => {
-        const messages = event.target.result || [];
-        messages.sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
-        const formattedHistory = messages.map((msg) => ({
-          role: msg.sender === "user" ? "user" : "model",
-          parts: Array.isArray(msg.contentParts) ? msg.contentParts : [],
-        }));
-        resolve(formattedHistory);
+        transaction.oncomplete = () => {
+          results.forEach((result) => {
+            result.sessionName = sessionNames.get(result.sessionId);
+          });
+          results.sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+          resolve(results);
+        };
       };
 
-      request.onerror = (event) => {
-        console.error(
-          "Error getting formatted history from DB:",
-          event.target.error
-        );
+      // 1. Collect the message IDs for each term (prefix match on the [term, messageId] key)
+      terms.forEach((term) => {
+        searchStore.getAllKeys(
+          IDBKeyRange.bound([term], [term + "\uffff"])
+        ).onsuccess = (event) => {
+          matchesPerTerm.push(
+            new Set(event.target.result.map((key) => key[1]))
+          );
+          if (matchesPerTerm.length === terms.length) {
+            loadMatches();
+          }
+        };
+      });
+
+      transaction.onerror = (event) => {
+        console.error("Error searching messages:", event.target.error);
         reject(event.target.error);
       };
     });
   }
 
   /**
-   * Retrieves all raw message objects for a specific session, sorted by timestamp.
+   * Makes a message (and each of its ancestors) the selected one among its siblings, switching the
+   * session's active path to the message's branch.
+   * Below the message, the path follows each node's previously selected child.
    * @param {number} sessionId - The ID of the session.
-   * @returns {Promise<Array<object>>} Array of raw message objects.
+   * @param {number} messageId - The ID of the message to select.
+   * @returns {Promise<void>}
    */
-  async getRawMessagesForSession(sessionId) {
-    if (!this.db) await this.openDb();
-    if (!sessionId) return Promise.resolve([]);
+  async selectBranch(sessionId, messageId) {
+    if (!sessionId || !messageId)
+      return Promise.reject(
+        "Invalid session or message ID for branch selection."
+      );
+
+    const { messages } = await this._loadSessionTree(sessionId);
+    const ancestry = this._getAncestry(messages, messageId);
 
     return new Promise((resolve, reject) => {
-      const transaction = this.db.transaction([MSG_STORE_NAME], "readonly");
+      if (ancestry.length === 0) {
+        reject(`Message ${messageId} not found in session ${sessionId}.`);
+        return;
+      }
+      const transaction = this.db.transaction(
+        [SESSION_STORE_NAME, MSG_STORE_NAME],
+        "readwrite"
+      );
+      ancestry.forEach((msg) =>
+        this._setActiveChild(transaction, sessionId, msg.parentId, msg.id)
+      );
+
+      transaction.oncomplete = () => {
+        console.log(
+          `[StorageManager] Selected branch at message ${messageId} in session ${sessionId}.`
+        );
+        resolve();
+      };
+      transaction.onerror = (event) => {
+        console.error(
+          `Error selecting branch at message ${messageId}:`,
+          event.target.error
+        );
+        reject(event.target.error);
+      };
+    });
+  }
+
+  /**
+   * Resolves a side-by-side candidate comparison: the chosen candidate becomes the selected model turn and
+   * the other candidates of its group stay as alternates, reachable through the sibling navigation.
+   * @param {number} sessionId - The ID of the session.
+   * @param {number} messageId - The ID of the chosen candidate message.
+   * @returns {Promise<void>}
+   */
+  async pickCandidate(sessionId, messageId) {
+    const { messages } = await this._loadSessionTree(sessionId);
+    const chosen = messages.find((msg) => msg.id === messageId);
+    if (!chosen) {
+      return Promise.reject(
+        `Message ${messageId} not found in session ${sessionId}.`
+      );
+    }
+    const group = messages.filter(
+      (msg) =>
+        msg.candidatePending &&
+        msg.parentId === chosen.parentId &&
+        msg.candidateGroup === chosen.candidateGroup
+    );
+
+    await new Promise((resolve, reject) => {
+      const transaction = this.db.transaction([MSG_STORE_NAME], "readwrite");
       const store = transaction.objectStore(MSG_STORE_NAME);
-      const index = store.index("sessionId");
-      const request = index.getAll(IDBKeyRange.only(sessionId));
-
-      request.onsuccess = (event) => {
-        const messages = event.target.result || [];
-        messages.sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
-        console.log(
-          `[StorageManager] Loaded ${messages.length} raw messages for session ${sessionId} from DB.`
-        );
-        // Log timestamps after sorting
-        // console.log("[StorageManager] Timestamps after sort:", messages.map(m => ({id: m.id, ts: m.timestamp})));
-        resolve(messages);
-      };
-      request.onerror = (event) => {
+      group.forEach((msg) => {
+        delete msg.candidatePending;
+        store.put(msg);
+      });
+      transaction.oncomplete = () => resolve();
+      transaction.onerror = (event) => {
         console.error(
-          "Error getting raw messages from DB:",
+          `Error resolving candidates of message ${messageId}:`,
           event.target.error
         );
         reject(event.target.error);
       };
     });
+    await this.selectBranch(sessionId, messageId);
+    console.log(
+      `[StorageManager] Picked candidate ${messageId} out of ${group.length} in session ${sessionId}.`
+    );
   }
 
   /**
    * Saves a single message to the database for a given session.
+   * The message becomes the selected child of its parent, so it ends the session's active path.
    * @param {object} message - The message object { sender: string, contentParts: Array<object> }.
    * @param {number} sessionId - The ID of the session to associate the message with.
+   * @param {number | null} [parentId] - The parent message ID (null for a root message). Defaults to the
+   *   last message on the active path, i.e. the message continues the current branch.
    * @returns {Promise<number>} A promise resolving to the ID of the saved message.
    */
-  async saveMessage(message, sessionId) {
+  async saveMessage(message, sessionId, parentId = undefined) {
     if (!this.db) await this.openDb();
     if (!sessionId)
       return Promise.reject("Cannot save message without a session ID.");
@@ -343,26 +1159,9 @@ export class StorageManager {
       return Promise.reject("Invalid message format for saving.");
     }
 
-    // Ensure parts are serializable (convert data URLs back if needed, though unlikely here)
-    const serializableParts = message.contentParts
-      .map((part) => {
-        if (part.text) return { text: part.text };
-        if (part.inlineData) {
-          let base64Data = part.inlineData.data;
-          // Assuming data is already base64 here, but check just in case
-          if (base64Data.startsWith("data:")) {
-            base64Data = base64Data.split(",")[1];
-          }
-          return {
-            inlineData: {
-              mimeType: part.inlineData.mimeType,
-              data: base64Data,
-            },
-          };
-        }
-        return null; // Exclude other types like fileData
-      })
-      .filter((part) => part !== null);
+    // Ensure parts are serializable; attachments move to the blob store
+    const { parts: serializableParts, blobRefChanges } =
+      await this._toStoredParts(message.contentParts);
 
     // Only save if there are valid parts
     if (serializableParts.length === 0) {
@@ -370,29 +1169,70 @@ export class StorageManager {
       return Promise.resolve(); // Nothing to save
     }
 
+    if (parentId === undefined) {
+      const activePath = await this.getRawMessagesForSession(sessionId);
+      parentId = activePath.length
+        ? activePath[activePath.length - 1].id
+        : null;
+    }
+
     return new Promise((resolve, reject) => {
-      const transaction = this.db.transaction([MSG_STORE_NAME], "readwrite");
+      const transaction = this.db.transaction(
+        [
+          SESSION_STORE_NAME,
+          MSG_STORE_NAME,
+          SEARCH_INDEX_STORE_NAME,
+          BLOB_STORE_NAME,
+        ],
+        "readwrite"
+      );
       const store = transaction.objectStore(MSG_STORE_NAME);
+      this._applyBlobRefChanges(transaction, blobRefChanges);
       const messageToSave = {
         ...message, // Spread original sender
         contentParts: serializableParts, // Use sanitized parts
         timestamp: new Date().toISOString(),
         sessionId: sessionId,
+        parentId: parentId,
+      };
+
+      // Record the session's last activity. Issued before the add, so its put completes before
+      // `_setActiveChild` reads the session record (requests run in the order they are made).
+      const sessionStore = transaction.objectStore(SESSION_STORE_NAME);
+      sessionStore.get(sessionId).onsuccess = (event) => {
+        const session = event.target.result;
+        if (!session) return;
+        session.updatedAt = messageToSave.timestamp;
+        sessionStore.put(session);
       };
+
       const request = store.add(messageToSave);
+      let savedMessageId = null;
 
       request.onsuccess = (event) => {
-        const savedMessageId = event.target.result;
+        savedMessageId = event.target.result;
+        this._setActiveChild(transaction, sessionId, parentId, savedMessageId);
+        this._indexMessage(
+          transaction,
+          savedMessageId,
+          sessionId,
+          serializableParts
+        );
+      };
+
+      transaction.oncomplete = () => {
         console.log(
           "[StorageManager] Message saved to DB for session:",
           sessionId,
           "with ID:",
-          savedMessageId
+          savedMessageId,
+          "parent:",
+          parentId
         );
         resolve(savedMessageId);
       };
 
-      request.onerror = (event) => {
+      transaction.onerror = (event) => {
         console.error("Error saving message to DB:", event.target.error);
         reject(event.target.error);
       };
@@ -411,25 +1251,9 @@ export class StorageManager {
     if (!Array.isArray(newContentParts))
       return Promise.reject("Invalid contentParts for update.");
 
-    // Ensure parts are serializable (similar to saveMessage)
-    const serializableParts = newContentParts
-      .map((part) => {
-        if (part.text) return { text: part.text };
-        if (part.inlineData) {
-          let base64Data = part.inlineData.data;
-          if (base64Data.startsWith("data:")) {
-            base64Data = base64Data.split(",")[1];
-          }
-          return {
-            inlineData: {
-              mimeType: part.inlineData.mimeType,
-              data: base64Data,
-            },
-          };
-        }
-        return null;
-      })
-      .filter((part) => part !== null);
+    // Ensure parts are serializable (as in saveMessage)
+    const { parts: serializableParts, blobRefChanges } =
+      await this._toStoredParts(newContentParts);
 
     if (serializableParts.length === 0) {
       console.warn(
@@ -442,7 +1266,10 @@ export class StorageManager {
     }
 
     return new Promise((resolve, reject) => {
-      const transaction = this.db.transaction([MSG_STORE_NAME], "readwrite");
+      const transaction = this.db.transaction(
+        [MSG_STORE_NAME, SEARCH_INDEX_STORE_NAME, BLOB_STORE_NAME],
+        "readwrite"
+      );
       const store = transaction.objectStore(MSG_STORE_NAME);
       const request = store.get(messageId);
 
@@ -463,9 +1290,19 @@ export class StorageManager {
             `[StorageManager] Timestamp BEFORE update for message ${messageId}: ${originalTimestamp}`
           );
 
-          // Update only the contentParts
+          // Update only the contentParts; attachments no longer used are released
+          this._countBlobRefs(message.contentParts, blobRefChanges, -1);
+          this._applyBlobRefChanges(transaction, blobRefChanges);
           message.contentParts = serializableParts;
           const updateRequest = store.put(message); // Put the modified object back
+          this._unindexMessage(transaction, messageId, () =>
+            this._indexMessage(
+              transaction,
+              messageId,
+              message.sessionId,
+              serializableParts
+            )
+          );
 
           updateRequest.onerror = (event) => {
             console.error(
@@ -493,32 +1330,29 @@ export class StorageManager {
   }
 
   /**
-   * Finds the ID of the most recent user message preceding a given model message ID within a session.
+   * Finds the ID of the nearest user message above a given model message in the conversation tree.
    * @param {number} sessionId - The ID of the session.
    * @param {number} modelMessageId - The ID of the model message.
    * @returns {Promise<number | null>} The ID of the preceding user message, or null if not found.
    */
   async findPreviousUserMessage(sessionId, modelMessageId) {
-    if (!this.db) await this.openDb();
     if (!sessionId || !modelMessageId) return Promise.resolve(null);
 
     try {
-      const messages = await this.getRawMessagesForSession(sessionId); // Already sorted by timestamp
-      const modelMessageIndex = messages.findIndex(
-        (msg) => msg.id === modelMessageId
-      );
+      const { messages } = await this._loadSessionTree(sessionId);
+      const ancestry = this._getAncestry(messages, modelMessageId);
 
-      if (modelMessageIndex === -1) {
+      if (ancestry.length === 0) {
         console.warn(
           `Model message ${modelMessageId} not found in session ${sessionId}.`
         );
         return null;
       }
 
-      // Search backwards from the model message
-      for (let i = modelMessageIndex - 1; i >= 0; i--) {
-        if (messages[i].sender === "user") {
-          return messages[i].id;
+      // Search upwards from the model message's parent
+      for (let i = ancestry.length - 2; i >= 0; i--) {
+        if (ancestry[i].sender === "user") {
+          return ancestry[i].id;
         }
       }
 
@@ -533,49 +1367,47 @@ export class StorageManager {
   }
 
   /**
-   * Retrieves messages for a session up to and including a specific message ID, formatted for API history.
+   * Retrieves the branch of messages from the root down to and including a specific message,
+   * formatted for API history.
    * @param {number} sessionId - The ID of the session.
    * @param {number} userMessageId - The ID of the last message to include.
+   * @param {boolean} [includeMessage=true] - False to stop right before the message, e.g. when it is
+   *   about to be sent as the new turn.
    * @returns {Promise<Array<{role: string, parts: Array<object>}>>} Formatted history array.
    */
-  async getHistoryUpToMessage(sessionId, userMessageId) {
-    if (!this.db) await this.openDb();
+  async getHistoryUpToMessage(sessionId, userMessageId, includeMessage = true) {
     if (!sessionId || !userMessageId) return Promise.resolve([]);
 
+    const { messages } = await this._loadSessionTree(sessionId);
+    const ancestry = this._getAncestry(messages, userMessageId);
+    if (ancestry.length === 0) {
+      console.warn(
+        `User message ${userMessageId} not found in session ${sessionId} for history truncation.`
+      );
+      return []; // Return empty if the target message isn't found
+    }
+    return this._resolveHistoryBlobs(
+      this._formatHistory(includeMessage ? ancestry : ancestry.slice(0, -1))
+    );
+  }
+
+  /**
+   * Retrieves the parent ID of a message.
+   * @param {number} messageId - The ID of the message.
+   * @returns {Promise<number | null | undefined>} The parent ID (null for a root message), or undefined if not found.
+   */
+  async getParentId(messageId) {
+    if (!this.db) await this.openDb();
     return new Promise((resolve, reject) => {
       const transaction = this.db.transaction([MSG_STORE_NAME], "readonly");
-      const store = transaction.objectStore(MSG_STORE_NAME);
-      const index = store.index("sessionId");
-      const request = index.getAll(IDBKeyRange.only(sessionId));
-
+      const request = transaction.objectStore(MSG_STORE_NAME).get(messageId);
       request.onsuccess = (event) => {
-        const messages = event.target.result || [];
-        messages.sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
-
-        const userMessageIndex = messages.findIndex(
-          (msg) => msg.id === userMessageId
-        );
-        if (userMessageIndex === -1) {
-          console.warn(
-            `User message ${userMessageId} not found in session ${sessionId} for history truncation.`
-          );
-          resolve([]); // Return empty if the target message isn't found
-          return;
-        }
-
-        // Include messages up to and including the user message
-        const truncatedMessages = messages.slice(0, userMessageIndex + 1);
-
-        const formattedHistory = truncatedMessages.map((msg) => ({
-          role: msg.sender === "user" ? "user" : "model",
-          parts: Array.isArray(msg.contentParts) ? msg.contentParts : [],
-        }));
-        resolve(formattedHistory);
+        const message = event.target.result;
+        resolve(message ? message.parentId ?? null : undefined);
       };
-
       request.onerror = (event) => {
         console.error(
-          "Error getting truncated history from DB:",
+          `Error getting parent of message ${messageId}:`,
           event.target.error
         );
         reject(event.target.error);
@@ -584,7 +1416,8 @@ export class StorageManager {
   }
 
   /**
-   * Retrieves the contentParts of a specific message by its ID.
+   * Retrieves the contentParts of a specific message by its ID, as stored: attachments are `blobRef`
+   * parts (see `resolveBlobParts`).
    * @param {number} sessionId - The ID of the session (optional, for context).
    * @param {number} messageId - The ID of the message to retrieve.
    * @returns {Promise<Array<object> | null>} The contentParts array or null if not found.
@@ -628,28 +1461,51 @@ export class StorageManager {
   }
 
   /**
-   * Deletes a specific message from the database by its ID.
-   * @param {number} sessionId - The ID of the session (for logging/context).
+   * Deletes a message and all replies branching from it (its whole subtree) from the database.
+   * @param {number} sessionId - The ID of the session the message belongs to.
    * @param {number} messageId - The ID of the message to delete.
    * @returns {Promise<void>}
    */
   async deleteMessage(sessionId, messageId) {
-    if (!this.db) await this.openDb();
     if (!messageId) return Promise.reject("Invalid message ID for deletion.");
 
+    const { messages } = await this._loadSessionTree(sessionId);
+    const idsToDelete = [messageId];
+    for (let i = 0; i < idsToDelete.length; i++) {
+      messages
+        .filter((msg) => msg.parentId === idsToDelete[i])
+        .forEach((child) => idsToDelete.push(child.id));
+    }
+
+    const blobRefChanges = new Map();
+    messages
+      .filter((msg) => idsToDelete.includes(msg.id))
+      .forEach((msg) =>
+        this._countBlobRefs(msg.contentParts, blobRefChanges, -1)
+      );
+
     return new Promise((resolve, reject) => {
-      const transaction = this.db.transaction([MSG_STORE_NAME], "readwrite");
+      const transaction = this.db.transaction(
+        [MSG_STORE_NAME, SEARCH_INDEX_STORE_NAME, BLOB_STORE_NAME],
+        "readwrite"
+      );
       const store = transaction.objectStore(MSG_STORE_NAME);
-      const request = store.delete(messageId);
+      idsToDelete.forEach((id) => {
+        store.delete(id);
+        this._unindexMessage(transaction, id);
+      });
+      this._applyBlobRefChanges(transaction, blobRefChanges);
 
-      request.onsuccess = () => {
+      transaction.oncomplete = () => {
         console.log(
-          `[StorageManager] Message ${messageId} deleted from session ${sessionId}.`
+          `[StorageManager] Message ${messageId} and ${
+            idsToDelete.length - 1
+          } descendants deleted from session ${sessionId}.`
         );
         resolve();
       };
 
-      request.onerror = (event) => {
+      transaction.onerror = (event) => {
         console.error(
           `Error deleting message ${messageId}:`,
           event.target.error
@@ -658,4 +1514,546 @@ export class StorageManager {
       };
     });
   }
+
+  /**
+   * Retrieves the content of an attachment from the blob store.
+   * @param {string} hash - The SHA-256 of the attachment (from a `blobRef` part).
+   * @returns {Promise<Blob | undefined>} The attachment, or undefined if it is not stored.
+   */
+  async getBlob(hash) {
+    if (!this.db) await this.openDb();
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction([BLOB_STORE_NAME], "readonly");
+      const request = transaction.objectStore(BLOB_STORE_NAME).get(hash);
+      request.onsuccess = (event) => resolve(event.target.result?.data);
+      request.onerror = (event) => {
+        console.error(`Error getting blob ${hash}:`, event.target.error);
+        reject(event.target.error);
+      };
+    });
+  }
+
+  /**
+   * Replaces the `blobRef` parts of a message with the attachments' `inlineData`, as sent to the API.
+   * Recently used attachments are served from memory.
+   * @param {Array<object>} parts - Stored message parts.
+   * @returns {Promise<Array<object>>} The parts to send (the same array if it has no blob references).
+   */
+  async resolveBlobParts(parts) {
+    if (!parts.some((part) => part.blobRef)) return parts;
+    return Promise.all(
+      parts.map(async (part) => {
+        if (!part.blobRef) return part;
+        const { hash, mimeType } = part.blobRef;
+        const data = await this._getBlobData(hash);
+        if (data === null) {
+          console.warn(`[StorageManager] Blob ${hash} is missing.`);
+          return { text: "[Attachment is missing from local storage.]" };
+        }
+        return { inlineData: { mimeType, data } };
+      })
+    );
+  }
+
+  /**
+   * Summarizes the space used by the stored chats. A blob shared by several sessions counts for each of them.
+   * Blobs and messages are read through cursors: only blob sizes and the messages' blob references are kept.
+   * @returns {Promise<{usage: number | null, quota: number | null, blobCount: number, blobBytes: number,
+   *   referencedBytes: number, sessions: Array<{sessionId: number, name: string, attachmentCount: number,
+   *   attachmentBytes: number}>}>} The browser's estimate for the whole site (null if unavailable), the
+   *   blob store totals (`referencedBytes` is what the attachments would take without deduplication) and
+   *   the sessions with attachments, largest first.
+   */
+  async getStorageUsage() {
+    if (!this.db) await this.openDb();
+    const estimate = await (
+      navigator.storage?.estimate?.() ?? Promise.resolve({})
+    ).catch(() => ({}));
+
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction(
+        [BLOB_STORE_NAME, MSG_STORE_NAME, SESSION_STORE_NAME],
+        "readonly"
+      );
+      const blobSizes = new Map(); // hash -> size
+      const referenceCounts = new Map(); // hash -> number of message parts using it
+      const hashesBySession = new Map(); // sessionId -> Set of hashes
+
+      // A key cursor on the size index yields each blob's size and hash without its record
+      const blobCursorRequest = transaction
+        .objectStore(BLOB_STORE_NAME)
+        .index("size")
+        .openKeyCursor();
+      blobCursorRequest.onsuccess = (event) => {
+        const cursor = event.target.result;
+        if (!cursor) return;
+        blobSizes.set(cursor.primaryKey, cursor.key);
+        cursor.continue();
+      };
+      // Messages are read one at a time, keeping only their blob references
+      const msgCursorRequest = transaction
+        .objectStore(MSG_STORE_NAME)
+        .openCursor();
+      msgCursorRequest.onsuccess = (event) => {
+        const cursor = event.target.result;
+        if (!cursor) return;
+        const { sessionId, contentParts } = cursor.value;
+        (contentParts || [])
+          .filter((part) => part.blobRef)
+          .forEach(({ blobRef }) => {
+            referenceCounts.set(
+              blobRef.hash,
+              (referenceCounts.get(blobRef.hash) || 0) + 1
+            );
+            if (!hashesBySession.has(sessionId)) {
+              hashesBySession.set(sessionId, new Set());
+            }
+            hashesBySession.get(sessionId).add(blobRef.hash);
+          });
+        cursor.continue();
+      };
+      const sessionsRequest = transaction
+        .objectStore(SESSION_STORE_NAME)
+        .getAll();
+
+      transaction.oncomplete = () => {
+        const sessions = (sessionsRequest.result || [])
+          .filter((session) => hashesBySession.has(session.id))
+          .map((session) => {
+            const hashes = [...hashesBySession.get(session.id)];
+            return {
+              sessionId: session.id,
+              name:
+                session.name ||
+                `Session ${new Date(session.createdAt).toLocaleString()}`,
+              attachmentCount: hashes.length,
+              attachmentBytes: hashes.reduce(
+                (total, hash) => total + (blobSizes.get(hash) || 0),
+                0
+              ),
+            };
+          })
+          .sort((a, b) => b.attachmentBytes - a.attachmentBytes);
+
+        resolve({
+          usage: estimate.usage ?? null,
+          quota: estimate.quota ?? null,
+          blobCount: blobSizes.size,
+          blobBytes: [...blobSizes.values()].reduce(
+            (total, size) => total + size,
+            0
+          ),
+          referencedBytes: [...referenceCounts].reduce(
+            (total, [hash, count]) =>
+              total + (blobSizes.get(hash) || 0) * count,
+            0
+          ),
+          sessions,
+        });
+      };
+      transaction.onerror = (event) => {
+        console.error("Error computing storage usage:", event.target.error);
+        reject(event.target.error);
+      };
+    });
+  }
+
+  /**
+   * Loads a session record and all of its messages (sorted by timestamp) in one transaction.
+   * @param {number} sessionId - The ID of the session.
+   * @returns {Promise<{session: object | undefined, messages: Array<object>}>}
+   * @private
+   */
+  async _loadSessionTree(sessionId) {
+    if (!this.db) await this.openDb();
+
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction(
+        [SESSION_STORE_NAME, MSG_STORE_NAME],
+        "readonly"
+      );
+      const sessionRequest = transaction
+        .objectStore(SESSION_STORE_NAME)
+        .get(sessionId);
+      const messagesRequest = transaction
+        .objectStore(MSG_STORE_NAME)
+        .index("sessionId")
+        .getAll(IDBKeyRange.only(sessionId));
+
+      transaction.oncomplete = () => {
+        const messages = messagesRequest.result || [];
+        messages.sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+        resolve({ session: sessionRequest.result, messages });
+      };
+      transaction.onerror = (event) => {
+        console.error(
+          `Error loading messages for session ${sessionId}:`,
+          event.target.error
+        );
+        reject(event.target.error);
+      };
+    });
+  }
+
+  /**
+   * Walks the conversation tree from the root along the selected children.
+   * A node's selected child is its `activeChildId` (the session's `activeRootId` for roots),
+   * falling back to the newest child when unset or stale.
+   * @param {object | undefined} session - The session record.
+   * @param {Array<object>} messages - All messages of the session, sorted by timestamp.
+   * @returns {Array<object>} The active path, each message annotated with `siblingIds` (and `candidates`
+   *   for a pending candidate comparison).
+   * @private
+   */
+  _resolveActivePath(session, messages) {
+    const childrenByParent = new Map();
+    messages.forEach((msg) => {
+      const key = msg.parentId ?? null;
+      if (!childrenByParent.has(key)) childrenByParent.set(key, []);
+      childrenByParent.get(key).push(msg);
+    });
+
+    const activePath = [];
+    let children = childrenByParent.get(null) || [];
+    let selectedId = session?.activeRootId;
+    while (children.length > 0) {
+      const selected =
+        children.find((msg) => msg.id === selectedId) ||
+        children[children.length - 1];
+      activePath.push({
+        ...selected,
+        siblingIds: children.map((msg) => msg.id),
+        ...(selected.candidatePending && {
+          candidates: children.filter(
+            (msg) => msg.candidateGroup === selected.candidateGroup
+          ),
+        }),
+      });
+      children = childrenByParent.get(selected.id) || [];
+      selectedId = selected.activeChildId;
+    }
+    return activePath;
+  }
+
+  /**
+   * Collects a message and its ancestors, ordered from the root down to the message.
+   * @param {Array<object>} messages - All messages of the session.
+   * @param {number} messageId - The ID of the last message.
+   * @returns {Array<object>} The ancestry, or an empty array if the message isn't found.
+   * @private
+   */
+  _getAncestry(messages, messageId) {
+    const messagesById = new Map(messages.map((msg) => [msg.id, msg]));
+    const ancestry = [];
+    let current = messagesById.get(messageId);
+    while (current) {
+      ancestry.unshift(current);
+      current = messagesById.get(current.parentId);
+    }
+    return ancestry;
+  }
+
+  /**
+   * Formats stored messages as Gemini API history entries.
+   * @param {Array<object>} messages - Messages in conversation order.
+   * @returns {Array<{role: string, parts: Array<object>}>}
+   * @private
+   */
+  _formatHistory(messages) {
+    const history = [];
+    messages.forEach((msg) => {
+      const role = ["user", "function"].includes(msg.sender)
+        ? msg.sender
+        : "model";
+      let parts = this._replaceExpiredFiles(
+        Array.isArray(msg.contentParts) ? msg.contentParts : [],
+        msg.uploadedFiles
+      );
+      if (role === "model") parts = this._replaceGeneratedImages(parts);
+      const previous = history[history.length - 1];
+      // The SDK rejects consecutive turns of the same role, e.g. a user message whose reply was
+      // blocked or failed followed by the next user message; send them as one turn.
+      if (previous?.role === role) {
+        previous.parts = [...previous.parts, ...parts];
+      } else {
+        history.push({ role, parts });
+      }
+    });
+    return history;
+  }
+
+  /**
+   * Replaces references to expired File API uploads with a note, since the API rejects requests
+   * that use them. The stored message keeps the reference.
+   * @param {Array<object>} parts - The message parts.
+   * @param {Array<{fileUri: string, displayName: string, expirationTime: string}>} [uploadedFiles] - Upload
+   *   records of the message.
+   * @returns {Array<object>} The parts to send.
+   * @private
+   */
+  _replaceExpiredFiles(parts, uploadedFiles) {
+    if (!uploadedFiles?.length) return parts;
+    return parts.map((part) => {
+      const upload =
+        part.fileData &&
+        uploadedFiles.find((f) => f.fileUri === part.fileData.fileUri);
+      if (!upload || !FileUploader.isExpired(upload.expirationTime)) {
+        return part;
+      }
+      return {
+        text: `[Attachment "${upload.displayName}" is no longer available: its upload expired.]`,
+      };
+    });
+  }
+
+  /**
+   * Replaces the images of a model turn with a note, since the SDK rejects `inlineData` in model turns.
+   * To edit a generated image, it is sent again as an attachment of a user message.
+   * @param {Array<object>} parts - The message parts.
+   * @returns {Array<object>} The parts to send.
+   * @private
+   */
+  _replaceGeneratedImages(parts) {
+    return parts.map((part) =>
+      part.inlineData || part.blobRef
+        ? { text: "[Generated image, not included in the history.]" }
+        : part
+    );
+  }
+
+  /**
+   * Resolves the blob references in formatted history entries (see `resolveBlobParts`).
+   * @param {Array<{role: string, parts: Array<object>}>} history - History from `_formatHistory`.
+   * @returns {Promise<Array<{role: string, parts: Array<object>}>>}
+   * @private
+   */
+  async _resolveHistoryBlobs(history) {
+    return Promise.all(
+      history.map(async (entry) => ({
+        ...entry,
+        parts: await this.resolveBlobParts(entry.parts),
+      }))
+    );
+  }
+
+  /**
+   * Reads a blob as base64, through the in-memory cache.
+   * @param {string} hash - The SHA-256 of the blob.
+   * @returns {Promise<string | null>} The base64 data, or null if the blob is not stored.
+   * @private
+   */
+  async _getBlobData(hash) {
+    const cached = this.blobCache.get(hash);
+    if (cached !== undefined) {
+      // Move it to the end, so it is evicted last
+      this.blobCache.delete(hash);
+      this.blobCache.set(hash, cached);
+      return cached;
+    }
+    const blob = await this.getBlob(hash);
+    if (!blob) return null;
+    const data = await BlobUtils.blobToBase64(blob);
+    this._cacheBlobData(hash, data);
+    return data;
+  }
+
+  /**
+   * Keeps a blob's base64 data in memory, evicting the least recently used entries beyond `BLOB_CACHE_BYTES`.
+   * @param {string} hash - The SHA-256 of the blob.
+   * @param {string} data - The base64 data.
+   * @private
+   */
+  _cacheBlobData(hash, data) {
+    if (this.blobCache.has(hash) || data.length > BLOB_CACHE_BYTES) return;
+    this.blobCache.set(hash, data);
+    this.blobCacheBytes += data.length;
+    for (const [oldHash, oldData] of this.blobCache) {
+      if (this.blobCacheBytes <= BLOB_CACHE_BYTES) break;
+      this.blobCache.delete(oldHash);
+      this.blobCacheBytes -= oldData.length;
+    }
+  }
+
+  /**
+   * Converts message parts to their stored form. Inline attachments are hashed and replaced by `blobRef`
+   * parts; the references they add (and the new blobs) are collected for `_applyBlobRefChanges`.
+   * @param {Array<object>} contentParts - The parts to store.
+   * @param {Map<string, {delta: number, blob: Blob | null}>} [blobRefChanges] - Collected reference changes
+   *   to add to (a new map by default).
+   * @returns {Promise<{parts: Array<object>, blobRefChanges: Map<string, {delta: number, blob: Blob | null}>}>}
+   * @private
+   */
+  async _toStoredParts(contentParts, blobRefChanges = new Map()) {
+    const parts = await Promise.all(
+      contentParts.map(async (part) => {
+        if (part.text) return { text: part.text };
+        if (part.inlineData) {
+          const { mimeType } = part.inlineData;
+          let base64Data = part.inlineData.data;
+          // Assuming data is already base64 here, but check just in case
+          if (base64Data.startsWith("data:")) {
+            base64Data = base64Data.split(",")[1];
+          }
+          const bytes = BlobUtils.base64ToBytes(base64Data);
+          const hash = await BlobUtils.sha256(bytes);
+          this._cacheBlobData(hash, base64Data); // Usually sent right away
+          this._countBlobRef(
+            blobRefChanges,
+            hash,
+            1,
+            new Blob([bytes], { type: mimeType })
+          );
+          return { blobRef: { hash, mimeType, size: bytes.length } };
+        }
+        // Attachments kept from another message (e.g. an edited one)
+        if (part.blobRef) {
+          this._countBlobRef(blobRefChanges, part.blobRef.hash, 1);
+          return { blobRef: { ...part.blobRef } };
+        }
+        // Function calling turns (see ToolRegistry) are stored as they are
+        if (part.functionCall) return { functionCall: part.functionCall };
+        if (part.functionResponse)
+          return { functionResponse: part.functionResponse };
+        // Code execution tool parts
+        if (part.executableCode) return { executableCode: part.executableCode };
+        if (part.codeExecutionResult)
+          return { codeExecutionResult: part.codeExecutionResult };
+        // File API references (see FileUploader); their expiry is in the message's uploadedFiles
+        if (part.fileData)
+          return {
+            fileData: {
+              mimeType: part.fileData.mimeType,
+              fileUri: part.fileData.fileUri,
+            },
+          };
+        return null; // Exclude unknown part types
+      })
+    );
+    return { parts: parts.filter((part) => part !== null), blobRefChanges };
+  }
+
+  /**
+   * Adds the blob references of stored message parts to a set of reference changes.
+   * @param {Array<object> | undefined} contentParts - Stored message parts.
+   * @param {Map<string, {delta: number, blob: Blob | null}>} blobRefChanges - The changes to add to.
+   * @param {number} delta - +1 for added messages, -1 for removed ones.
+   * @private
+   */
+  _countBlobRefs(contentParts, blobRefChanges, delta) {
+    (contentParts || [])
+      .filter((part) => part.blobRef)
+      .forEach((part) =>
+        this._countBlobRef(blobRefChanges, part.blobRef.hash, delta)
+      );
+  }
+
+  /**
+   * @param {Map<string, {delta: number, blob: Blob | null}>} blobRefChanges - The changes to add to.
+   * @param {string} hash - The SHA-256 of the blob.
+   * @param {number} delta - The change of its reference count.
+   * @param {Blob} [blob] - The content, for a blob that may not be stored yet.
+   * @private
+   */
+  _countBlobRef(blobRefChanges, hash, delta, blob = null) {
+    const change = blobRefChanges.get(hash) || { delta: 0, blob: null };
+    change.delta += delta;
+    change.blob = change.blob || blob;
+    blobRefChanges.set(hash, change);
+  }
+
+  /**
+   * Within an open readwrite transaction, applies collected reference changes to the blob store:
+   * new blobs are added, and blobs left without references are deleted.
+   * Changes are collected per blob first, so each blob record is read and written once.
+   * @param {IDBTransaction} transaction - Transaction covering the blob store.
+   * @param {Map<string, {delta: number, blob: Blob | null}>} blobRefChanges - The changes.
+   * @private
+   */
+  _applyBlobRefChanges(transaction, blobRefChanges) {
+    const store = transaction.objectStore(BLOB_STORE_NAME);
+    blobRefChanges.forEach(({ delta, blob }, hash) => {
+      if (delta === 0) return;
+      store.get(hash).onsuccess = (event) => {
+        const record = event.target.result;
+        if (record) {
+          record.refCount += delta;
+          if (record.refCount > 0) {
+            store.put(record);
+          } else {
+            store.delete(hash);
+          }
+        } else if (blob && delta > 0) {
+          store.add({
+            hash,
+            mimeType: blob.type,
+            size: blob.size,
+            data: blob,
+            refCount: delta,
+            createdAt: new Date().toISOString(),
+          });
+        } else {
+          console.warn(
+            `[StorageManager] Blob ${hash} is missing; reference change ${delta} ignored.`
+          );
+        }
+      };
+    });
+  }
+
+  /**
+   * Within an open readwrite transaction, marks a message as the selected child of its parent
+   * (or as the session's selected root message when it has no parent).
+   * @param {IDBTransaction} transaction - Transaction covering the sessions and messages stores.
+   * @param {number} sessionId - The ID of the session.
+   * @param {number | null} parentId - The parent message ID, or null for a root message.
+   * @param {number} childId - The ID of the message to select.
+   * @private
+   */
+  _setActiveChild(transaction, sessionId, parentId, childId) {
+    const storeName = parentId == null ? SESSION_STORE_NAME : MSG_STORE_NAME;
+    const store = transaction.objectStore(storeName);
+    const request = store.get(parentId == null ? sessionId : parentId);
+    request.onsuccess = (event) => {
+      const record = event.target.result;
+      if (!record) return;
+      if (parentId == null) {
+        record.activeRootId = childId;
+      } else {
+        record.activeChildId = childId;
+      }
+      store.put(record);
+    };
+  }
+
+  /**
+   * Within an open readwrite transaction, adds the search index entries for a message.
+   * @param {IDBTransaction} transaction - Transaction covering the search index store.
+   * @param {number} messageId - The ID of the message.
+   * @param {number} sessionId - The ID of the message's session.
+   * @param {Array<object>} contentParts - The message parts to index.
+   * @private
+   */
+  _indexMessage(transaction, messageId, sessionId, contentParts) {
+    const store = transaction.objectStore(SEARCH_INDEX_STORE_NAME);
+    SearchIndexer.tokenize(SearchIndexer.extractText(contentParts)).forEach(
+      (term) => store.put({ term, messageId, sessionId })
+    );
+  }
+
+  /**
+   * Within an open readwrite transaction, removes all search index entries of a message.
+   * @param {IDBTransaction} transaction - Transaction covering the search index store.
+   * @param {number} messageId - The ID of the message.
+   * @param {Function} [onRemoved] - Called (inside the transaction) once the entries are deleted,
+   *   e.g. to re-index the message without the deletions overtaking the new entries.
+   * @private
+   */
+  _unindexMessage(transaction, messageId, onRemoved) {
+    const store = transaction.objectStore(SEARCH_INDEX_STORE_NAME);
+    store.index("messageId").getAllKeys(IDBKeyRange.only(messageId)).onsuccess =
+      (event) => {
+        event.target.result.forEach((key) => store.delete(key));
+        onRemoved?.();
+      };
+  }
 }
@@ -0,0 +1,113 @@
+const MAX_LISTED_SESSIONS = 20;
+
+/**
+ * Storage usage view: the browser's storage estimate, the size of the attachment blob store and the
+ * sessions holding the most attachments. It is computed when the panel is opened.
+ */
+export class StoragePanel {
+  /**
+   * @param {StorageManager} storageManager - Instance for DB operations.
+   * @param {UIManager} uiManager - Instance for DOM interactions.
+   */
+  constructor(storageManager, uiManager) {
+    this.storageManager = storageManager;
+    this.uiManager = uiManager;
+    this.storagePanel = this.uiManager.getElement("storagePanel");
+    this.storageSummary = this.uiManager.getElement("storageSummary");
+    this.storageSessionList = this.uiManager.getElement("storageSessionList");
+    this.refreshStorageButton = this.uiManager.getElement(
+      "refreshStorageButton"
+    );
+    this.onSessionSelectedCallback = null;
+
+    this._setupEventListeners();
+  }
+
+  /**
+   * Recomputes the storage usage and displays it.
+   */
+  async refresh() {
+    if (!this.storageSummary) return;
+    this.storageSummary.textContent = "Calculating...";
+    try {
+      const usage = await this.storageManager.getStorageUsage();
+      this._render(usage);
+    } catch (error) {
+      console.error("[StoragePanel] Could not compute storage usage:", error);
+      this.storageSummary.textContent = "";
+      this.uiManager.updateStatus(
+        `Could not compute storage usage: ${error.message || error}`,
+        "error"
+      );
+    }
+  }
+
+  /**
+   * Registers a callback invoked when the user picks a session in the list.
+   * @param {function(number): void} callback - Receives the session ID.
+   */
+  setOnSessionSelectedCallback(callback) {
+    this.onSessionSelectedCallback = callback;
+  }
+
+  /**
+   * Displays the storage usage.
+   * @param {object} usage - Result of `StorageManager.getStorageUsage`.
+   * @private
+   */
+  _render(usage) {
+    const lines = [
+      usage.usage !== null && usage.quota !== null
+        ? `Browser storage: ${StoragePanel._formatBytes(
+            usage.usage
+          )} used of ${StoragePanel._formatBytes(usage.quota)} available.`
+        : "Browser storage estimate is not available.",
+      `Attachments: ${usage.blobCount} stored, ${StoragePanel._formatBytes(
+        usage.blobBytes
+      )}.`,
+    ];
+    if (usage.referencedBytes > usage.blobBytes) {
+      lines.push(
+        `Deduplication saves ${StoragePanel._formatBytes(
+          usage.referencedBytes - usage.blobBytes
+        )}.`
+      );
+    }
+    this.storageSummary.textContent = lines.join("\n");
+
+    if (!this.storageSessionList) return;
+    this.storageSessionList.innerHTML = "";
+    usage.sessions.slice(0, MAX_LISTED_SESSIONS).forEach((session) => {
+      const item = this.uiManager.createStorageSessionItem(
+        session.name,
+        `${session.attachmentCount} attachment${
+          session.attachmentCount === 1 ? "" : "s"
+        }, ${StoragePanel._formatBytes(session.attachmentBytes)}`
+      );
+      item.addEventListener("click", () =>
+        this.onSessionSelectedCallback?.(session.sessionId)
+      );
+      this.storageSessionList.appendChild(item);
+    });
+  }
+
+  /**
+   * @param {number} bytes
+   * @returns {string} The size in MB, e.g. "12.3 MB".
+   * @private
+   */
+  static _formatBytes(bytes) {
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+  }
+
+  /**
+   * Sets up the panel listeners.
+   * @private
+   */
+  _setupEventListeners() {
+    this.storagePanel?.addEventListener("toggle", () => {
+      if (this.storagePanel.open) this.refresh();
+    });
+    this.refreshStorageButton?.addEventListener("click", () => this.refresh());
+  }
+}
@@ -0,0 +1,72 @@
+/**
+ * Registry of local tools the model can call through Gemini function calling.
+ *
+ * A tool is a plain object:
+ *   { name, description, parameters, execute(args) }
+ * where `parameters` is the JSON schema of the arguments (an OpenAPI-style object schema, as accepted by
+ * `functionDeclarations`) and `execute` returns (or resolves to) a JSON-serializable result.
+ */
+export class ToolRegistry {
+  constructor() {
+    this.tools = new Map(); // name -> tool
+  }
+
+  /**
+   * Registers a tool, replacing any tool with the same name.
+   * @param {{name: string, description: string, parameters: object, execute: function(object): any}} tool
+   * @throws {Error} If the tool definition is incomplete.
+   */
+  register(tool) {
+    if (!tool?.name || !/^[a-zA-Z_][a-zA-Z0-9_]{0,63}$/.test(tool.name)) {
+      throw new Error(`Invalid tool name: ${tool?.name}`);
+    }
+    if (!tool.description || typeof tool.execute !== "function") {
+      throw new Error(`Tool ${tool.name} needs a description and execute().`);
+    }
+    this.tools.set(tool.name, tool);
+    console.log(`[ToolRegistry] Registered tool "${tool.name}".`);
+  }
+
+  /**
+   * @returns {boolean} Whether any tool is registered.
+   */
+  hasTools() {
+    return this.tools.size > 0;
+  }
+
+  /**
+   * Builds the function declarations sent to the API.
+   * @returns {Array<{name: string, description: string, parameters?: object}>}
+   */
+  getFunctionDeclarations() {
+    return [...this.tools.values()].map(({ name, description, parameters }) =>
+      parameters ? { name, description, parameters } : { name, description }
+    );
+  }
+
+  /**
+   * Runs a tool for a function call from the model. Failures are returned to the model as
+   * `{error}` instead of being thrown, so it can react to them.
+   * @param {string} name - The called function name.
+   * @param {object} [args={}] - The call arguments.
+   * @returns {Promise<object>} The `response` object of the function response.
+   */
+  async execute(name, args = {}) {
+    const tool = this.tools.get(name);
+    if (!tool) {
+      return { error: `Unknown tool: ${name}` };
+    }
+    try {
+      const result = await tool.execute(args || {});
+      // functionResponse.response must be an object
+      return result !== null &&
+        typeof result === "object" &&
+        !Array.isArray(result)
+        ? result
+        : { result };
+    } catch (error) {
+      console.warn(`[ToolRegistry] Tool "${name}" failed:`, error);
+      return { error: error.message || String(error) };
+    }
+  }
+}
@@ -0,0 +1,453 @@
+import { KATEX_DELIMITERS, TRANSCRIPT_STYLESHEETS } from "./Config.js";
+import { ResponseUtils } from "./ResponseUtils.js";
+import { ZipWriter } from "./ZipWriter.js";
+import { BlobUtils } from "./BlobUtils.js";
+
+/**
+ * Exports the active branch of a session as a text transcript: Markdown (optionally bundled with its
+ * attachments in a .zip) or a standalone HTML file with Markdown, KaTeX and code highlighting pre-rendered.
+ */
+export class TranscriptExporter {
+  /**
+   * Exports a session as Markdown and triggers a download.
+   * With `embedImages`, attachments are inlined as data URIs and a single .md file is produced;
+   * otherwise attachments are written as files next to the transcript in a .zip.
+   * @param {StorageManager} storageManager - Instance for DB operations.
+   * @param {number} sessionId - The session to export.
+   * @param {boolean} embedImages - Inline attachments as data URIs instead of separate files.
+   * @param {function(string, 'info' | 'success' | 'warning' | 'error'): void} updateStatusCallback - Callback to update UI status.
+   */
+  static async exportMarkdown(
+    storageManager,
+    sessionId,
+    embedImages,
+    updateStatusCallback
+  ) {
+    try {
+      updateStatusCallback?.("Generating Markdown...", "info");
+      const { session, messages } = await TranscriptExporter._loadSession(
+        storageManager,
+        sessionId
+      );
+      const { markdown, attachments } = TranscriptExporter.buildMarkdown(
+        session,
+        messages,
+        embedImages
+      );
+      const baseName = TranscriptExporter._baseFilename(sessionId);
+
+      if (attachments.length === 0) {
+        TranscriptExporter._downloadBlob(
+          new Blob([markdown], { type: "text/markdown" }),
+          `${baseName}.md`
+        );
+      } else {
+        const zip = new ZipWriter();
+        zip.addFile(`${baseName}/transcript.md`, markdown);
+        attachments.forEach((attachment) => {
+          zip.addFile(
+            `${baseName}/${attachment.path}`,
+            BlobUtils.base64ToBytes(attachment.data)
+          );
+        });
+        TranscriptExporter._downloadBlob(zip.toBlob(), `${baseName}.zip`);
+      }
+      updateStatusCallback?.("Markdown download initiated.", "success");
+    } catch (error) {
+      console.error("Error exporting Markdown transcript:", error);
+      updateStatusCallback?.(
+        `Error generating Markdown: ${error.message}`,
+        "error"
+      );
+    }
+  }
+
+  /**
+   * Exports a session as a standalone HTML file and triggers a download.
+   * @param {StorageManager} storageManager - Instance for DB operations.
+   * @param {number} sessionId - The session to export.
+   * @param {function(string, 'info' | 'success' | 'warning' | 'error'): void} updateStatusCallback - Callback to update UI status.
+   */
+  static async exportHtml(storageManager, sessionId, updateStatusCallback) {
+    try {
+      updateStatusCallback?.("Generating HTML...", "info");
+      const { session, messages } = await TranscriptExporter._loadSession(
+        storageManager,
+        sessionId
+      );
+      const html = TranscriptExporter.buildHtml(session, messages);
+      TranscriptExporter._downloadBlob(
+        new Blob([html], { type: "text/html" }),
+        `${TranscriptExporter._baseFilename(sessionId)}.html`
+      );
+      updateStatusCallback?.("HTML download initiated.", "success");
+    } catch (error) {
+      console.error("Error exporting HTML transcript:", error);
+      updateStatusCallback?.(
+        `Error generating HTML: ${error.message}`,
+        "error"
+      );
+    }
+  }
+
+  /**
+   * Builds the Markdown transcript of a session.
+   * @param {object} session - The session record.
+   * @param {Array<object>} messages - Messages of the active branch, in order.
+   * @param {boolean} embedImages - Inline attachments as data URIs instead of referencing files.
+   * @returns {{markdown: string, attachments: Array<{path: string, mimeType: string, data: string}>}}
+   *   The transcript and the attachments it references (empty when embedding).
+   */
+  static buildMarkdown(session, messages, embedImages) {
+    const attachments = [];
+    const lines = [
+      `# ${TranscriptExporter._sessionTitle(session)}`,
+      "",
+      `_Exported ${new Date().toLocaleString()}_`,
+      "",
+    ];
+
+    messages.forEach((msg) => {
+      lines.push(`## ${TranscriptExporter._messageHeading(msg)}`, "");
+      (msg.contentParts || []).forEach((part, partIndex) => {
+        if (part.text) {
+          lines.push(part.text, "");
+        } else if (part.inlineData) {
+          const { mimeType, data } = part.inlineData;
+          let target;
+          if (embedImages) {
+            target = `data:${mimeType};base64,${data}`;
+          } else {
+            target = `attachments/message-${msg.id}-${
+              partIndex + 1
+            }.${TranscriptExporter._extensionFor(mimeType)}`;
+            attachments.push({ path: target, mimeType, data });
+          }
+          const label = target.startsWith("data:")
+            ? mimeType
+            : target.split("/").pop();
+          lines.push(
+            mimeType.startsWith("image/")
+              ? `![${label}](${target})`
+              : `[${label}](${target})`,
+            ""
+          );
+        } else if (part.fileData) {
+          lines.push(
+            `[File Reference: ${part.fileData.mimeType}](${part.fileData.fileUri})`,
+            ""
+          );
+        } else if (part.functionCall || part.functionResponse) {
+          const { title, json } = TranscriptExporter._describeToolPart(part);
+          lines.push(`**${title}**`, "", "```json", json, "```", "");
+        } else if (part.executableCode || part.codeExecutionResult) {
+          const { title, markdown } =
+            TranscriptExporter._describeCodePart(part);
+          lines.push(`**${title}**`, "", markdown, "");
+        }
+      });
+      if (msg.interrupted) {
+        lines.push("_Generation stopped — partial response._", "");
+      }
+    });
+
+    return { markdown: lines.join("\n"), attachments };
+  }
+
+  /**
+   * Builds a standalone HTML transcript of a session. Markdown, math and code highlighting are
+   * rendered now, so the file displays correctly without running any scripts.
+   * @param {object} session - The session record.
+   * @param {Array<object>} messages - Messages of the active branch, in order.
+   * @returns {string} The HTML document.
+   */
+  static buildHtml(session, messages) {
+    const title = TranscriptExporter._escapeHtml(
+      TranscriptExporter._sessionTitle(session)
+    );
+    const body = messages
+      .map((msg) => {
+        const content = (msg.contentParts || [])
+          .map((part) => TranscriptExporter._renderPartToHtml(part))
+          .join("\n");
+        const note = msg.interrupted
+          ? `<p class="note">Generation stopped — partial response.</p>`
+          : "";
+        const sender = TranscriptExporter._escapeHtml(msg.sender);
+        const heading = TranscriptExporter._escapeHtml(
+          TranscriptExporter._messageHeading(msg)
+        );
+        return `<section class="message ${sender}">
+<h2>${heading}</h2>
+${content}
+${note}
+</section>`;
+      })
+      .join("\n");
+    const stylesheets = TRANSCRIPT_STYLESHEETS.map(
+      (href) => `<link rel="stylesheet" href="${href}">`
+    ).join("\n");
+    const exportedAt = TranscriptExporter._escapeHtml(
+      new Date().toLocaleString()
+    );
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<meta name="viewport" content="width=device-width, initial-scale=1.0">
+<title>${title}</title>
+${stylesheets}
+<style>
+body { font-family: sans-serif; max-width: 900px; margin: 0 auto; padding: 20px; line-height: 1.5; color: #333; }
+.message { margin-bottom: 20px; padding: 10px 15px; border-radius: 8px; }
+.message.user { background-color: #e1f5fe; }
+.message.model { background-color: #f1f1f1; }
+.message.function { background-color: #f3eefc; }
+.message h2 { font-size: 0.85em; color: #666; margin: 0 0 8px; }
+.message img, .message video { max-width: 100%; border-radius: 4px; }
+pre { background-color: #f6f8fa; padding: 10px; border-radius: 4px; overflow-x: auto; }
+.note { font-style: italic; color: #666; }
+</style>
+</head>
+<body>
+<h1>${title}</h1>
+<p class="note">Exported ${exportedAt}</p>
+${body}
+</body>
+</html>
+`;
+  }
+
+  /**
+   * Renders one content part to HTML.
+   * @param {object} part - A content part ({text} | {inlineData} | {fileData}).
+   * @returns {string} HTML for the part.
+   * @private
+   */
+  static _renderPartToHtml(part) {
+    if (part.text) {
+      return TranscriptExporter._renderTextToHtml(part.text);
+    }
+    if (part.inlineData) {
+      const { mimeType, data } = part.inlineData;
+      const src = `data:${mimeType};base64,${data}`;
+      if (mimeType.startsWith("image/")) {
+        return `<img src="${src}" alt="${TranscriptExporter._escapeHtml(
+          mimeType
+        )}">`;
+      }
+      if (mimeType.startsWith("video/")) {
+        return `<video controls src="${src}"></video>`;
+      }
+      if (mimeType.startsWith("audio/")) {
+        return `<audio controls src="${src}"></audio>`;
+      }
+      return `<a download href="${src}">${TranscriptExporter._escapeHtml(
+        mimeType
+      )} attachment</a>`;
+    }
+    if (part.fileData) {
+      return `<p>[File Reference: ${TranscriptExporter._escapeHtml(
+        part.fileData.mimeType
+      )}]</p>`;
+    }
+    if (part.functionCall || part.functionResponse) {
+      const { title, json } = TranscriptExporter._describeToolPart(part);
+      return `<details><summary>${TranscriptExporter._escapeHtml(
+        title
+      )}</summary><pre>${TranscriptExporter._escapeHtml(json)}</pre></details>`;
+    }
+    if (part.executableCode || part.codeExecutionResult) {
+      const { title, markdown } = TranscriptExporter._describeCodePart(part);
+      return `<p><strong>${TranscriptExporter._escapeHtml(
+        title
+      )}</strong></p>${TranscriptExporter._renderTextToHtml(markdown)}`;
+    }
+    return "";
+  }
+
+  /**
+   * @param {object} part - An executableCode or codeExecutionResult part.
+   * @returns {{title: string, markdown: string}} Label and fenced code block of the code or its output.
+   * @private
+   */
+  static _describeCodePart(part) {
+    if (part.executableCode) {
+      const language = (part.executableCode.language || "").toLowerCase();
+      return {
+        title: "Code",
+        markdown: `\`\`\`${
+          language === "language_unspecified" ? "" : language
+        }\n${part.executableCode.code}\n\`\`\``,
+      };
+    }
+    return {
+      title: ResponseUtils.describeCodeOutcome(
+        part.codeExecutionResult.outcome
+      ),
+      markdown: `\`\`\`\n${part.codeExecutionResult.output || ""}\n\`\`\``,
+    };
+  }
+
+  /**
+   * @param {object} part - A functionCall or functionResponse part.
+   * @returns {{title: string, json: string}} Summary line and pretty-printed arguments/result.
+   * @private
+   */
+  static _describeToolPart(part) {
+    if (part.functionCall) {
+      return {
+        title: `Tool call: ${part.functionCall.name}`,
+        json: JSON.stringify(part.functionCall.args || {}, null, 2),
+      };
+    }
+    return {
+      title: `Tool result: ${part.functionResponse.name}`,
+      json: JSON.stringify(part.functionResponse.response, null, 2),
+    };
+  }
+
+  /**
+   * Renders message text (Markdown, KaTeX, highlighted code) to an HTML string.
+   * @param {string} text - The message text.
+   * @returns {string} The rendered HTML.
+   * @private
+   */
+  static _renderTextToHtml(text) {
+    const container = document.createElement("div");
+    container.innerHTML = window.marked
+      ? marked.parse(text, { breaks: true })
+      : `<p>${TranscriptExporter._escapeHtml(text)}</p>`;
+
+    try {
+      if (window.renderMathInElement) {
+        renderMathInElement(container, {
+          delimiters: KATEX_DELIMITERS,
+          throwOnError: false,
+        });
+      }
+    } catch (katexError) {
+      console.error("KaTeX rendering error during export:", katexError);
+    }
+
+    if (window.hljs) {
+      container.querySelectorAll("pre code").forEach((codeElement) => {
+        hljs.highlightElement(codeElement);
+      });
+    } else {
+      console.warn("highlight.js not loaded; exporting code unhighlighted.");
+    }
+
+    return container.innerHTML;
+  }
+
+  /**
+   * Loads a session record and its active branch.
+   * @param {StorageManager} storageManager
+   * @param {number} sessionId
+   * @returns {Promise<{session: object, messages: Array<object>}>}
+   * @throws {Error} If no session is given or it doesn't exist.
+   * @private
+   */
+  static async _loadSession(storageManager, sessionId) {
+    if (!sessionId) {
+      throw new Error("No session selected.");
+    }
+    const session = await storageManager.getSession(sessionId);
+    if (!session) {
+      throw new Error(`Session ${sessionId} not found.`);
+    }
+    const storedMessages = await storageManager.getRawMessagesForSession(
+      sessionId
+    );
+    // Attachments are exported inline
+    const messages = await Promise.all(
+      storedMessages.map(async (msg) => ({
+        ...msg,
+        contentParts: await storageManager.resolveBlobParts(
+          msg.contentParts || []
+        ),
+      }))
+    );
+    return { session, messages };
+  }
+
+  /**
+   * @param {object} session - The session record.
+   * @returns {string} The display title of the session.
+   * @private
+   */
+  static _sessionTitle(session) {
+    return (
+      session.name || `Session ${new Date(session.createdAt).toLocaleString()}`
+    );
+  }
+
+  /**
+   * @param {object} msg - A message record.
+   * @returns {string} Heading line for a message, e.g. "Model (gemini-pro) — 1/2/2025, 10:00:00".
+   * @private
+   */
+  static _messageHeading(msg) {
+    const sender = { user: "User", function: "Tool" }[msg.sender] || "Model";
+    const model = msg.modelName ? ` (${msg.modelName})` : "";
+    const time = msg.timestamp
+      ? ` — ${new Date(msg.timestamp).toLocaleString()}`
+      : "";
+    return `${sender}${model}${time}`;
+  }
+
+  /**
+   * @param {string} mimeType
+   * @returns {string} A file extension for the MIME type.
+   * @private
+   */
+  static _extensionFor(mimeType) {
+    const subtype = (mimeType.split("/")[1] || "bin").split(/[+;]/)[0];
+    return (
+      { jpeg: "jpg", plain: "txt", mpeg: "mp3", "x-wav": "wav" }[subtype] ||
+      subtype
+    );
+  }
+
+  /**
+   * @param {string} text
+   * @returns {string} The text with HTML special characters escaped.
+   * @private
+   */
+  static _escapeHtml(text) {
+    return String(text)
+      .replace(/&/g, "&amp;")
+      .replace(/</g, "&lt;")
+      .replace(/>/g, "&gt;")
+      .replace(/"/g, "&quot;");
+  }
+
+  /**
+   * @param {number} sessionId
+   * @returns {string} Base file name (without extension) for an exported session.
+   * @private
+   */
+  static _baseFilename(sessionId) {
+    const timestamp = new Date().toISOString().replace(/[:.]/g, "-");
+    return `gemini-chat-session-${sessionId}-${timestamp}`;
+  }
+
+  /**
+   * Triggers a browser download of a Blob.
+   * @param {Blob} blob - The content to download.
+   * @param {string} filename - The suggested file name.
+   * @private
+   */
+  static _downloadBlob(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link); // Required for Firefox
+    link.click();
+    document.body.removeChild(link);
+    URL.revokeObjectURL(url);
+  }
+}
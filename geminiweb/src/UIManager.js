@@ -11,18 +11,102 @@ export class UIManager {
       chatHistory: document.getElementById("chat-history"),
       messageInput: document.getElementById("message-input"),
       sendButton: document.getElementById("send-button"),
+      stopButton: document.getElementById("stop-button"),
       attachButton: document.getElementById("attach-button"),
       fileInput: document.getElementById("file-input"),
       previewArea: document.getElementById("preview-area"),
-      sessionSelector: document.getElementById("session-selector"),
+      captureButton: document.getElementById("capture-button"),
+      capturePanel: document.getElementById("capture-panel"),
+      captureVideo: document.getElementById("capture-video"),
+      screenshotButton: document.getElementById("screenshot-button"),
+      recordClipButton: document.getElementById("record-clip-button"),
+      stopSharingButton: document.getElementById("stop-sharing-button"),
+      sessionList: document.getElementById("session-list"),
       newSessionButton: document.getElementById("new-session-button"),
       deleteSessionButton: document.getElementById("delete-session-button"),
       modelSelector: document.getElementById("model-selector"),
       newModelNameInput: document.getElementById("new-model-name"),
       addModelButton: document.getElementById("add-model-button"),
       useGoogleSearchCheckbox: document.getElementById("use-google-search"),
+      useLocalToolsCheckbox: document.getElementById("use-local-tools"),
+      useCodeExecutionCheckbox: document.getElementById("use-code-execution"),
+      streamResponsesCheckbox: document.getElementById("stream-responses"),
+      autoTitleCheckbox: document.getElementById("auto-title-sessions"),
+      imagePreprocessingCheckbox: document.getElementById("preprocess-images"),
+      maxImageDimensionInput: document.getElementById("max-image-dimension"),
+      imageFormatSelector: document.getElementById("image-format"),
+      imageQualityInput: document.getElementById("image-quality"),
       chatContainer: document.getElementById("chat-container"),
       downloadPngButton: document.getElementById("download-png-button"), // Added
+      downloadPngPagesButton: document.getElementById(
+        "download-png-pages-button"
+      ),
+      downloadPdfButton: document.getElementById("download-pdf-button"),
+      exportMarkdownButton: document.getElementById("export-markdown-button"),
+      exportHtmlButton: document.getElementById("export-html-button"),
+      embedExportImagesCheckbox: document.getElementById("embed-export-images"),
+      newSessionPersonaSelector: document.getElementById(
+        "new-session-persona-selector"
+      ),
+      systemInstructionInput: document.getElementById(
+        "system-instruction-input"
+      ),
+      personaSelector: document.getElementById("persona-selector"),
+      applyPersonaButton: document.getElementById("apply-persona-button"),
+      savePersonaButton: document.getElementById("save-persona-button"),
+      deletePersonaButton: document.getElementById("delete-persona-button"),
+      saveSessionSettingsButton: document.getElementById(
+        "save-session-settings-button"
+      ),
+      temperatureInput: document.getElementById("temperature-input"),
+      topPInput: document.getElementById("top-p-input"),
+      topKInput: document.getElementById("top-k-input"),
+      maxOutputTokensInput: document.getElementById("max-output-tokens-input"),
+      candidateCountInput: document.getElementById("candidate-count-input"),
+      thinkingBudgetInput: document.getElementById("thinking-budget-input"),
+      stopSequencesInput: document.getElementById("stop-sequences-input"),
+      imageOutputCheckbox: document.getElementById("image-output-checkbox"),
+      structuredOutputCheckbox: document.getElementById(
+        "structured-output-checkbox"
+      ),
+      responseSchemaInput: document.getElementById("response-schema-input"),
+      schemaValidationStatus: document.getElementById(
+        "schema-validation-status"
+      ),
+      schemaSelector: document.getElementById("schema-selector"),
+      loadSchemaButton: document.getElementById("load-schema-button"),
+      saveSchemaButton: document.getElementById("save-schema-button"),
+      deleteSchemaButton: document.getElementById("delete-schema-button"),
+      safetyHarassmentSelect: document.getElementById(
+        "safety-harassment-select"
+      ),
+      safetyHateSpeechSelect: document.getElementById(
+        "safety-hate-speech-select"
+      ),
+      safetySexuallyExplicitSelect: document.getElementById(
+        "safety-sexually-explicit-select"
+      ),
+      safetyDangerousContentSelect: document.getElementById(
+        "safety-dangerous-content-select"
+      ),
+      arenaPanel: document.getElementById("arena-panel"),
+      arenaModelList: document.getElementById("arena-model-list"),
+      arenaInput: document.getElementById("arena-input"),
+      arenaSendButton: document.getElementById("arena-send-button"),
+      arenaResetButton: document.getElementById("arena-reset-button"),
+      arenaColumns: document.getElementById("arena-columns"),
+      searchInput: document.getElementById("search-input"),
+      searchResults: document.getElementById("search-results"),
+      exportSessionButton: document.getElementById("export-session-button"),
+      exportAllSessionsButton: document.getElementById(
+        "export-all-sessions-button"
+      ),
+      importSessionsButton: document.getElementById("import-sessions-button"),
+      importSessionsInput: document.getElementById("import-sessions-input"),
+      storagePanel: document.getElementById("storage-panel"),
+      storageSummary: document.getElementById("storage-summary"),
+      storageSessionList: document.getElementById("storage-session-list"),
+      refreshStorageButton: document.getElementById("refresh-storage-button"),
     };
 
     // Validate that all elements were found
@@ -143,6 +227,53 @@ export class UIManager {
     return video;
   }
 
+  /**
+   * Creates an audio element with playback controls.
+   * @param {string} src - The audio source URL.
+   * @returns {HTMLAudioElement} The created audio element.
+   */
+  createAudioElement(src) {
+    const audio = document.createElement("audio");
+    audio.src = src;
+    audio.controls = true;
+    return audio;
+  }
+
+  /**
+   * Creates the card of a document attachment with a button to open it.
+   * @param {string} label - Kind of document (e.g. "PDF document").
+   * @param {function(): void} onOpen - Called when the open button is clicked.
+   * @returns {HTMLDivElement} The card; a thumbnail can be prepended to it.
+   */
+  createAttachmentCard(label, onOpen) {
+    const card = document.createElement("div");
+    card.classList.add("attachment-card");
+    const caption = document.createElement("span");
+    caption.textContent = label;
+    const openButton = document.createElement("button");
+    openButton.textContent = "Open";
+    openButton.addEventListener("click", onOpen);
+    card.append(caption, openButton);
+    return card;
+  }
+
+  /**
+   * Creates a collapsible view of a text attachment.
+   * @param {string} title - Summary line (e.g. type and length).
+   * @param {string} text - The file contents.
+   * @returns {HTMLDetailsElement} The text attachment element.
+   */
+  createTextAttachment(title, text) {
+    const details = document.createElement("details");
+    details.classList.add("text-attachment");
+    const summary = document.createElement("summary");
+    summary.textContent = title;
+    const pre = document.createElement("pre");
+    pre.textContent = text;
+    details.append(summary, pre);
+    return details;
+  }
+
   /**
    * Creates a span element for a file reference.
    * @param {string} text - The text content for the span.
@@ -183,6 +314,448 @@ export class UIManager {
     return retryButton;
   }
 
+  /**
+   * Creates an edit button element for a user message.
+   * @param {number} messageId - The message ID to associate with the button.
+   * @returns {HTMLButtonElement} The created edit button.
+   */
+  createEditButton(messageId) {
+    const editButton = document.createElement("button");
+    editButton.textContent = "Edit";
+    editButton.classList.add("edit-button");
+    editButton.title = "Edit this message and regenerate from here";
+    editButton.dataset.messageId = messageId;
+    return editButton;
+  }
+
+  /**
+   * Creates the "< 2/3 >" navigation between alternate versions of a message.
+   * @param {number} position - 1-based position of the displayed version.
+   * @param {number} total - Number of versions.
+   * @returns {{container: HTMLDivElement, previousButton: HTMLButtonElement, nextButton: HTMLButtonElement}}
+   */
+  createSiblingNavigation(position, total) {
+    const container = document.createElement("div");
+    container.classList.add("sibling-navigation");
+
+    const previousButton = document.createElement("button");
+    previousButton.textContent = "<";
+    previousButton.title = "Previous version";
+    previousButton.disabled = position <= 1;
+
+    const label = document.createElement("span");
+    label.textContent = `${position}/${total}`;
+
+    const nextButton = document.createElement("button");
+    nextButton.textContent = ">";
+    nextButton.title = "Next version";
+    nextButton.disabled = position >= total;
+
+    container.append(previousButton, label, nextButton);
+    return { container, previousButton, nextButton };
+  }
+
+  /**
+   * Creates the container holding candidate columns side by side.
+   * @returns {HTMLDivElement} The grid element.
+   */
+  createCandidateGrid() {
+    const grid = document.createElement("div");
+    grid.classList.add("candidate-grid");
+    return grid;
+  }
+
+  /**
+   * Creates one column of a candidate comparison.
+   * @param {string} title - The column title (e.g. "Candidate 2").
+   * @returns {{container: HTMLDivElement, pickButton: HTMLButtonElement}} The column (with its header) and
+   *   its pick button; the candidate's message element is appended to the column.
+   */
+  createCandidateColumn(title) {
+    const container = document.createElement("div");
+    container.classList.add("candidate-column");
+
+    const header = document.createElement("div");
+    header.classList.add("candidate-header");
+    const titleSpan = document.createElement("span");
+    titleSpan.textContent = title;
+    const pickButton = document.createElement("button");
+    pickButton.textContent = "Use this";
+    pickButton.classList.add("pick-candidate-button");
+    pickButton.title =
+      "Keep this answer; the others stay available as alternates";
+    header.append(titleSpan, pickButton);
+
+    container.appendChild(header);
+    return { container, pickButton };
+  }
+
+  /**
+   * Creates a labelled checkbox for choosing a model in the arena.
+   * @param {string} modelName - The model name (also the checkbox value).
+   * @param {boolean} checked - Whether the model starts selected.
+   * @returns {{container: HTMLLabelElement, input: HTMLInputElement}}
+   */
+  createArenaModelCheckbox(modelName, checked) {
+    const container = document.createElement("label");
+    container.classList.add("arena-model-option");
+    const input = document.createElement("input");
+    input.type = "checkbox";
+    input.value = modelName;
+    input.checked = checked;
+    container.append(input, document.createTextNode(modelName));
+    return { container, input };
+  }
+
+  /**
+   * Creates the frame of an image generated by the model, with its buttons.
+   * @param {HTMLImageElement} imageElement - The image.
+   * @returns {{container: HTMLDivElement, downloadButton: HTMLButtonElement, useAsInputButton: HTMLButtonElement}}
+   *   The frame and its buttons.
+   */
+  createGeneratedImage(imageElement) {
+    const container = document.createElement("div");
+    container.classList.add("generated-image");
+    const actions = document.createElement("div");
+    actions.classList.add("generated-image-actions");
+    const downloadButton = document.createElement("button");
+    downloadButton.textContent = "Download";
+    downloadButton.title = "Save the image";
+    const useAsInputButton = document.createElement("button");
+    useAsInputButton.textContent = "Use as input";
+    useAsInputButton.title =
+      "Attach the image to the next message, e.g. to edit it";
+    actions.append(downloadButton, useAsInputButton);
+    container.append(imageElement, actions);
+    return { container, downloadButton, useAsInputButton };
+  }
+
+  /**
+   * Creates an arena column for one model.
+   * @param {string} modelName - The model shown in the column.
+   * @returns {{container: HTMLDivElement, historyElement: HTMLDivElement}} The column and its message list.
+   */
+  createArenaColumn(modelName) {
+    const container = document.createElement("div");
+    container.classList.add("arena-column");
+    const header = document.createElement("div");
+    header.classList.add("arena-column-header");
+    header.textContent = modelName;
+    const historyElement = document.createElement("div");
+    historyElement.classList.add("arena-column-history");
+    container.append(header, historyElement);
+    return { container, historyElement };
+  }
+
+  /**
+   * Creates a collapsible group of the session sidebar.
+   * @param {string} title - The group title (e.g. a folder name).
+   * @param {number} count - Number of sessions in the group.
+   * @param {boolean} open - Whether the group starts expanded.
+   * @returns {{container: HTMLDetailsElement, list: HTMLDivElement}} The group and the element to add items to.
+   */
+  createSessionGroup(title, count, open) {
+    const container = document.createElement("details");
+    container.classList.add("session-group");
+    container.open = open;
+
+    const summary = document.createElement("summary");
+    summary.textContent = `${title} (${count})`;
+
+    const list = document.createElement("div");
+    list.classList.add("session-group-list");
+
+    container.append(summary, list);
+    return { container, list };
+  }
+
+  /**
+   * Creates a session entry of the session sidebar.
+   * @param {string} name - The session name.
+   * @param {string} lastActivity - Formatted time of the session's last activity.
+   * @param {boolean} pinned - Whether the session is pinned.
+   * @param {boolean} active - Whether this is the current session.
+   * @returns {{item: HTMLDivElement, pinButton: HTMLButtonElement, renameButton: HTMLButtonElement, folderButton: HTMLButtonElement}}
+   */
+  createSessionListItem(name, lastActivity, pinned, active) {
+    const item = document.createElement("div");
+    item.classList.add("session-item");
+    if (active) item.classList.add("active");
+
+    const info = document.createElement("div");
+    info.classList.add("session-item-info");
+    const nameSpan = document.createElement("span");
+    nameSpan.classList.add("session-item-name");
+    nameSpan.textContent = name;
+    nameSpan.title = name;
+    const dateSpan = document.createElement("span");
+    dateSpan.classList.add("session-item-date");
+    dateSpan.textContent = lastActivity;
+    info.append(nameSpan, dateSpan);
+
+    const actions = document.createElement("div");
+    actions.classList.add("session-item-actions");
+    const createAction = (text, title) => {
+      const button = document.createElement("button");
+      button.textContent = text;
+      button.title = title;
+      actions.appendChild(button);
+      return button;
+    };
+    const pinButton = createAction(
+      pinned ? "★" : "☆",
+      pinned ? "Unpin" : "Pin"
+    );
+    const renameButton = createAction("✎", "Rename");
+    const folderButton = createAction("📁", "Move to folder");
+
+    item.append(info, actions);
+    return { item, pinButton, renameButton, folderButton };
+  }
+
+  /**
+   * Creates an entry of the search result list.
+   * @param {string} sessionName - Name of the session containing the match.
+   * @param {string} details - Sender and date of the message.
+   * @param {string} snippet - Excerpt of the message text around the match.
+   * @returns {HTMLDivElement} The result item.
+   */
+  createSearchResultItem(sessionName, details, snippet) {
+    const item = document.createElement("div");
+    item.classList.add("search-result");
+
+    const header = document.createElement("div");
+    header.classList.add("search-result-header");
+    const nameSpan = document.createElement("span");
+    nameSpan.classList.add("search-result-session");
+    nameSpan.textContent = sessionName;
+    const detailsSpan = document.createElement("span");
+    detailsSpan.classList.add("search-result-details");
+    detailsSpan.textContent = details;
+    header.append(nameSpan, detailsSpan);
+
+    const snippetDiv = document.createElement("div");
+    snippetDiv.classList.add("search-result-snippet");
+    snippetDiv.textContent = snippet;
+
+    item.append(header, snippetDiv);
+    return item;
+  }
+
+  /**
+   * Creates an entry of the storage usage session list.
+   * @param {string} sessionName - Display name of the session.
+   * @param {string} details - Size of its attachments.
+   * @returns {HTMLDivElement} The entry.
+   */
+  createStorageSessionItem(sessionName, details) {
+    const item = document.createElement("div");
+    item.classList.add("storage-session");
+    const nameSpan = document.createElement("span");
+    nameSpan.classList.add("storage-session-name");
+    nameSpan.textContent = sessionName;
+    const detailsSpan = document.createElement("span");
+    detailsSpan.classList.add("storage-session-details");
+    detailsSpan.textContent = details;
+    item.append(nameSpan, detailsSpan);
+    return item;
+  }
+
+  /**
+   * Creates an inline editor (textarea with Save/Cancel buttons) for a message.
+   * @param {string} text - The initial text of the editor.
+   * @returns {{container: HTMLDivElement, textarea: HTMLTextAreaElement, saveButton: HTMLButtonElement, cancelButton: HTMLButtonElement}}
+   */
+  createInlineEditor(text) {
+    const container = document.createElement("div");
+    container.classList.add("inline-editor");
+
+    const textarea = document.createElement("textarea");
+    textarea.value = text;
+    textarea.rows = Math.min(12, Math.max(3, text.split("\n").length));
+
+    const saveButton = document.createElement("button");
+    saveButton.textContent = "Save & Regenerate";
+    saveButton.classList.add("inline-editor-save");
+
+    const cancelButton = document.createElement("button");
+    cancelButton.textContent = "Cancel";
+    cancelButton.classList.add("inline-editor-cancel");
+
+    const buttonRow = document.createElement("div");
+    buttonRow.classList.add("inline-editor-buttons");
+    buttonRow.append(saveButton, cancelButton);
+    container.append(textarea, buttonRow);
+    return { container, textarea, saveButton, cancelButton };
+  }
+
+  /**
+   * Creates a small note element shown inside a message bubble (e.g. "Generation stopped").
+   * @param {string} text - The note text.
+   * @param {string} className - The class name for the note.
+   * @returns {HTMLDivElement} The created note div.
+   */
+  createStatusNote(text, className) {
+    const noteDiv = document.createElement("div");
+    noteDiv.classList.add("status-note", className);
+    noteDiv.textContent = text;
+    return noteDiv;
+  }
+
+  /**
+   * Creates the status bubble shown in place of a response that was not saved.
+   * @param {string} title - Short description of why the response is missing.
+   * @param {Array<string>} details - Extra lines, such as the safety ratings.
+   * @returns {HTMLDivElement} The status bubble.
+   */
+  createResponseStatusDiv(title, details) {
+    const statusDiv = this.createMessageDiv(null, "model");
+    statusDiv.classList.add("status-message");
+    const titleDiv = document.createElement("div");
+    titleDiv.classList.add("status-message-title");
+    titleDiv.textContent = title;
+    statusDiv.appendChild(titleDiv);
+    if (details.length > 0) {
+      const list = document.createElement("ul");
+      list.classList.add("status-message-details");
+      details.forEach((line) => {
+        const item = document.createElement("li");
+        item.textContent = line;
+        list.appendChild(item);
+      });
+      statusDiv.appendChild(list);
+    }
+    return statusDiv;
+  }
+
+  /**
+   * Creates a collapsible block showing a tool call or tool result as JSON.
+   * @param {string} title - The summary line (e.g. "Tool call: calculate").
+   * @param {object} data - The call arguments or the result.
+   * @param {string} className - "tool-call" or "tool-result".
+   * @returns {HTMLDetailsElement} The block (collapsed).
+   */
+  createToolBlock(title, data, className) {
+    const details = document.createElement("details");
+    details.classList.add("tool-block", className);
+    const summary = document.createElement("summary");
+    summary.textContent = title;
+    const pre = document.createElement("pre");
+    pre.textContent = JSON.stringify(data, null, 2);
+    details.append(summary, pre);
+    return details;
+  }
+
+  /**
+   * Creates a collapsible tree view of a JSON value. Objects and arrays are <details> elements
+   * (open for the first levels), primitives are shown inline.
+   * @param {any} value - The parsed JSON value.
+   * @param {string | null} [key=null] - Property name or array index of the value, if nested.
+   * @param {number} [depth=0] - Nesting level of the value.
+   * @returns {HTMLElement} The tree element.
+   */
+  createJsonTree(value, key = null, depth = 0) {
+    const keySpan = document.createElement("span");
+    keySpan.classList.add("json-key");
+    keySpan.textContent = key === null ? "" : `${key}: `;
+
+    if (value === null || typeof value !== "object") {
+      const row = document.createElement("div");
+      row.classList.add("json-row");
+      const valueSpan = document.createElement("span");
+      valueSpan.classList.add(
+        "json-value",
+        `json-${value === null ? "null" : typeof value}`
+      );
+      valueSpan.textContent = JSON.stringify(value);
+      row.append(keySpan, valueSpan);
+      if (depth === 0) row.classList.add("json-tree");
+      return row;
+    }
+
+    const isArray = Array.isArray(value);
+    const entries = isArray
+      ? value.map((item, index) => [index, item])
+      : Object.entries(value);
+    const details = document.createElement("details");
+    details.classList.add("json-node");
+    if (depth === 0) details.classList.add("json-tree");
+    details.open = depth < 2;
+    const summary = document.createElement("summary");
+    const sizeSpan = document.createElement("span");
+    sizeSpan.classList.add("json-size");
+    sizeSpan.textContent = isArray
+      ? `[${entries.length} ${entries.length === 1 ? "item" : "items"}]`
+      : `{${entries.length} ${entries.length === 1 ? "key" : "keys"}}`;
+    summary.append(keySpan, sizeSpan);
+    details.appendChild(summary);
+    entries.forEach(([childKey, childValue]) => {
+      details.appendChild(this.createJsonTree(childValue, childKey, depth + 1));
+    });
+    return details;
+  }
+
+  /**
+   * Creates a pane of the code execution tool: the code the model ran, or its output.
+   * @param {string} label - Header of the pane (e.g. "Code (python)").
+   * @param {string} content - The code or output text.
+   * @param {string} className - "code-execution-code" or "code-execution-output".
+   * @returns {{container: HTMLDivElement, preElement: HTMLPreElement}} The pane and its <pre> block.
+   */
+  createCodeExecutionPane(label, content, className) {
+    const container = document.createElement("div");
+    container.classList.add("code-execution-pane", className);
+    const header = document.createElement("div");
+    header.classList.add("code-execution-label");
+    header.textContent = label;
+    const preElement = document.createElement("pre");
+    const code = document.createElement("code");
+    code.textContent = content;
+    preElement.appendChild(code);
+    container.append(header, preElement);
+    return { container, preElement };
+  }
+
+  /**
+   * Creates the numbered source list of a grounded answer.
+   * @param {Array<{number: number, uri: string, title: string}>} sources - The web sources.
+   * @returns {HTMLDivElement} The source list.
+   */
+  createGroundingSources(sources) {
+    const sourcesDiv = document.createElement("div");
+    sourcesDiv.classList.add("grounding-sources");
+    const heading = document.createElement("div");
+    heading.classList.add("grounding-sources-title");
+    heading.textContent = "Sources";
+    const list = document.createElement("ol");
+    sources.forEach((source) => {
+      const item = document.createElement("li");
+      item.value = source.number;
+      const link = document.createElement("a");
+      link.href = source.uri;
+      link.target = "_blank";
+      link.rel = "noopener noreferrer";
+      link.textContent = source.title || source.uri;
+      item.appendChild(link);
+      list.appendChild(item);
+    });
+    sourcesDiv.append(heading, list);
+    return sourcesDiv;
+  }
+
+  /**
+   * Creates the Google Search suggestions chip. The API returns it as ready-made HTML with its own
+   * styles, so it is rendered in a shadow root to keep those styles away from the page.
+   * @param {string} renderedContent - The `searchEntryPoint.renderedContent` HTML.
+   * @returns {HTMLDivElement} The suggestions element.
+   */
+  createSearchSuggestions(renderedContent) {
+    const suggestionsDiv = document.createElement("div");
+    suggestionsDiv.classList.add("search-suggestions");
+    suggestionsDiv.attachShadow({ mode: "open" }).innerHTML = renderedContent;
+    return suggestionsDiv;
+  }
+
   /**
    * Creates a div element for token usage information.
    * @param {object} usageMetadata - The usage metadata object.
@@ -199,6 +772,18 @@ export class UIManager {
     return tokenInfoDiv;
   }
 
+  /**
+   * Creates the div element displaying how long a reply took.
+   * @param {number} latencyMs - Time from sending the request to receiving the reply, in milliseconds.
+   * @returns {HTMLDivElement} The created latency info div.
+   */
+  createLatencyInfoDiv(latencyMs) {
+    const latencyInfoDiv = document.createElement("div");
+    latencyInfoDiv.classList.add("latency-info");
+    latencyInfoDiv.textContent = `Latency: ${(latencyMs / 1000).toFixed(2)} s`;
+    return latencyInfoDiv;
+  }
+
   /**
    * Shows or hides the main chat interface container.
    * @param {boolean} show - True to show, false to hide.
@@ -220,6 +805,21 @@ export class UIManager {
     }
   }
 
+  /**
+   * Toggles the input area between its idle state (Send) and generating state (Stop).
+   * @param {boolean} isGenerating - True while a request is in flight.
+   */
+  setGenerating(isGenerating) {
+    const sendButton = this.getElement("sendButton");
+    const stopButton = this.getElement("stopButton");
+    if (sendButton) {
+      sendButton.style.display = isGenerating ? "none" : "";
+    }
+    if (stopButton) {
+      stopButton.style.display = isGenerating ? "" : "none";
+    }
+  }
+
   /**
    * Clears the message input field.
    */
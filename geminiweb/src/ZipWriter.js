@@ -0,0 +1,103 @@
+/**
+ * Minimal ZIP archive writer (STORE method, no compression).
+ * Sufficient for bundling exported transcripts with their attachments, which are mostly
+ * already-compressed media.
+ */
+export class ZipWriter {
+  constructor() {
+    this.entries = []; // {nameBytes, data, crc, offset}
+    this.encoder = new TextEncoder();
+  }
+
+  /**
+   * Adds a file to the archive.
+   * @param {string} name - Path of the file inside the archive (use "/" as separator).
+   * @param {string | Uint8Array} content - File content; strings are encoded as UTF-8.
+   */
+  addFile(name, content) {
+    const data =
+      typeof content === "string" ? this.encoder.encode(content) : content;
+    this.entries.push({
+      nameBytes: this.encoder.encode(name),
+      data,
+      crc: ZipWriter._crc32(data),
+    });
+  }
+
+  /**
+   * Builds the archive.
+   * @returns {Blob} The ZIP file as a Blob.
+   */
+  toBlob() {
+    const chunks = [];
+    const centralDirectory = [];
+    let offset = 0;
+
+    this.entries.forEach((entry) => {
+      const header = new DataView(new ArrayBuffer(30));
+      header.setUint32(0, 0x04034b50, true); // Local file header signature
+      header.setUint16(4, 20, true); // Version needed
+      header.setUint16(6, 0x0800, true); // Flags: UTF-8 names
+      header.setUint16(8, 0, true); // Method: STORE
+      header.setUint32(14, entry.crc, true);
+      header.setUint32(18, entry.data.length, true);
+      header.setUint32(22, entry.data.length, true);
+      header.setUint16(26, entry.nameBytes.length, true);
+      chunks.push(header, entry.nameBytes, entry.data);
+
+      const central = new DataView(new ArrayBuffer(46));
+      central.setUint32(0, 0x02014b50, true); // Central directory signature
+      central.setUint16(4, 20, true); // Version made by
+      central.setUint16(6, 20, true); // Version needed
+      central.setUint16(8, 0x0800, true);
+      central.setUint16(10, 0, true);
+      central.setUint32(16, entry.crc, true);
+      central.setUint32(20, entry.data.length, true);
+      central.setUint32(24, entry.data.length, true);
+      central.setUint16(28, entry.nameBytes.length, true);
+      central.setUint32(42, offset, true); // Offset of local header
+      centralDirectory.push(central, entry.nameBytes);
+
+      offset += 30 + entry.nameBytes.length + entry.data.length;
+    });
+
+    const centralSize = centralDirectory.reduce(
+      (size, part) => size + part.byteLength,
+      0
+    );
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054b50, true); // End of central directory signature
+    end.setUint16(8, this.entries.length, true);
+    end.setUint16(10, this.entries.length, true);
+    end.setUint32(12, centralSize, true);
+    end.setUint32(16, offset, true);
+
+    return new Blob([...chunks, ...centralDirectory, end], {
+      type: "application/zip",
+    });
+  }
+
+  /**
+   * Computes the CRC-32 checksum used by the ZIP format.
+   * @param {Uint8Array} data
+   * @returns {number} Unsigned CRC-32.
+   * @private
+   */
+  static _crc32(data) {
+    if (!ZipWriter._crcTable) {
+      ZipWriter._crcTable = new Uint32Array(256);
+      for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) {
+          c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+        }
+        ZipWriter._crcTable[n] = c >>> 0;
+      }
+    }
+    let crc = 0xffffffff;
+    for (let i = 0; i < data.length; i++) {
+      crc = ZipWriter._crcTable[(crc ^ data[i]) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+  }
+}